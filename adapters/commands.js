@@ -0,0 +1,50 @@
+// Chat command syntax shared by every platform:
+//
+//   teach: <question> => <answer>     teach an answer (also /teach ...)
+//   /ask <question>                   ask in a group chat
+//   /help, /start                     usage
+//   anything else                     a question
+//
+// In group chats only commands, messages mentioning the bot and replies to
+// it are answered, so SimSimi doesn't join every conversation.
+
+const TEACH_COMMAND = /^(?:\/teach(?:@\w+)?\s+|teach\s*:\s*)([\s\S]+?)\s*=>\s*([\s\S]+)$/i;
+const TEACH_PREFIX = /^(?:\/teach(?:@\w+)?|teach\s*:)/i;
+const ASK_COMMAND = /^\/ask(?:@\w+)?\s+([\s\S]+)$/i;
+const HELP_COMMAND = /^\/(?:help|start)(?:@\w+)?\s*$/i;
+
+const HELP_TEXT = 'Ask me anything! Teach me a new answer with: teach: <question> => <answer>';
+
+// Returns { type: 'ask', question }, { type: 'teach', question, answer },
+// { type: 'help' } or null when the message is not for SimSimi.
+// isDirect: a one-to-one chat. addressed: the bot was mentioned or replied to.
+function parseCommand(text, { isDirect = true, addressed = false } = {}) {
+    const message = typeof text === 'string' ? text.trim() : '';
+    if (!message) {
+        return null;
+    }
+
+    const teach = TEACH_COMMAND.exec(message);
+    if (teach) {
+        return { type: 'teach', question: teach[1].trim(), answer: teach[2].trim() };
+    }
+    if (TEACH_PREFIX.test(message) || HELP_COMMAND.test(message)) {
+        return { type: 'help' };
+    }
+
+    const ask = ASK_COMMAND.exec(message);
+    if (ask) {
+        return { type: 'ask', question: ask[1].trim() };
+    }
+
+    // Other bots' commands
+    if (message.startsWith('/') || (!isDirect && !addressed)) {
+        return null;
+    }
+    return { type: 'ask', question: message };
+}
+
+module.exports = {
+    HELP_TEXT,
+    parseCommand
+};
@@ -0,0 +1,101 @@
+// Discord slash commands through an Interactions Endpoint URL. Requests
+// are signed with Ed25519; DISCORD_PUBLIC_KEY is the application's public
+// key (hex). Register two commands for the application:
+//
+//   ask    option "question" (string)
+//   teach  options "question" and "answer" (strings)
+//
+// Discord wants a response within 3 seconds, so interactions are
+// acknowledged as deferred and the reply is sent by editing it afterwards.
+const crypto = require('crypto');
+const { sendJson } = require('./http');
+
+// DER prefix turning a raw 32-byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const INTERACTION_PING = 1;
+const INTERACTION_COMMAND = 2;
+const RESPONSE_PONG = 1;
+const RESPONSE_DEFERRED = 5;
+
+function getConfig() {
+    return {
+        publicKey: process.env.DISCORD_PUBLIC_KEY,
+        apiUrl: process.env.DISCORD_API_URL || 'https://discord.com/api/v10'
+    };
+}
+
+function isConfigured() {
+    return !!getConfig().publicKey;
+}
+
+function verify(req) {
+    const signature = req.get('X-Signature-Ed25519');
+    const timestamp = req.get('X-Signature-Timestamp');
+    if (!signature || !timestamp || !req.rawBody) {
+        return false;
+    }
+
+    try {
+        const key = crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(getConfig().publicKey, 'hex')]),
+            format: 'der',
+            type: 'spki'
+        });
+        return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), req.rawBody]), key, Buffer.from(signature, 'hex'));
+    } catch (error) {
+        return false;
+    }
+}
+
+function toCommand(data) {
+    const options = Object.fromEntries((data.options || []).map(option => [option.name, String(option.value || '').trim()]));
+    if (data.name === 'ask' && options.question) {
+        return { type: 'ask', question: options.question };
+    }
+    if (data.name === 'teach' && options.question && options.answer) {
+        return { type: 'teach', question: options.question, answer: options.answer };
+    }
+    return { type: 'help' };
+}
+
+function parse(req) {
+    const interaction = req.body || {};
+    if (interaction.type === INTERACTION_PING) {
+        return { messages: [], reply: { type: RESPONSE_PONG } };
+    }
+    if (interaction.type !== INTERACTION_COMMAND || !interaction.data) {
+        return { messages: [], reply: { type: RESPONSE_PONG } };
+    }
+
+    const user = (interaction.member && interaction.member.user) || interaction.user || {};
+    return {
+        messages: [{
+            chatId: interaction.channel_id,
+            userId: user.id,
+            userName: user.username,
+            isDirect: !interaction.guild_id,
+            command: toCommand(interaction.data),
+            applicationId: interaction.application_id,
+            token: interaction.token
+        }],
+        reply: { type: RESPONSE_DEFERRED }
+    };
+}
+
+// Fills in the deferred response. Mentions in taught answers don't ping.
+async function send(message, text) {
+    const { apiUrl } = getConfig();
+    await sendJson(`${apiUrl}/webhooks/${message.applicationId}/${message.token}/messages/@original`, {
+        content: text,
+        allowed_mentions: { parse: [] }
+    }, { method: 'PATCH' });
+}
+
+module.exports = {
+    name: 'discord',
+    isConfigured,
+    verify,
+    parse,
+    send
+};
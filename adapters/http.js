@@ -0,0 +1,24 @@
+// Outbound requests to chat platform APIs
+
+const TIMEOUT_MS = 10000;
+
+// Sends a JSON request and returns the parsed response body. Errors name
+// only the host: platform URLs carry tokens.
+async function sendJson(url, body, { method = 'POST' } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).slice(0, 200);
+        throw new Error(`${method} to ${new URL(url).host} failed with ${response.status}: ${detail}`);
+    }
+    return response.json().catch(() => null);
+}
+
+module.exports = {
+    sendJson
+};
@@ -0,0 +1,44 @@
+// Chat platform adapters for /webhooks/:platform. Each adapter exports:
+//
+//   name            the :platform in the webhook URL
+//   isConfigured()  whether its environment variables are set
+//   verify(req)     whether the request was signed by the platform
+//   parse(req)      { messages, reply }: the chat messages to answer, and
+//                   the body to acknowledge the webhook with (optional)
+//   send(message, text)
+//                   the outbound sender, replying to a message's chat
+//   handshake(req, res)
+//                   optional; answers GET subscription checks
+//
+// A message is { chatId, userId, userName, isDirect, text, addressed } or,
+// for platforms with structured commands, { ..., command } (see
+// commands.js), plus whatever its sender needs. Outbound API base URLs are
+// configurable (e.g. TELEGRAM_API_URL), so stub servers can stand in for
+// the platforms; setSender() swaps the sender itself.
+const telegram = require('./telegram');
+const messenger = require('./messenger');
+const discord = require('./discord');
+
+const adapters = new Map([telegram, messenger, discord].map(adapter => [adapter.name, adapter]));
+const senders = new Map([...adapters.values()].map(adapter => [adapter.name, adapter.send]));
+
+function getAdapter(name) {
+    return adapters.get(name) || null;
+}
+
+function setSender(name, send) {
+    if (!adapters.has(name)) {
+        throw new Error(`Unknown chat platform: ${name}`);
+    }
+    senders.set(name, send);
+}
+
+function send(name, message, text) {
+    return senders.get(name)(message, text);
+}
+
+module.exports = {
+    getAdapter,
+    setSender,
+    send
+};
@@ -0,0 +1,80 @@
+// Messenger Platform (Facebook Pages). Subscribing the webhook sends a GET
+// request that must echo hub.challenge when hub.verify_token matches
+// MESSENGER_VERIFY_TOKEN. Updates are signed with the app secret in the
+// X-Hub-Signature-256 header. Page conversations are one-to-one.
+const crypto = require('crypto');
+const { safeEqual } = require('../middleware/auth');
+const { sendJson } = require('./http');
+
+function getConfig() {
+    return {
+        pageAccessToken: process.env.MESSENGER_PAGE_ACCESS_TOKEN,
+        appSecret: process.env.MESSENGER_APP_SECRET,
+        verifyToken: process.env.MESSENGER_VERIFY_TOKEN,
+        apiUrl: process.env.MESSENGER_API_URL || 'https://graph.facebook.com/v18.0'
+    };
+}
+
+function isConfigured() {
+    const config = getConfig();
+    return !!(config.pageAccessToken && config.appSecret && config.verifyToken);
+}
+
+// Subscription verification
+function handshake(req, res) {
+    const { verifyToken } = getConfig();
+    if (req.query['hub.mode'] === 'subscribe' && safeEqual(req.query['hub.verify_token'] || '', verifyToken)) {
+        return res.status(200).send(String(req.query['hub.challenge'] || ''));
+    }
+
+    res.status(403).json({
+        error: 'Forbidden',
+        message: 'Invalid verify token',
+        timestamp: new Date().toISOString()
+    });
+}
+
+function verify(req) {
+    const signature = req.get('X-Hub-Signature-256') || '';
+    const expected = `sha256=${crypto.createHmac('sha256', getConfig().appSecret).update(req.rawBody || '').digest('hex')}`;
+    return safeEqual(signature, expected);
+}
+
+function parse(req) {
+    const body = req.body || {};
+    if (body.object !== 'page' || !Array.isArray(body.entry)) {
+        return { messages: [] };
+    }
+
+    const messages = body.entry
+        .flatMap(entry => entry.messaging || [])
+        // Echoes are the page's own messages
+        .filter(event => event.sender && event.message && !event.message.is_echo && typeof event.message.text === 'string')
+        .map(event => ({
+            chatId: event.sender.id,
+            userId: event.sender.id,
+            userName: event.sender.id,
+            text: event.message.text,
+            isDirect: true,
+            addressed: true
+        }));
+    return { messages };
+}
+
+async function send(message, text) {
+    const config = getConfig();
+    await sendJson(`${config.apiUrl}/me/messages?access_token=${encodeURIComponent(config.pageAccessToken)}`, {
+        recipient: { id: message.chatId },
+        messaging_type: 'RESPONSE',
+        message: { text }
+    });
+}
+
+module.exports = {
+    name: 'messenger',
+    isConfigured,
+    handshake,
+    verify,
+    parse,
+    send
+};
@@ -0,0 +1,73 @@
+// Telegram Bot API. Register the webhook with setWebhook, passing
+// TELEGRAM_WEBHOOK_SECRET as secret_token; Telegram sends it back in the
+// X-Telegram-Bot-Api-Secret-Token header of every update. With
+// TELEGRAM_BOT_USERNAME set, group messages mentioning the bot are answered.
+const { safeEqual } = require('../middleware/auth');
+const { sendJson } = require('./http');
+
+function getConfig() {
+    return {
+        token: process.env.TELEGRAM_BOT_TOKEN,
+        secret: process.env.TELEGRAM_WEBHOOK_SECRET,
+        username: (process.env.TELEGRAM_BOT_USERNAME || '').replace(/\W/g, ''),
+        apiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org'
+    };
+}
+
+function isConfigured() {
+    const config = getConfig();
+    return !!(config.token && config.secret);
+}
+
+function verify(req) {
+    return safeEqual(req.get('X-Telegram-Bot-Api-Secret-Token') || '', getConfig().secret);
+}
+
+function parse(req) {
+    const message = req.body && req.body.message;
+    if (!message || typeof message.text !== 'string' || !message.chat || !message.from) {
+        return { messages: [] };
+    }
+
+    // A mention of the bot addresses it and is dropped from the question
+    const { username } = getConfig();
+    let text = message.text;
+    let addressed = false;
+    if (username) {
+        const mention = new RegExp(`@${username}\\b`, 'gi');
+        addressed = mention.test(text);
+        text = text.replace(mention, ' ').trim();
+    }
+    const replyTo = message.reply_to_message && message.reply_to_message.from;
+    addressed = addressed || !!(replyTo && replyTo.is_bot && (!username || replyTo.username === username));
+
+    return {
+        messages: [{
+            chatId: message.chat.id,
+            userId: message.from.id,
+            userName: message.from.username || message.from.first_name,
+            text,
+            isDirect: message.chat.type === 'private',
+            addressed,
+            messageId: message.message_id
+        }]
+    };
+}
+
+// Replies in the chat; in groups, as a reply to the message
+async function send(message, text) {
+    const config = getConfig();
+    await sendJson(`${config.apiUrl}/bot${config.token}/sendMessage`, {
+        chat_id: message.chatId,
+        text,
+        ...(!message.isDirect && { reply_to_message_id: message.messageId })
+    });
+}
+
+module.exports = {
+    name: 'telegram',
+    isConfigured,
+    verify,
+    parse,
+    send
+};
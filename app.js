@@ -1,17 +1,43 @@
 require('dotenv').config();
+
+// Before anything is required that may log while loading, e.g. the routes
+// and storage modules (see LOG_FORMAT in utils/logger.js)
+const logger = require('./utils/logger');
+if (logger.getLogFormat() === 'json') {
+    logger.useJsonConsole();
+} else if (logger.getLogFormat() === 'none') {
+    logger.useQuietConsole();
+}
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const path = require('path');
-const Database = require('./database');
-const simsimiRoutes = require('./routes/simsimi');
+const { createStorage } = require('./storage');
+const createApiRouter = require('./routes/simsimi');
+const backups = require('./utils/backups');
+const privacy = require('./utils/privacy');
+const metrics = require('./utils/metrics');
+const { requestId } = require('./middleware/requestId');
+const { getBearerToken, safeEqual } = require('./middleware/auth');
+const { checkStorageSupport } = require('./middleware/storage');
+
+// TRUST_PROXY: "true", "false", a number of proxy hops, or a comma-separated
+// list of trusted proxy addresses/subnets. Decides which client IP req.ip
+// reports behind a reverse proxy.
+function parseTrustProxy(value) {
+    if (value === undefined || value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return Number(value);
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
 
 class SimSimiServer {
     constructor() {
         this.app = express();
-        this.db = new Database();
+        this.db = createStorage();
         this.port = process.env.PORT || 3000;
         this.initMiddlewares();
         this.initRoutes();
@@ -19,6 +45,13 @@ class SimSimiServer {
     }
 
     initMiddlewares() {
+        // Client IPs behind a reverse proxy (rate limiting, logs)
+        this.app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+        
+        // Request ids and metrics come first so they cover every request
+        this.app.use(requestId());
+        this.app.use(metrics.httpMetrics());
+        
         // Security middleware
         this.app.use(helmet({
             contentSecurityPolicy: {
@@ -34,17 +67,26 @@ class SimSimiServer {
         this.app.use(compression());
         
         // Logging
-        this.app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+        if (logger.getLogFormat() === 'json') {
+            this.app.use(logger.accessLog(metrics.routeLabel));
+        } else if (logger.getLogFormat() === 'text') {
+            this.app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+        }
         
         // Body parsing
-        this.app.use(express.json({ limit: process.env.MAX_REQUEST_SIZE || '10mb' }));
+        // The raw body is kept for webhook signature checks
+        this.app.use(express.json({
+            limit: process.env.MAX_REQUEST_SIZE || '10mb',
+            verify: (req, res, buf) => { req.rawBody = buf; }
+        }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
         
         // CORS configuration
         const corsOptions = {
             origin: process.env.CORS_ORIGIN || '*',
-            methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization'],
+            methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Id', 'X-Request-Id'],
+            exposedHeaders: ['X-Session-Id', 'X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After'],
             credentials: true,
             maxAge: 86400 // 24 hours
         };
@@ -58,8 +100,9 @@ class SimSimiServer {
     }
 
     initRoutes() {
-        // API routes
-        this.app.use(`/api/${process.env.API_VERSION || 'v1'}`, simsimiRoutes);
+        // API routes, over the storage connected in start()
+        this.apiRouter = createApiRouter(this.db);
+        this.app.use(`/api/${process.env.API_VERSION || 'v1'}`, this.apiRouter);
         
         // Health check endpoint for Render.com
         this.app.get('/health', (req, res) => {
@@ -72,6 +115,21 @@ class SimSimiServer {
             });
         });
         
+        // Prometheus scrape endpoint (see utils/metrics.js). When
+        // METRICS_TOKEN is set, scrapers must send it as a Bearer token.
+        this.app.get('/metrics', (req, res) => {
+            const token = process.env.METRICS_TOKEN;
+            if (token && !safeEqual(getBearerToken(req) || '', token)) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'The metrics token is required in the Authorization header (Bearer <token>)',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            res.set('Content-Type', metrics.CONTENT_TYPE).send(metrics.render());
+        });
+        
         // Serve frontend
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -101,6 +159,7 @@ class SimSimiServer {
                 error: message,
                 timestamp: new Date().toISOString(),
                 path: req.originalUrl,
+                request_id: req.id,
                 ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
             });
         });
@@ -121,10 +180,22 @@ class SimSimiServer {
 
     async start() {
         try {
+            // Unsafe privacy settings, or settings the storage can't
+            // honour, stop the server rather than being ignored
+            for (const warning of privacy.checkPrivacySettings(this.db)) {
+                console.warn(`⚠️ ${warning}`);
+            }
+            checkStorageSupport(this.db);
+            
             // Initialize database
             await this.db.connect();
             console.log('✅ Database initialized successfully');
             
+            // Periodic online backups (SQLite only)
+            if (this.db.backupTo) {
+                this.backupTimer = backups.scheduleBackups(this.db);
+            }
+            
             // Start server
             const server = this.app.listen(this.port, () => {
                 console.log(`
@@ -135,17 +206,20 @@ class SimSimiServer {
                 🏠 Local: http://localhost:${this.port}
                 🔧 API: http://localhost:${this.port}/api/${process.env.API_VERSION || 'v1'}
                 ❤️ Health: http://localhost:${this.port}/health
+                📈 Metrics: http://localhost:${this.port}/metrics
                 `);
             });
             
             // Graceful shutdown
             const gracefulShutdown = () => {
                 console.log('\n🛑 Received shutdown signal, closing server gracefully...');
+                clearInterval(this.backupTimer);
+                this.apiRouter.chatHub.close();
                 
                 server.close(async () => {
                     console.log('✅ HTTP server closed');
                     
-                    // Close database connection
+                    // Close database connection, writing the logs still queued
                     if (this.db) {
                         await this.db.close();
                         console.log('✅ Database connection closed');
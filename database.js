@@ -1,36 +1,117 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const matcher = require('./utils/matcher');
+const patterns = require('./utils/patterns');
+const templates = require('./utils/templates');
+const language = require('./utils/language');
+const migrations = require('./utils/migrations');
+const privacy = require('./utils/privacy');
+const metrics = require('./utils/metrics');
+const lookup = require('./storage/lookup');
+const { DEFAULT_RESPONSES } = require('./storage/defaults');
+const { ResponseCache } = require('./storage/responseCache');
+const { LogBatcher } = require('./storage/logBatcher');
+const { toSqlTimestamp } = require('./utils/dates');
+
+const { normalizeContext, normalizeLang } = lookup;
+
+// Columns of a batched log insert (see _insertLogs)
+const LOG_COLUMNS = ['id', 'question', 'response', 'is_taught', 'response_time_ms', 'user_agent', 'ip_address', 'conversation_id', 'event', 'lang', 'bot', 'session_id', 'api_key_id', 'timestamp'];
+
+// Bound parameters one statement may have (SQLITE_MAX_VARIABLE_NUMBER)
+const MAX_VARIABLES = 32766;
+
+// SQL mirror of feedback.answerWeight(), for conversations aliased as c
+const ANSWER_WEIGHT_EXPRESSION = '(c.teach_count * (c.upvotes + 1.0) / (c.downvotes + 1))';
+
+// Turns free text into an FTS5 query: every word must match, the last one
+// as a prefix so results show up while typing. Returns null when the text
+// has no searchable words.
+function toFtsQuery(text) {
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu);
+    if (!words) {
+        return null;
+    }
+    return words.map((word, i) => `"${word}"${i === words.length - 1 ? '*' : ''}`).join(' ');
+}
+
+function parsePendingTeach(row) {
+    return row && { ...row, reasons: JSON.parse(row.reasons || '[]') };
+}
+
+function parseBot(row) {
+    return row && { ...row, inherit_base: !!row.inherit_base };
+}
+
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+function parseOptionalCount(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error('teach_count must be a positive integer');
+    }
+    return count;
+}
+
+function parseOptionalBoolean(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+
+    const normalized = String(value).trim().toLowerCase();
+    if (['1', 'true', 'yes'].includes(normalized)) return true;
+    if (['0', 'false', 'no'].includes(normalized)) return false;
+    throw new Error('is_active must be true/false or 1/0');
+}
 
 class Database {
-    constructor() {
+    // filename: the SQLite file (see storage/index.js for DATABASE_URL)
+    constructor({ filename } = {}) {
         // Use Render's persistent disk if available, otherwise local
-        const dbDir = process.env.NODE_ENV === 'production' 
-            ? '/data' 
-            : path.join(__dirname, 'database');
+        const dbDir = filename
+            ? path.dirname(path.resolve(filename))
+            : process.env.NODE_ENV === 'production' 
+                ? '/data' 
+                : path.join(__dirname, 'database');
         
         // Create directory if it doesn't exist
         if (!fs.existsSync(dbDir)) {
             fs.mkdirSync(dbDir, { recursive: true });
         }
         
-        this.dbPath = path.join(dbDir, 'simsimi.db');
+        this.backend = 'sqlite';
+        this.dbPath = filename ? path.resolve(filename) : path.join(dbDir, 'simsimi.db');
         this.db = null;
         this.isConnected = false;
         this.retryCount = 0;
         this.maxRetries = 3;
+        this.responseCache = new ResponseCache();
+        this.logBatcher = new LogBatcher({
+            reserveIds: count => this._reserveLogIds(count),
+            writeBatch: logs => this._insertLogs(logs),
+            maxBatchSize: Math.floor(MAX_VARIABLES / LOG_COLUMNS.length)
+        });
     }
 
-    async connect() {
+    // options.migrate: apply pending migrations and seed data (default).
+    // Tools that inspect the schema, like scripts/migrate.js, turn it off.
+    async connect({ migrate = true } = {}) {
         try {
-            return await this._connectWithRetry();
+            return await this._connectWithRetry({ migrate });
         } catch (error) {
             console.error('❌ Failed to connect to database after retries:', error);
             throw error;
         }
     }
 
-    async _connectWithRetry() {
+    async _connectWithRetry(options) {
         return new Promise((resolve, reject) => {
             this.db = new sqlite3.Database(this.dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, async (err) => {
                 if (err) {
@@ -38,7 +119,7 @@ class Database {
                     if (this.retryCount < this.maxRetries) {
                         console.log(`⚠️ Retrying database connection (${this.retryCount}/${this.maxRetries})...`);
                         await new Promise(resolve => setTimeout(resolve, 1000 * this.retryCount));
-                        return this._connectWithRetry().then(resolve).catch(reject);
+                        return this._connectWithRetry(options).then(resolve).catch(reject);
                     } else {
                         reject(err);
                     }
@@ -51,10 +132,13 @@ class Database {
                     this.db.run('PRAGMA synchronous = NORMAL;');
                     this.db.run('PRAGMA foreign_keys = ON;');
                     this.db.run('PRAGMA busy_timeout = 5000;');
+                    this.db.run('PRAGMA case_sensitive_like = OFF;');
                     
                     try {
-                        await this.initializeTables();
-                        await this.seedDefaultData();
+                        if (options.migrate) {
+                            await this.initializeTables();
+                            await this.seedDefaultData();
+                        }
                         resolve();
                     } catch (initError) {
                         reject(initError);
@@ -64,89 +148,21 @@ class Database {
         });
     }
 
-    initializeTables() {
-        return new Promise((resolve, reject) => {
-            const createTables = `
-                -- Enable case-insensitive search
-                PRAGMA case_sensitive_like = OFF;
-
-                -- Conversations table with full-text search capabilities
-                CREATE TABLE IF NOT EXISTS conversations (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    question TEXT NOT NULL COLLATE NOCASE,
-                    answer TEXT NOT NULL,
-                    normalized_question TEXT GENERATED ALWAYS AS (LOWER(TRIM(question))) VIRTUAL,
-                    teach_count INTEGER DEFAULT 1,
-                    is_active BOOLEAN DEFAULT 1,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(normalized_question)
-                );
-
-                -- Create index for faster searches
-                CREATE INDEX IF NOT EXISTS idx_conversations_normalized 
-                ON conversations(normalized_question);
-
-                CREATE INDEX IF NOT EXISTS idx_conversations_active 
-                ON conversations(is_active);
-
-                -- Conversation logs for analytics
-                CREATE TABLE IF NOT EXISTS logs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    question TEXT NOT NULL,
-                    normalized_question TEXT GENERATED ALWAYS AS (LOWER(TRIM(question))) VIRTUAL,
-                    response TEXT,
-                    is_taught BOOLEAN DEFAULT 0,
-                    response_time_ms INTEGER,
-                    user_agent TEXT,
-                    ip_address TEXT,
-                    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                );
-
-                -- Create index for logs
-                CREATE INDEX IF NOT EXISTS idx_logs_timestamp 
-                ON logs(timestamp);
-
-                CREATE INDEX IF NOT EXISTS idx_logs_taught 
-                ON logs(is_taught);
-
-                -- Triggers to update timestamps
-                CREATE TRIGGER IF NOT EXISTS update_conversations_timestamp 
-                AFTER UPDATE ON conversations
-                BEGIN
-                    UPDATE conversations 
-                    SET updated_at = CURRENT_TIMESTAMP 
-                    WHERE id = NEW.id;
-                END;
-            `;
-
-            this.db.exec(createTables, (err) => {
-                if (err) {
-                    console.error('❌ Error creating tables:', err);
-                    reject(err);
-                } else {
-                    console.log('✅ Database tables initialized');
-                    resolve();
-                }
-            });
-        });
+    // Brings the schema up to date (see utils/migrations.js and migrations/)
+    async initializeTables() {
+        await migrations.migrate(this);
+        console.log('✅ Database tables initialized');
     }
 
     async seedDefaultData() {
-        const defaultResponses = [
-            { question: 'hello', answer: 'Hello! How are you today?' },
-            { question: 'hi', answer: 'Hi there! Nice to meet you!' },
-            { question: 'how are you', answer: 'I\'m doing great! Thanks for asking!' },
-            { question: 'what is your name', answer: 'I\'m SimSimi, your friendly chatbot!' },
-            { question: 'bye', answer: 'Goodbye! See you again soon!' },
-            { question: 'thank you', answer: 'You\'re welcome! 😊' },
-            { question: 'good morning', answer: 'Good morning! Have a wonderful day!' },
-            { question: 'good night', answer: 'Good night! Sweet dreams! 🌙' }
-        ];
-
         try {
-            for (const response of defaultResponses) {
-                await this.upsertResponse(response.question, response.answer);
+            // Seeding runs on every boot, so it must not count as a teach
+            for (const response of DEFAULT_RESPONSES) {
+                await this._run(`
+                    INSERT INTO conversations (question, answer, lang)
+                    VALUES (?, ?, ?)
+                    ON CONFLICT(bot, normalized_question, answer, context, lang) DO NOTHING
+                `, [response.question, response.answer, response.lang || '']);
             }
             console.log('✅ Default responses seeded');
         } catch (error) {
@@ -154,114 +170,1424 @@ class Database {
         }
     }
 
-    async findResponse(question) {
-        return new Promise((resolve, reject) => {
-            const normalizedQuestion = question.toLowerCase().trim();
-            
-            const query = `
-                SELECT * FROM conversations 
-                WHERE normalized_question = ? 
-                AND is_active = 1
-                LIMIT 1
-            `;
-            
-            this.db.get(query, [normalizedQuestion], (err, row) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
-            });
-        });
+    // Active answers for a question, narrowed by lookup.selectAnswers().
+    // bots is a bot chain (see utils/bots.js); the base namespace by default.
+    async findResponses(question, { context, isPattern = false, langs, bots = [''] } = {}) {
+        const normalizedQuestion = question.toLowerCase().trim();
+        const normalizedContext = normalizeContext(context);
+        
+        const query = `
+            SELECT * FROM conversations 
+            WHERE normalized_question = ? 
+            AND is_active = 1
+            AND is_pattern = ?
+            AND context IN ('', ?)
+            AND bot IN (${placeholders(bots)})
+            ${langs ? `AND lang IN (${placeholders(langs)})` : ''}
+            ORDER BY teach_count DESC, id ASC
+        `;
+        
+        const rows = await this._all(query, [normalizedQuestion, isPattern ? 1 : 0, normalizedContext, ...bots, ...(langs || [])]);
+        return lookup.selectAnswers(rows, { context, langs, bots });
     }
 
-    async upsertResponse(question, answer) {
-        return new Promise((resolve, reject) => {
-            const normalizedQuestion = question.toLowerCase().trim();
-            
-            const query = `
-                INSERT INTO conversations (question, answer, normalized_question)
-                VALUES (?, ?, ?)
-                ON CONFLICT(normalized_question) 
+    // See lookup.findResponse()
+    async findResponse(question, options = {}) {
+        return lookup.findResponse(this, question, options);
+    }
+
+    // See lookup.findSuggestions()
+    async findSuggestions(question, options = {}) {
+        return lookup.findSuggestions(this, question, options);
+    }
+
+    // Returns { pattern, captures } for the most specific active pattern
+    // question matching the input, or null
+    async findPatternMatch(question, { langs, bots = [''] } = {}) {
+        const rows = await this._all(`
+            SELECT DISTINCT normalized_question FROM conversations
+            WHERE is_pattern = 1 AND is_active = 1
+            AND bot IN (${placeholders(bots)})
+            ${langs ? `AND lang IN (${placeholders(langs)})` : ''}
+        `, [...bots, ...(langs || [])]);
+        return patterns.matchPatterns(question, rows.map(row => row.normalized_question));
+    }
+
+    async findFuzzyMatch(question, { langs, bots = [''], ...options } = {}) {
+        const config = { ...matcher.getMatcherConfig(), ...options };
+        if (!config.enabled) {
+            return null;
+        }
+
+        return matcher.findBestMatch(
+            question,
+            await this._similarCandidates(question, { langs, bots, threshold: config.threshold, maxCandidates: config.maxCandidates }),
+            config.threshold
+        );
+    }
+
+    // Active non-pattern questions at least threshold similar to the
+    // input, as [{ question, confidence }], closest first
+    async findSimilarQuestions(question, { langs, bots = [''], threshold, limit = 5 } = {}) {
+        const candidates = await this._similarCandidates(question, { langs, bots, threshold, maxCandidates: matcher.getMatcherConfig().maxCandidates });
+        return matcher.rankMatches(question, candidates, threshold, limit);
+    }
+
+    // Questions long enough and short enough to reach the threshold
+    async _similarCandidates(question, { langs, bots, threshold, maxCandidates }) {
+        const bounds = matcher.lengthBounds(question, threshold);
+        const rows = await this._all(`
+            SELECT DISTINCT normalized_question FROM conversations
+            WHERE is_active = 1
+            AND is_pattern = 0
+            AND LENGTH(normalized_question) BETWEEN ? AND ?
+            AND bot IN (${placeholders(bots)})
+            ${langs ? `AND lang IN (${placeholders(langs)})` : ''}
+            LIMIT ?
+        `, [bounds.min, bounds.max, ...bots, ...(langs || []), maxCandidates]);
+        return rows.map(row => row.normalized_question);
+    }
+
+    // actor: { changedBy, ipAddress, userAgent }, recorded in the revision.
+    // options.context: the previous answer this answer should follow.
+    // options.lang: the language of the pair; empty when unknown.
+    // options.bot: the bot it is taught to; the base namespace by default.
+    async upsertResponse(question, answer, actor = {}, { context, lang, bot = '' } = {}) {
+        // Teaching an answer the question already has reinforces it;
+        // a different answer is stored alongside the existing ones
+        const row = await this._transaction(async (conn) => {
+            const upserted = await this._get(`
+                INSERT INTO conversations (question, answer, context, lang, bot)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(bot, normalized_question, answer, context, lang) 
                 DO UPDATE SET 
-                    answer = excluded.answer,
                     teach_count = teach_count + 1,
+                    is_active = 1,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING *
+            `, [question.trim(), answer.trim(), normalizeContext(context), normalizeLang(lang), bot], conn);
+            await this._recordRevision(upserted, upserted.teach_count === 1 ? 'create' : 'teach', actor, conn);
+            return upserted;
+        });
+
+        this.responseCache.invalidate(row.normalized_question);
+        return row;
+    }
+
+    async listResponses({ search, isActive, question, lang, bot = '', sort = 'updated', limit = 20, offset = 0 } = {}) {
+        const conditions = ['bot = ?'];
+        const params = [bot];
+
+        if (search) {
+            conditions.push('(normalized_question LIKE ? OR answer LIKE ?)');
+            params.push(`%${search.toLowerCase().trim()}%`, `%${search.trim()}%`);
+        }
+        if (question) {
+            conditions.push('normalized_question = ?');
+            params.push(question.toLowerCase().trim());
+        }
+        if (isActive !== undefined) {
+            conditions.push('is_active = ?');
+            params.push(isActive ? 1 : 0);
+        }
+        if (lang !== undefined) {
+            conditions.push('lang = ?');
+            params.push(normalizeLang(lang));
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const orderBy = {
+            updated: 'updated_at DESC, id DESC',
+            created: 'created_at DESC, id DESC',
+            teach_count: 'teach_count DESC, id ASC',
+            score: '(upvotes - downvotes) DESC, id ASC',
+            question: 'normalized_question ASC, id ASC'
+        }[sort] || 'updated_at DESC, id DESC';
+
+        const [rows, count] = await Promise.all([
+            this._all(`SELECT * FROM conversations ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`, [...params, limit, offset]),
+            this._get(`SELECT COUNT(*) as total FROM conversations ${where}`, params)
+        ]);
+
+        return { rows, total: count.total };
+    }
+
+    async getResponseById(id) {
+        return this._get('SELECT * FROM conversations WHERE id = ?', [id]);
+    }
+
+    // Edits the question and/or answer of a single row. Returns undefined
+    // when the row does not exist.
+    async updateResponse(id, { question, answer, context, lang }, actor = {}) {
+        const assignments = [];
+        const params = [];
+
+        if (question !== undefined) {
+            assignments.push('question = ?');
+            params.push(question.trim());
+        }
+        if (answer !== undefined) {
+            assignments.push('answer = ?');
+            params.push(answer.trim());
+        }
+        if (context !== undefined) {
+            assignments.push('context = ?');
+            params.push(normalizeContext(context));
+        }
+        if (lang !== undefined) {
+            assignments.push('lang = ?');
+            params.push(normalizeLang(lang));
+        }
+        if (assignments.length === 0) {
+            return this.getResponseById(id);
+        }
+
+        const row = await this._transaction(async (conn) => {
+            const updated = await this._get(`
+                UPDATE conversations
+                SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+                RETURNING *
+            `, [...params, id], conn);
+            await this._recordRevision(updated, 'edit', actor, conn);
+            return updated;
+        });
+
+        // A new question also changes what the old one answers
+        if (question !== undefined) {
+            this.responseCache.clear();
+        } else if (row) {
+            this.responseCache.invalidate(row.normalized_question);
+        }
+        return row;
+    }
+
+    async setResponseActive(id, isActive, actor = {}) {
+        const row = await this._transaction(async (conn) => {
+            const updated = await this._get(`
+                UPDATE conversations
+                SET is_active = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+                RETURNING *
+            `, [isActive ? 1 : 0, id], conn);
+            await this._recordRevision(updated, isActive ? 'reactivate' : 'deactivate', actor, conn);
+            return updated;
+        });
+
+        if (row) {
+            this.responseCache.invalidate(row.normalized_question);
+        }
+        return row;
+    }
+
+    async deleteResponse(id, actor = {}) {
+        const row = await this._transaction(async (conn) => {
+            const deleted = await this._get('DELETE FROM conversations WHERE id = ? RETURNING *', [id], conn);
+            await this._recordRevision(deleted, 'delete', actor, conn);
+            return deleted;
+        });
+
+        if (row) {
+            this.responseCache.invalidate(row.normalized_question);
+        }
+        return !!row;
+    }
+
+    async _recordRevision(row, action, { changedBy = null, apiKeyId = null, ipAddress = null, userAgent = null } = {}, conn = this.db) {
+        if (!row) {
+            return;
+        }
+
+        await this._run(`
+            INSERT INTO conversation_revisions
+                (conversation_id, bot, question, answer, context, lang, is_active, teach_count, action, changed_by, api_key_id, ip_address, user_agent)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [row.id, row.bot || '', row.question, row.answer, row.context || '', row.lang || '', row.is_active ? 1 : 0, row.teach_count, action, changedBy, apiKeyId, ipAddress, userAgent], conn);
+    }
+
+    // Revisions of every answer a question has had, including answers that
+    // were later edited to another question or deleted. Only one bot's.
+    async getQuestionHistory(question, { bot = '' } = {}) {
+        return this._all(`
+            SELECT * FROM conversation_revisions
+            WHERE bot = ? AND conversation_id IN (
+                SELECT conversation_id FROM conversation_revisions WHERE normalized_question = ?
+                UNION
+                SELECT id FROM conversations WHERE normalized_question = ?
+            )
+            ORDER BY created_at ASC, id ASC
+        `, [bot, question.toLowerCase().trim(), question.toLowerCase().trim()]);
+    }
+
+    async getResponseRevisions(conversationId, { bot = '' } = {}) {
+        return this._all(`
+            SELECT * FROM conversation_revisions
+            WHERE conversation_id = ? AND bot = ?
+            ORDER BY created_at ASC, id ASC
+        `, [conversationId, bot]);
+    }
+
+    async getRevision(revisionId) {
+        return this._get('SELECT * FROM conversation_revisions WHERE id = ?', [revisionId]);
+    }
+
+    // Restores an answer to the state stored in a revision. Deleted answers
+    // are re-created under their original id. Returns undefined when the
+    // revision does not exist or belongs to another bot.
+    async rollbackToRevision(revisionId, actor = {}, { bot = '' } = {}) {
+        const revision = await this.getRevision(revisionId);
+        if (!revision || revision.bot !== bot) {
+            return undefined;
+        }
+
+        const row = await this._transaction(async (conn) => {
+            const restored = await this._get(`
+                INSERT INTO conversations (id, bot, question, answer, context, lang, is_active, teach_count)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET
+                    question = excluded.question,
+                    answer = excluded.answer,
+                    context = excluded.context,
+                    lang = excluded.lang,
+                    is_active = excluded.is_active,
                     updated_at = CURRENT_TIMESTAMP
                 RETURNING *
+            `, [revision.conversation_id, revision.bot, revision.question, revision.answer, revision.context || '', revision.lang || '', revision.is_active, revision.teach_count || 1], conn);
+            await this._recordRevision(restored, 'rollback', actor, conn);
+            return restored;
+        });
+
+        // The answer may move back to a question it had before
+        this.responseCache.clear();
+        return { revision, response: row };
+    }
+
+    // Streams one bot's conversations row by row to onRow, oldest first.
+    // Resolves with the number of rows sent. Rejects on the first error
+    // reading a row or thrown by onRow; no rows are sent after it.
+    eachResponse({ includeInactive = true, bot = '' } = {}, onRow) {
+        return new Promise((resolve, reject) => {
+            let failed = false;
+            const fail = (err) => {
+                if (!failed) {
+                    failed = true;
+                    reject(err);
+                }
+            };
+
+            const query = `
+                SELECT id, question, answer, context, lang, teach_count, is_active, created_at, updated_at
+                FROM conversations
+                WHERE bot = ?
+                ${includeInactive ? '' : 'AND is_active = 1'}
+                ORDER BY id ASC
             `;
-            
-            this.db.get(query, [question, answer, normalizedQuestion], (err, row) => {
+
+            // A row error is passed to the row callback; sqlite3 may not
+            // call the completion callback after it
+            this.db.each(query, [bot], (err, row) => {
+                if (failed) {
+                    return;
+                }
                 if (err) {
-                    reject(err);
-                } else {
-                    resolve(row);
+                    fail(err);
+                    return;
+                }
+                try {
+                    onRow(row);
+                } catch (error) {
+                    fail(error);
+                }
+            }, (err, count) => {
+                if (err) {
+                    fail(err);
+                } else if (!failed) {
+                    resolve(count);
                 }
             });
         });
     }
 
-    async logInteraction(question, response, isTaught = false, userAgent = '', ipAddress = '', responseTime = 0) {
-        return new Promise((resolve, reject) => {
-            const query = `
-                INSERT INTO logs (question, response, is_taught, response_time_ms, user_agent, ip_address)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `;
-            
-            this.db.run(query, [question, response, isTaught ? 1 : 0, responseTime, userAgent, ipAddress], function(err) {
+    // Imports question/answer rows in a single transaction and reports what
+    // happened to each one. Existing pairs get their teach_count/is_active
+    // updated when those are given. With dryRun, the transaction is rolled
+    // back after the report is built. Rows go to options.bot.
+    async importResponses(rows, { dryRun = false, actor = {}, bot = '' } = {}) {
+        const conn = await this._openConnection();
+        const report = [];
+
+        try {
+            await this._exec('BEGIN IMMEDIATE;', conn);
+
+            for (let index = 0; index < rows.length; index++) {
+                try {
+                    report.push({ row: index + 1, ...(await this._importResponse(rows[index], actor, bot, conn)) });
+                } catch (error) {
+                    report.push({ row: index + 1, status: 'error', message: error.message });
+                }
+            }
+
+            await this._exec(dryRun ? 'ROLLBACK;' : 'COMMIT;', conn);
+            if (!dryRun) {
+                this.responseCache.clear();
+            }
+        } catch (error) {
+            await this._exec('ROLLBACK;', conn).catch(() => {});
+            throw error;
+        } finally {
+            await this._closeConnection(conn).catch(() => {});
+        }
+
+        const summary = { inserted: 0, updated: 0, skipped: 0, error: 0 };
+        for (const entry of report) {
+            summary[entry.status]++;
+        }
+        return { dry_run: dryRun, total: rows.length, summary, rows: report };
+    }
+
+    async _importResponse(input, actor, bot, conn) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Row must be an object with question and answer');
+        }
+
+        const question = String(input.question ?? '').trim();
+        const answer = String(input.answer ?? '').trim();
+        if (!question || !answer) {
+            throw new Error('Both question and answer are required');
+        }
+        if (question.length > 500 || answer.length > 1000) {
+            throw new Error('Question or answer too long. Max 500 chars for question, 1000 for answer');
+        }
+
+        const patternError = patterns.validatePattern(question);
+        if (patternError) {
+            throw new Error(`Invalid pattern question: ${patternError}`);
+        }
+        templates.validate(answer, patterns.getSlotVariables(question));
+
+        const teachCount = parseOptionalCount(input.teach_count);
+        const isActive = parseOptionalBoolean(input.is_active);
+        const context = normalizeContext(input.context);
+        if (input.lang && !language.normalizeLanguage(String(input.lang))) {
+            throw new Error(`Invalid language code: ${input.lang}`);
+        }
+        const lang = normalizeLang(input.lang ? String(input.lang) : '');
+
+        const existing = await this._get(
+            'SELECT * FROM conversations WHERE bot = ? AND normalized_question = LOWER(TRIM(?)) AND answer = ? AND context = ? AND lang = ?',
+            [bot, question, answer, context, lang],
+            conn
+        );
+
+        if (!existing) {
+            const row = await this._get(`
+                INSERT INTO conversations (bot, question, answer, context, lang, teach_count, is_active)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                RETURNING *
+            `, [bot, question, answer, context, lang, teachCount ?? 1, isActive === false ? 0 : 1], conn);
+            await this._recordRevision(row, 'import', actor, conn);
+            return { status: 'inserted', id: row.id };
+        }
+
+        const nextTeachCount = teachCount ?? existing.teach_count;
+        const nextIsActive = isActive === undefined ? !!existing.is_active : isActive;
+        if (nextTeachCount === existing.teach_count && nextIsActive === !!existing.is_active) {
+            return { status: 'skipped', id: existing.id, message: 'Already up to date' };
+        }
+
+        const row = await this._get(`
+            UPDATE conversations
+            SET teach_count = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+            RETURNING *
+        `, [nextTeachCount, nextIsActive ? 1 : 0, existing.id], conn);
+        await this._recordRevision(row, 'import', actor, conn);
+        return { status: 'updated', id: row.id };
+    }
+
+    async incrementCounter(name) {
+        const row = await this._get(`
+            INSERT INTO template_counters (name, value)
+            VALUES (?, 1)
+            ON CONFLICT(name) DO UPDATE SET
+                value = value + 1,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING value
+        `, [name]);
+        return row.value;
+    }
+
+    // Returns the session if it exists and has not expired
+    async getSession(id) {
+        return this._get(
+            `SELECT * FROM sessions WHERE id = ? AND expires_at > CURRENT_TIMESTAMP`,
+            [id]
+        );
+    }
+
+    // Creates the session for its owner (a client id) and bot, or extends
+    // it when it already exists
+    async touchSession(id, ttlMinutes, { owner = null, bot = '' } = {}) {
+        return this._get(`
+            INSERT INTO sessions (id, owner, bot, expires_at)
+            VALUES (?, ?, ?, datetime('now', ?))
+            ON CONFLICT(id) DO UPDATE SET
+                last_active_at = CURRENT_TIMESTAMP,
+                expires_at = excluded.expires_at
+            RETURNING *
+        `, [id, owner, bot, `+${ttlMinutes} minutes`]);
+    }
+
+    // Most recent turns, oldest first
+    async getSessionTurns(sessionId, limit = 10) {
+        const rows = await this._all(`
+            SELECT question, answer, conversation_id, created_at
+            FROM session_turns
+            WHERE session_id = ?
+            ORDER BY id DESC
+            LIMIT ?
+        `, [sessionId, limit]);
+        return rows.reverse();
+    }
+
+    // Appends a turn and keeps only the latest maxTurns
+    async addSessionTurn(sessionId, { question, answer, conversationId = null }, maxTurns = 10) {
+        await this._run(`
+            INSERT INTO session_turns (session_id, question, answer, conversation_id)
+            VALUES (?, ?, ?, ?)
+        `, [sessionId, question, answer, conversationId]);
+
+        await this._run(`
+            DELETE FROM session_turns
+            WHERE session_id = ? AND id NOT IN (
+                SELECT id FROM session_turns WHERE session_id = ? ORDER BY id DESC LIMIT ?
+            )
+        `, [sessionId, sessionId, maxTurns]);
+    }
+
+    async deleteSession(id) {
+        const result = await this._run('DELETE FROM sessions WHERE id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    async purgeExpiredSessions() {
+        const result = await this._run('DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP');
+        return result.changes;
+    }
+
+    // bot: the bot the key is bound to, or null for any
+    async createApiKey({ name, keyHash, keyPrefix, scopes, rateLimit = null, bot = null }) {
+        return this._get(`
+            INSERT INTO api_keys (name, key_hash, key_prefix, scopes, rate_limit, bot)
+            VALUES (?, ?, ?, ?, ?, ?)
+            RETURNING id, name, key_prefix, scopes, rate_limit, bot, is_active, created_at, last_used_at, revoked_at
+        `, [name, keyHash, keyPrefix, scopes.join(','), rateLimit, bot]);
+    }
+
+    async findApiKeyByHash(keyHash) {
+        return this._get(
+            'SELECT * FROM api_keys WHERE key_hash = ? AND is_active = 1',
+            [keyHash]
+        );
+    }
+
+    async listApiKeys() {
+        return this._all(`
+            SELECT id, name, key_prefix, scopes, rate_limit, bot, is_active, created_at, last_used_at, revoked_at
+            FROM api_keys
+            ORDER BY created_at DESC, id DESC
+        `);
+    }
+
+    async revokeApiKey(id) {
+        const result = await this._run(`
+            UPDATE api_keys
+            SET is_active = 0, revoked_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND is_active = 1
+        `, [id]);
+        return result.changes > 0;
+    }
+
+    async touchApiKey(id) {
+        await this._run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    async createBot({ id, name, inheritBase = true, rateLimit = null }) {
+        const row = await this._get(`
+            INSERT INTO bots (id, name, inherit_base, rate_limit)
+            VALUES (?, ?, ?, ?)
+            RETURNING *
+        `, [id, name.trim(), inheritBase ? 1 : 0, rateLimit]);
+        return parseBot(row);
+    }
+
+    async getBot(id) {
+        return parseBot(await this._get('SELECT * FROM bots WHERE id = ?', [id]));
+    }
+
+    async listBots() {
+        const rows = await this._all(`
+            SELECT b.*, (SELECT COUNT(*) FROM conversations c WHERE c.bot = b.id) as total_responses
+            FROM bots b
+            ORDER BY b.id ASC
+        `);
+        return rows.map(parseBot);
+    }
+
+    // Updates the given fields. Returns undefined when the bot does not exist.
+    async updateBot(id, { name, inheritBase, rateLimit }) {
+        const assignments = [];
+        const params = [];
+
+        if (name !== undefined) {
+            assignments.push('name = ?');
+            params.push(name.trim());
+        }
+        if (inheritBase !== undefined) {
+            assignments.push('inherit_base = ?');
+            params.push(inheritBase ? 1 : 0);
+        }
+        if (rateLimit !== undefined) {
+            assignments.push('rate_limit = ?');
+            params.push(rateLimit);
+        }
+        if (assignments.length === 0) {
+            return this.getBot(id);
+        }
+
+        const row = await this._get(`
+            UPDATE bots
+            SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+            RETURNING *
+        `, [...params, id]);
+
+        // Inheriting or not changes what the bot answers
+        if (inheritBase !== undefined) {
+            this.responseCache.clear();
+        }
+        return parseBot(row);
+    }
+
+    // Deletes a bot with its answers, fallback replies and pending teaches,
+    // and revokes the API keys bound to it. Its logs and revisions are
+    // kept. Returns false when the bot does not exist.
+    async deleteBot(id) {
+        const conn = await this._openConnection();
+        let deleted;
+
+        try {
+            await this._exec('BEGIN IMMEDIATE;', conn);
+            deleted = (await this._run('DELETE FROM bots WHERE id = ?', [id], conn)).changes > 0;
+            if (deleted) {
+                await this._run('DELETE FROM conversations WHERE bot = ?', [id], conn);
+                await this._run('DELETE FROM pending_teaches WHERE bot = ?', [id], conn);
+                await this._run('DELETE FROM fallback_responses WHERE bot = ?', [id], conn);
+                await this._run(`
+                    UPDATE api_keys
+                    SET is_active = 0, revoked_at = CURRENT_TIMESTAMP
+                    WHERE bot = ? AND is_active = 1
+                `, [id], conn);
+            }
+            await this._exec('COMMIT;', conn);
+        } catch (error) {
+            await this._exec('ROLLBACK;', conn).catch(() => {});
+            throw error;
+        } finally {
+            await this._closeConnection(conn).catch(() => {});
+        }
+
+        this.responseCache.clear();
+        return deleted;
+    }
+
+    // The fallback replies a bot chain has for a language (see
+    // utils/fallbacks.js), narrowed by lookup.selectFallbacks()
+    async getFallbackResponses({ lang, bots = [''] } = {}) {
+        const langs = lang ? language.getLanguageChain(lang) : undefined;
+        const rows = await this._all(`
+            SELECT * FROM fallback_responses
+            WHERE bot IN (${placeholders(bots)})
+            ${langs ? `AND lang IN (${placeholders(langs)})` : ''}
+            ORDER BY id ASC
+        `, [...bots, ...(langs || [])]);
+        return lookup.selectFallbacks(rows, { langs, bots });
+    }
+
+    async listFallbackResponses({ bot = '', lang } = {}) {
+        const conditions = ['bot = ?'];
+        const params = [bot];
+
+        if (lang !== undefined) {
+            conditions.push('lang = ?');
+            params.push(normalizeLang(lang));
+        }
+
+        return this._all(`
+            SELECT * FROM fallback_responses
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY lang ASC, id ASC
+        `, params);
+    }
+
+    // Returns undefined when the bot already has the reply in that language
+    async addFallbackResponse(response, { bot = '', lang } = {}) {
+        return this._get(`
+            INSERT INTO fallback_responses (bot, lang, response)
+            VALUES (?, ?, ?)
+            ON CONFLICT(bot, lang, response) DO NOTHING
+            RETURNING *
+        `, [bot, normalizeLang(lang), response.trim()]);
+    }
+
+    // Returns false when the bot has no fallback reply with the id
+    async deleteFallbackResponse(id, { bot = '' } = {}) {
+        const result = await this._run('DELETE FROM fallback_responses WHERE id = ? AND bot = ?', [id, bot]);
+        return result.changes > 0;
+    }
+
+    async queuePendingTeach({ question, answer, lang, reasons, userAgent = '', ipAddress = '', apiKeyId = null, bot = '' }) {
+        const row = await this._get(`
+            INSERT INTO pending_teaches (question, answer, lang, reasons, user_agent, ip_address, api_key_id, bot)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            RETURNING *
+        `, [question.trim(), answer.trim(), normalizeLang(lang), JSON.stringify(reasons), userAgent, ipAddress, apiKeyId, bot]);
+        return parsePendingTeach(row);
+    }
+
+    async listPendingTeaches({ status = 'pending', bot = '', limit = 20, offset = 0 } = {}) {
+        const [rows, count] = await Promise.all([
+            this._all(`
+                SELECT * FROM pending_teaches
+                WHERE status = ? AND bot = ?
+                ORDER BY created_at ASC, id ASC
+                LIMIT ? OFFSET ?
+            `, [status, bot, limit, offset]),
+            this._get('SELECT COUNT(*) as total FROM pending_teaches WHERE status = ? AND bot = ?', [status, bot])
+        ]);
+        return { rows: rows.map(parsePendingTeach), total: count.total };
+    }
+
+    // Marks a pending teach of a bot as reviewed. Returns undefined when the
+    // id does not exist, belongs to another bot or was already reviewed.
+    async reviewPendingTeach(id, status, reviewedBy, { bot = '' } = {}) {
+        const row = await this._get(`
+            UPDATE pending_teaches
+            SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND bot = ? AND status = 'pending'
+            RETURNING *
+        `, [status, reviewedBy, id, bot]);
+        return parsePendingTeach(row);
+    }
+
+    // Publishes a pending teach to conversations
+    async approvePendingTeach(id, reviewedBy, actor = {}, { bot = '' } = {}) {
+        const pending = await this.reviewPendingTeach(id, 'approved', reviewedBy, { bot });
+        if (!pending) {
+            return undefined;
+        }
+
+        try {
+            // The revision keeps the original teacher's API key, IP and
+            // user agent
+            const response = await this.upsertResponse(pending.question, pending.answer, {
+                changedBy: actor.changedBy || reviewedBy,
+                apiKeyId: pending.api_key_id,
+                ipAddress: pending.ip_address,
+                userAgent: pending.user_agent
+            }, { lang: pending.lang, bot: pending.bot });
+            return { pending, response };
+        } catch (error) {
+            await this._run(
+                `UPDATE pending_teaches SET status = 'pending', reviewed_by = NULL, reviewed_at = NULL WHERE id = ?`,
+                [id]
+            );
+            throw error;
+        }
+    }
+
+    // Counts a request in a rate limit window and returns the new count
+    async incrementRateLimit(key, resetAt) {
+        const row = await this._get(`
+            INSERT INTO rate_limits (key, count, reset_at)
+            VALUES (?, 1, ?)
+            ON CONFLICT(key) DO UPDATE SET count = count + 1
+            RETURNING count
+        `, [key, resetAt]);
+        return row.count;
+    }
+
+    async purgeExpiredRateLimits(now) {
+        const result = await this._run('DELETE FROM rate_limits WHERE reset_at <= ?', [now]);
+        return result.changes;
+    }
+
+    async getLog(id) {
+        const queued = this.logBatcher.get(id);
+        if (queued) {
+            return { ...queued };
+        }
+        return this._get('SELECT * FROM logs WHERE id = ?', [id]);
+    }
+
+    // Votes a voter cast or changed in the last windowMinutes
+    async countRecentFeedback(voter, windowMinutes) {
+        const row = await this._get(`
+            SELECT COUNT(*) as total FROM feedback
+            WHERE voter = ? AND updated_at > datetime('now', ?)
+        `, [voter, `-${windowMinutes} minutes`]);
+        return row.total;
+    }
+
+    // Records a vote on an answer. A voter has one vote per answer; voting
+    // again replaces it. Returns the answer with its recounted votes, or
+    // undefined when the answer no longer exists.
+    async recordFeedback({ conversationId, logId, voter, vote, ipAddress = '' }) {
+        await this._run(`
+            INSERT INTO feedback (conversation_id, log_id, voter, vote, ip_address)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(conversation_id, voter) DO UPDATE SET
+                log_id = excluded.log_id,
+                vote = excluded.vote,
+                ip_address = excluded.ip_address,
+                updated_at = CURRENT_TIMESTAMP
+        `, [conversationId, logId, voter, vote, ipAddress]);
+
+        // Votes weigh in on which answer is picked
+        const row = await this._get(`
+            UPDATE conversations SET
+                upvotes = (SELECT COUNT(*) FROM feedback WHERE conversation_id = $id AND vote = 1),
+                downvotes = (SELECT COUNT(*) FROM feedback WHERE conversation_id = $id AND vote = -1)
+            WHERE id = $id
+            RETURNING *
+        `, { $id: conversationId });
+        if (row) {
+            this.responseCache.invalidate(row.normalized_question);
+        }
+        return row;
+    }
+
+    // Deactivates an answer the crowd voted down. Returns undefined when it
+    // was already inactive.
+    async autoHideResponse(id) {
+        const row = await this._transaction(async (conn) => {
+            const hidden = await this._get(`
+                UPDATE conversations
+                SET is_active = 0, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND is_active = 1
+                RETURNING *
+            `, [id], conn);
+            await this._recordRevision(hidden, 'auto_hide', { changedBy: 'feedback' }, conn);
+            return hidden;
+        });
+
+        if (row) {
+            this.responseCache.invalidate(row.normalized_question);
+        }
+        return row;
+    }
+
+    // event is 'ask' for questions and 'teach' for taught answers. The log
+    // is queued and written in a batch (see storage/logBatcher.js); its id
+    // is returned right away. sessionId and apiKeyId say who to erase it
+    // with (see eraseSubject()).
+    async logInteraction({
+        question,
+        response,
+        isTaught = false,
+        userAgent = '',
+        ipAddress = '',
+        responseTime = 0,
+        conversationId = null,
+        event = 'ask',
+        lang = null,
+        bot = '',
+        sessionId = null,
+        apiKeyId = null
+    }) {
+        return this.logBatcher.add({
+            question,
+            response,
+            is_taught: isTaught ? 1 : 0,
+            response_time_ms: responseTime,
+            user_agent: userAgent,
+            ip_address: ipAddress,
+            conversation_id: conversationId,
+            event,
+            lang,
+            bot,
+            session_id: sessionId,
+            api_key_id: apiKeyId,
+            timestamp: toSqlTimestamp(Date.now())
+        });
+    }
+
+    // Reserves count log ids by advancing the AUTOINCREMENT counter, which
+    // SQLite never hands out again
+    async _reserveLogIds(count) {
+        const conn = await this._openConnection();
+        try {
+            await this._exec('BEGIN IMMEDIATE;', conn);
+            await this._run(`
+                INSERT INTO sqlite_sequence (name, seq)
+                SELECT 'logs', 0
+                WHERE NOT EXISTS (SELECT 1 FROM sqlite_sequence WHERE name = 'logs')
+            `, [], conn);
+            const { seq } = await this._get(`
+                UPDATE sqlite_sequence
+                SET seq = MAX(seq, (SELECT COALESCE(MAX(id), 0) FROM logs)) + ?
+                WHERE name = 'logs'
+                RETURNING seq
+            `, [count], conn);
+            await this._exec('COMMIT;', conn);
+            return Array.from({ length: count }, (_, i) => seq - count + 1 + i);
+        } catch (error) {
+            await this._exec('ROLLBACK;', conn).catch(() => {});
+            throw error;
+        } finally {
+            await this._closeConnection(conn).catch(() => {});
+        }
+    }
+
+    // One INSERT for the batch, so it is written all or nothing
+    async _insertLogs(logs) {
+        const placeholders = logs.map(() => `(${LOG_COLUMNS.map(() => '?').join(', ')})`).join(', ');
+        await this._run(
+            `INSERT INTO logs (${LOG_COLUMNS.join(', ')}) VALUES ${placeholders}`,
+            logs.flatMap(log => LOG_COLUMNS.map(column => log[column]))
+        );
+    }
+
+    // Deletes logs older than the retention window, first adding them to
+    // the daily totals in aggregate mode (see utils/privacy.js). Returns
+    // the number of logs deleted.
+    async applyLogRetention({ days, mode } = privacy.getRetentionConfig()) {
+        if (!days) {
+            return 0;
+        }
+
+        const cutoff = toSqlTimestamp(Date.now() - days * 24 * 60 * 60 * 1000);
+        const conn = await this._openConnection();
+
+        try {
+            await this._exec('BEGIN IMMEDIATE;', conn);
+            if (mode === 'aggregate') {
+                await this._run(`
+                    INSERT INTO log_daily_totals (day, bot, event, lang, interactions, answered, response_time_ms_total, response_timed)
+                    SELECT DATE(timestamp), bot, event, COALESCE(lang, ''),
+                           COUNT(*),
+                           SUM(is_taught),
+                           SUM(CASE WHEN response_time_ms > 0 THEN response_time_ms ELSE 0 END),
+                           SUM(CASE WHEN response_time_ms > 0 THEN 1 ELSE 0 END)
+                    FROM logs
+                    WHERE timestamp < ?
+                    GROUP BY DATE(timestamp), bot, event, COALESCE(lang, '')
+                    ON CONFLICT(day, bot, event, lang) DO UPDATE SET
+                        interactions = interactions + excluded.interactions,
+                        answered = answered + excluded.answered,
+                        response_time_ms_total = response_time_ms_total + excluded.response_time_ms_total,
+                        response_timed = response_timed + excluded.response_timed
+                `, [cutoff], conn);
+            }
+            const { changes } = await this._run('DELETE FROM logs WHERE timestamp < ?', [cutoff], conn);
+            await this._exec('COMMIT;', conn);
+            return changes;
+        } catch (error) {
+            await this._exec('ROLLBACK;', conn).catch(() => {});
+            throw error;
+        } finally {
+            await this._closeConnection(conn).catch(() => {});
+        }
+    }
+
+    // Erases what is tied to a person, given any of their IP address (as
+    // stored whole or hashed, see privacy.storedIpForms()), API key id or
+    // chat session id: their logs, votes and queued teaches, the
+    // session and those they own, and the answers only they taught. Answers others taught too
+    // lose the person's teaches, and the revisions left keep no trace of
+    // them. Runs in one transaction; with dryRun it is rolled back, so the
+    // report tells what would be erased.
+    async eraseSubject({ ip, apiKeyId, sessionId }, { dryRun = false } = {}) {
+        // Queued logs have to be written before they can be deleted
+        await this.logBatcher.flush();
+
+        const ips = ip ? privacy.storedIpForms(ip) : [];
+
+        // Logs still queued after that (while writes are failing) are
+        // taken out of the queue instead
+        const isSubjectLog = log => ips.includes(log.ip_address)
+            || (apiKeyId && log.api_key_id === apiKeyId)
+            || (sessionId && log.session_id === sessionId);
+        const queuedLogs = dryRun ? this.logBatcher.count(isSubjectLog) : this.logBatcher.remove(isSubjectLog);
+
+        // Voters and session owners are client ids (see getClientId())
+        const clientIds = [...ips.map(form => `ip:${form}`), ...(apiKeyId ? [`key:${apiKeyId}`] : [])];
+
+        // WHERE clause for rows tied to the subject, or null when none can be
+        const matching = ({ ipColumn, apiKeyColumn, sessionColumn }) => {
+            const conditions = [];
+            const params = [];
+
+            if (ipColumn && ips.length > 0) {
+                conditions.push(`${ipColumn} IN (${placeholders(ips)})`);
+                params.push(...ips);
+            }
+            if (apiKeyColumn && apiKeyId) {
+                conditions.push(`${apiKeyColumn} = ?`);
+                params.push(apiKeyId);
+            }
+            if (sessionColumn && sessionId) {
+                conditions.push(`${sessionColumn} = ?`);
+                params.push(sessionId);
+            }
+            return conditions.length > 0 ? { where: `(${conditions.join(' OR ')})`, params } : null;
+        };
+
+        const report = {
+            logs: 0,
+            sessions: 0,
+            session_turns: 0,
+            votes: 0,
+            pending_teaches: 0,
+            responses_deleted: 0,
+            responses_updated: 0,
+            revisions_deleted: 0,
+            revisions_anonymized: 0
+        };
+        const conn = await this._openConnection();
+
+        try {
+            await this._exec('BEGIN IMMEDIATE;', conn);
+
+            const logs = matching({ ipColumn: 'ip_address', apiKeyColumn: 'api_key_id', sessionColumn: 'session_id' });
+            report.logs = queuedLogs + (await this._run(`DELETE FROM logs WHERE ${logs.where}`, logs.params, conn)).changes;
+
+            // The session, and every session the subject owns
+            const sessionIds = await this._all(`
+                SELECT id FROM sessions
+                WHERE id = ? ${clientIds.length > 0 ? `OR owner IN (${placeholders(clientIds)})` : ''}
+            `, [sessionId || null, ...clientIds], conn);
+            const erasedSessions = [...new Set([...(sessionId ? [sessionId] : []), ...sessionIds.map(row => row.id)])];
+            if (erasedSessions.length > 0) {
+                report.session_turns = (await this._run(`DELETE FROM session_turns WHERE session_id IN (${placeholders(erasedSessions)})`, erasedSessions, conn)).changes;
+                report.sessions = (await this._run(`DELETE FROM sessions WHERE id IN (${placeholders(erasedSessions)})`, erasedSessions, conn)).changes;
+            }
+
+            // Votes, then the counts they were part of
+            const votes = matching({ ipColumn: 'ip_address' });
+            const deletedVotes = clientIds.length === 0 ? [] : await this._all(`
+                DELETE FROM feedback
+                WHERE voter IN (${placeholders(clientIds)}) ${votes ? `OR ${votes.where}` : ''}
+                RETURNING conversation_id
+            `, [...clientIds, ...(votes ? votes.params : [])], conn);
+            report.votes = deletedVotes.length;
+            for (const id of new Set(deletedVotes.map(vote => vote.conversation_id))) {
+                await this._run(`
+                    UPDATE conversations SET
+                        upvotes = (SELECT COUNT(*) FROM feedback WHERE conversation_id = $id AND vote = 1),
+                        downvotes = (SELECT COUNT(*) FROM feedback WHERE conversation_id = $id AND vote = -1)
+                    WHERE id = $id
+                `, { $id: id }, conn);
+            }
+
+            // Teaches are tied by IP and API key; chat sessions don't teach
+            const teaches = matching({ ipColumn: 'ip_address', apiKeyColumn: 'api_key_id' });
+            if (teaches) {
+                report.pending_teaches = (await this._run(`DELETE FROM pending_teaches WHERE ${teaches.where}`, teaches.params, conn)).changes;
+
+                const revisions = matching({ ipColumn: 'r.ip_address', apiKeyColumn: 'r.api_key_id' });
+                const taught = await this._all(`
+                    SELECT r.conversation_id, COUNT(*) as teaches, c.teach_count
+                    FROM conversation_revisions r
+                    JOIN conversations c ON c.id = r.conversation_id
+                    WHERE r.action IN ('create', 'teach') AND ${revisions.where}
+                    GROUP BY r.conversation_id
+                `, revisions.params, conn);
+
+                for (const row of taught) {
+                    if (row.teaches >= row.teach_count) {
+                        await this._run('DELETE FROM conversations WHERE id = ?', [row.conversation_id], conn);
+                        report.revisions_deleted += (await this._run('DELETE FROM conversation_revisions WHERE conversation_id = ?', [row.conversation_id], conn)).changes;
+                        report.responses_deleted++;
+                    } else {
+                        await this._run('UPDATE conversations SET teach_count = teach_count - ? WHERE id = ?', [row.teaches, row.conversation_id], conn);
+                        report.responses_updated++;
+                    }
+                }
+
+                report.revisions_anonymized = (await this._run(`
+                    UPDATE conversation_revisions
+                    SET changed_by = NULL, api_key_id = NULL, ip_address = NULL, user_agent = NULL
+                    WHERE ${teaches.where}
+                `, teaches.params, conn)).changes;
+            }
+
+            await this._exec(dryRun ? 'ROLLBACK;' : 'COMMIT;', conn);
+        } catch (error) {
+            await this._exec('ROLLBACK;', conn).catch(() => {});
+            throw error;
+        } finally {
+            await this._closeConnection(conn).catch(() => {});
+        }
+
+        if (!dryRun) {
+            this.responseCache.clear();
+        }
+        return report;
+    }
+
+    // Counts one bot's own answers and interactions, including logs rolled
+    // up by the retention policy. With a lang, only answers stored in that
+    // language and interactions looked up in it
+    async getStats({ lang, bot = '' } = {}) {
+        const byLang = lang ? 'bot = $bot AND lang = $lang' : 'bot = $bot';
+        const query = `
+            SELECT 
+                (SELECT COUNT(*) FROM conversations WHERE ${byLang}) as total_responses,
+                (SELECT COUNT(DISTINCT normalized_question) FROM conversations WHERE ${byLang}) as total_questions,
+                (SELECT COUNT(*) FROM logs WHERE ${byLang})
+                    + (SELECT COALESCE(SUM(interactions), 0) FROM log_daily_totals WHERE ${byLang}) as total_interactions,
+                (SELECT COUNT(*) FROM logs WHERE is_taught = 1 AND ${byLang})
+                    + (SELECT COALESCE(SUM(answered), 0) FROM log_daily_totals WHERE ${byLang}) as taught_responses,
+                (SELECT MAX(created_at) FROM conversations WHERE ${byLang}) as last_taught,
+                (
+                    (SELECT COALESCE(SUM(response_time_ms), 0) FROM logs WHERE response_time_ms > 0 AND ${byLang})
+                    + (SELECT COALESCE(SUM(response_time_ms_total), 0) FROM log_daily_totals WHERE ${byLang})
+                ) * 1.0 / NULLIF(
+                    (SELECT COUNT(*) FROM logs WHERE response_time_ms > 0 AND ${byLang})
+                    + (SELECT COALESCE(SUM(response_timed), 0) FROM log_daily_totals WHERE ${byLang}),
+                    0
+                ) as avg_response_time
+        `;
+        
+        return this._get(query, { $bot: bot, ...(lang && { $lang: normalizeLang(lang) }) });
+    }
+
+    // Analytics over one bot's logged asks. from/to are 'YYYY-MM-DD
+    // HH:MM:SS' UTC strings matching the logs.timestamp format; either may
+    // be omitted.
+    _askRange({ from, to, bot = '' } = {}) {
+        const conditions = [`bot = ?`, `event = 'ask'`];
+        const params = [bot];
+
+        if (from) {
+            conditions.push('timestamp >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('timestamp < ?');
+            params.push(to);
+        }
+        return { where: `WHERE ${conditions.join(' AND ')}`, params };
+    }
+
+    // Most frequent questions nothing matched. Unless includeTaught is set,
+    // questions that have an active answer by now, in the bot's chain
+    // (bots), are left out.
+    async getUnansweredQuestions({ from, to, bot = '', bots = [bot], limit = 20, includeTaught = false } = {}) {
+        const { where, params } = this._askRange({ from, to, bot });
+
+        return this._all(`
+            SELECT normalized_question as question,
+                   COUNT(*) as count,
+                   MIN(timestamp) as first_asked,
+                   MAX(timestamp) as last_asked
+            FROM logs
+            ${where} AND is_taught = 0
+            ${includeTaught ? '' : `AND normalized_question NOT IN (
+                SELECT normalized_question FROM conversations
+                WHERE is_active = 1 AND bot IN (${placeholders(bots)})
+            )`}
+            GROUP BY normalized_question
+            ORDER BY count DESC, last_asked DESC
+            LIMIT ?
+        `, [...params, ...(includeTaught ? [] : bots), limit]);
+    }
+
+    async getTopQuestions({ from, to, bot = '', limit = 20 } = {}) {
+        const { where, params } = this._askRange({ from, to, bot });
+
+        return this._all(`
+            SELECT normalized_question as question,
+                   COUNT(*) as count,
+                   SUM(is_taught) as answered,
+                   ROUND(AVG(is_taught), 4) as hit_rate,
+                   MAX(timestamp) as last_asked
+            FROM logs
+            ${where}
+            GROUP BY normalized_question
+            ORDER BY count DESC, last_asked DESC
+            LIMIT ?
+        `, [...params, limit]);
+    }
+
+    // interval is 'hour' or 'day'. Daily buckets include logs rolled up by
+    // the retention policy (whole days, for days overlapping the range).
+    async getHitRate({ from, to, bot = '', interval = 'day' } = {}) {
+        const { where, params } = this._askRange({ from, to, bot });
+        const format = interval === 'hour' ? '%Y-%m-%d %H:00:00' : '%Y-%m-%d';
+
+        const totals = { conditions: ['bot = ?', `event = 'ask'`], params: [bot] };
+        if (from) {
+            totals.conditions.push('day >= DATE(?)');
+            totals.params.push(from);
+        }
+        if (to) {
+            totals.conditions.push(`day || ' 00:00:00' < ?`);
+            totals.params.push(to);
+        }
+
+        return this._all(`
+            SELECT bucket,
+                   SUM(total) as total,
+                   SUM(answered) as answered,
+                   ROUND(SUM(answered) * 1.0 / SUM(total), 4) as hit_rate
+            FROM (
+                SELECT strftime('${format}', timestamp) as bucket,
+                       COUNT(*) as total,
+                       SUM(is_taught) as answered
+                FROM logs
+                ${where}
+                GROUP BY bucket
+                ${interval === 'day' ? `
+                UNION ALL
+                SELECT day, interactions, answered
+                FROM log_daily_totals
+                WHERE ${totals.conditions.join(' AND ')}` : ''}
+            )
+            GROUP BY bucket
+            ORDER BY bucket ASC
+        `, interval === 'day' ? [...params, ...totals.params] : params);
+    }
+
+    async getResponseTimePercentiles({ from, to, bot = '', percentiles = [50, 90, 95, 99] } = {}) {
+        const range = this._askRange({ from, to, bot });
+        const where = `${range.where} AND response_time_ms IS NOT NULL`;
+
+        const summary = await this._get(`
+            SELECT COUNT(*) as count,
+                   AVG(response_time_ms) as avg,
+                   MIN(response_time_ms) as min,
+                   MAX(response_time_ms) as max
+            FROM logs
+            ${where}
+        `, range.params);
+
+        const result = {
+            count: summary.count,
+            avg: summary.avg === null ? null : Math.round(summary.avg * 100) / 100,
+            min: summary.min,
+            max: summary.max
+        };
+
+        // Nearest-rank percentiles
+        for (const percentile of percentiles) {
+            if (summary.count === 0) {
+                result[`p${percentile}`] = null;
+                continue;
+            }
+
+            const offset = Math.max(Math.ceil((percentile / 100) * summary.count) - 1, 0);
+            const row = await this._get(`
+                SELECT response_time_ms FROM logs
+                ${where}
+                ORDER BY response_time_ms ASC
+                LIMIT 1 OFFSET ?
+            `, [...range.params, offset]);
+            result[`p${percentile}`] = row.response_time_ms;
+        }
+        return result;
+    }
+
+    // Ranked full-text search over questions and answers. Results are
+    // ordered by BM25 (question matches count double), boosted by the
+    // answer's weight, and carry highlighted snippets. Dates are
+    // 'YYYY-MM-DD HH:MM:SS' UTC bounds on created_at; bots is the bot
+    // chain searched. Returns { rows, total }; rows is empty when the term
+    // has no searchable words.
+    async searchResponses(searchTerm, { limit = 10, offset = 0, lang, isActive = true, from, to, minTeachCount, bots = [''] } = {}) {
+        const match = toFtsQuery(searchTerm);
+        if (!match) {
+            return { rows: [], total: 0 };
+        }
+
+        const conditions = ['conversations_fts MATCH ?', `c.bot IN (${placeholders(bots)})`];
+        const params = [match, ...bots];
+
+        if (isActive !== undefined) {
+            conditions.push('c.is_active = ?');
+            params.push(isActive ? 1 : 0);
+        }
+        if (lang) {
+            conditions.push('c.lang = ?');
+            params.push(normalizeLang(lang));
+        }
+        if (from) {
+            conditions.push('c.created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('c.created_at < ?');
+            params.push(to);
+        }
+        if (minTeachCount) {
+            conditions.push('c.teach_count >= ?');
+            params.push(minTeachCount);
+        }
+
+        const source = `
+            FROM conversations_fts
+            JOIN conversations c ON c.id = conversations_fts.rowid
+            WHERE ${conditions.join(' AND ')}
+        `;
+        const [rows, count] = await Promise.all([
+            this._all(`
+                SELECT c.*,
+                    highlight(conversations_fts, 0, '<mark>', '</mark>') as question_highlight,
+                    snippet(conversations_fts, 1, '<mark>', '</mark>', '…', 16) as answer_snippet,
+                    -bm25(conversations_fts, 2.0, 1.0) as relevance
+                ${source}
+                ORDER BY bm25(conversations_fts, 2.0, 1.0) * (1 + ${ANSWER_WEIGHT_EXPRESSION} / (${ANSWER_WEIGHT_EXPRESSION} + 1)) ASC, c.id ASC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]),
+            this._get(`SELECT COUNT(*) as total ${source}`, params)
+        ]);
+
+        return { rows, total: count.total };
+    }
+
+    // Query helpers. Each takes an optional connection so that work on a
+    // dedicated connection (see _openConnection) can reuse them, and is
+    // timed for /metrics.
+    _exec(sql, conn = this.db) {
+        return metrics.timeQuery(this.backend, sql, new Promise((resolve, reject) => {
+            conn.exec(sql, (err) => (err ? reject(err) : resolve()));
+        }));
+    }
+
+    _get(sql, params = [], conn = this.db) {
+        return metrics.timeQuery(this.backend, sql, new Promise((resolve, reject) => {
+            conn.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        }));
+    }
+
+    _all(sql, params = [], conn = this.db) {
+        return metrics.timeQuery(this.backend, sql, new Promise((resolve, reject) => {
+            conn.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        }));
+    }
+
+    _run(sql, params = [], conn = this.db) {
+        return metrics.timeQuery(this.backend, sql, new Promise((resolve, reject) => {
+            conn.run(sql, params, function(err) {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(this.lastID);
+                    resolve({ lastID: this.lastID, changes: this.changes });
                 }
             });
-        });
+        }));
     }
 
-    async getStats() {
+    // A second connection to the same file, for transactions that must not
+    // interleave with statements from concurrent requests
+    _openConnection() {
         return new Promise((resolve, reject) => {
-            const query = `
-                SELECT 
-                    (SELECT COUNT(*) FROM conversations) as total_responses,
-                    (SELECT COUNT(*) FROM logs) as total_interactions,
-                    (SELECT COUNT(*) FROM logs WHERE is_taught = 1) as taught_responses,
-                    (SELECT MAX(created_at) FROM conversations) as last_taught,
-                    (SELECT AVG(response_time_ms) FROM logs WHERE response_time_ms > 0) as avg_response_time
-            `;
-            
-            this.db.get(query, (err, row) => {
+            const conn = new sqlite3.Database(this.dbPath, sqlite3.OPEN_READWRITE, (err) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(row);
+                    conn.configure('busyTimeout', 5000);
+                    resolve(conn);
                 }
             });
         });
     }
 
-    async searchResponses(searchTerm, limit = 10, offset = 0) {
+    _closeConnection(conn) {
         return new Promise((resolve, reject) => {
-            const normalizedSearch = `%${searchTerm.toLowerCase().trim()}%`;
-            
-            const query = `
-                SELECT * FROM conversations 
-                WHERE normalized_question LIKE ? 
-                OR answer LIKE ?
-                AND is_active = 1
-                ORDER BY teach_count DESC
-                LIMIT ? OFFSET ?
-            `;
-            
-            this.db.all(query, [normalizedSearch, normalizedSearch, limit, offset], (err, rows) => {
+            conn.close((err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    // Runs work(conn) in a write transaction on a connection of its own, so
+    // statements of concurrent requests on this.db can't end up in it.
+    // Resolves with what work resolves with; rolls back if it throws.
+    async _transaction(work) {
+        const conn = await this._openConnection();
+        try {
+            await this._exec('BEGIN IMMEDIATE;', conn);
+            const result = await work(conn);
+            await this._exec('COMMIT;', conn);
+            return result;
+        } catch (error) {
+            await this._exec('ROLLBACK;', conn).catch(() => {});
+            throw error;
+        } finally {
+            await this._closeConnection(conn).catch(() => {});
+        }
+    }
+
+    // Copies the live database to filename with SQLite's online backup API.
+    // Readers and writers carry on meanwhile (WAL mode). The copy is switched
+    // to rollback-journal mode so it is a single self-contained file.
+    async backupTo(filename) {
+        await new Promise((resolve, reject) => {
+            const backup = this.db.backup(filename, (err) => {
                 if (err) {
                     reject(err);
-                } else {
-                    resolve(rows);
+                    return;
                 }
+                backup.step(-1, (stepErr) => {
+                    backup.finish((finishErr) => {
+                        if (stepErr || finishErr) {
+                            reject(stepErr || finishErr);
+                        } else {
+                            resolve();
+                        }
+                    });
+                });
             });
         });
+
+        const conn = await new Promise((resolve, reject) => {
+            const copy = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE, (err) => (err ? reject(err) : resolve(copy)));
+        });
+        try {
+            await this._get('PRAGMA journal_mode = DELETE', [], conn);
+        } finally {
+            await this._closeConnection(conn);
+        }
+    }
+
+    // Runs PRAGMA integrity_check on a database file. The file is opened
+    // read-write because checking the FTS5 index needs it, but no data is
+    // changed. Resolves with { ok, errors }; files that are not databases
+    // are not ok.
+    static async checkIntegrity(filename) {
+        let conn;
+        try {
+            conn = await new Promise((resolve, reject) => {
+                const db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE, (err) => (err ? reject(err) : resolve(db)));
+            });
+            const rows = await new Promise((resolve, reject) => {
+                conn.all('PRAGMA integrity_check', (err, result) => (err ? reject(err) : resolve(result)));
+            });
+            const errors = rows.map(row => row.integrity_check).filter(message => message !== 'ok');
+            return { ok: errors.length === 0, errors };
+        } catch (error) {
+            return { ok: false, errors: [error.message] };
+        } finally {
+            if (conn) {
+                await new Promise(resolve => conn.close(() => resolve()));
+            }
+        }
     }
 
     async close() {
+        // Write queued logs while the connection is still open
+        await this.logBatcher.flush();
+
         return new Promise((resolve, reject) => {
             if (this.db) {
                 this.db.close((err) => {
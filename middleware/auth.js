@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const privacy = require('../utils/privacy');
+
+const SCOPES = ['ask', 'teach', 'admin'];
+
+// Extracts the token from "Authorization: Bearer <token>"
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token.trim() : null;
+}
+
+// EventSource can't send headers, so event streams may pass the key as
+// ?access_token=. Other requests must use the header, keeping keys out of
+// URLs and access logs.
+function getStreamToken(req) {
+    const acceptsStream = (req.headers.accept || '').includes('text/event-stream');
+    return acceptsStream && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function generateApiKey() {
+    return `sk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Scopes granted to requests without an API key. Teaching needs a key
+// unless ANONYMOUS_SCOPES includes teach.
+function getAnonymousScopes() {
+    const configured = process.env.ANONYMOUS_SCOPES;
+    if (configured === undefined) {
+        return ['ask'];
+    }
+    return configured.split(',').map(scope => scope.trim()).filter(scope => SCOPES.includes(scope));
+}
+
+function unauthorized(res, message) {
+    return res.status(401).json({
+        error: 'Unauthorized',
+        message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Resolves the Authorization header to req.apiKey ({ id, name, scopes,
+// rate_limit, bot }), or null for anonymous requests. A key with a bot
+// only works for that bot (see utils/bots.js). ADMIN_API_KEY acts as a
+// master key with every scope, so the first database keys can be issued.
+const authenticate = (db) => async (req, res, next) => {
+    const token = getBearerToken(req) || getStreamToken(req);
+    req.apiKey = null;
+
+    if (!token) {
+        return next();
+    }
+
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (adminKey && safeEqual(token, adminKey)) {
+        req.apiKey = { id: null, name: 'master', scopes: SCOPES, rate_limit: null, bot: null };
+        return next();
+    }
+
+    // The memory backend stores no API keys
+    if (typeof db.findApiKeyByHash !== 'function') {
+        return unauthorized(res, `API keys are not available with the ${db.backend} storage backend; use ADMIN_API_KEY`);
+    }
+
+    try {
+        const key = await db.findApiKeyByHash(hashApiKey(token));
+        if (!key) {
+            return unauthorized(res, 'Invalid or revoked API key');
+        }
+
+        req.apiKey = { ...key, scopes: key.scopes.split(',') };
+        db.touchApiKey(key.id).catch(error => console.error('Failed to update API key usage:', error));
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// The admin scope implies every other scope
+const requireScope = (scope) => (req, res, next) => {
+    const scopes = req.apiKey ? req.apiKey.scopes : getAnonymousScopes();
+
+    if (scopes.includes(scope) || scopes.includes('admin')) {
+        return next();
+    }
+
+    if (!req.apiKey) {
+        return unauthorized(res, `An API key with the "${scope}" scope is required in the Authorization header (Bearer <key>)`);
+    }
+
+    res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key lacks the "${scope}" scope`,
+        timestamp: new Date().toISOString()
+    });
+};
+
+const requireAdmin = requireScope('admin');
+
+// Who is calling: the API key, or the IP for anonymous requests (hashed
+// unless PRIVACY_IP_MODE is full, see utils/privacy.js)
+function getClientId(req) {
+    return req.apiKey ? `key:${req.apiKey.id || req.apiKey.name}` : `ip:${privacy.pseudonymizeIp(req.ip || '')}`;
+}
+
+// Who is making a change or asking, for revision history and logs. The IP
+// and user agent are in the form they may be stored in.
+function getActor(req) {
+    return {
+        changedBy: req.apiKey ? req.apiKey.name : 'anonymous',
+        // null for the master key
+        apiKeyId: req.apiKey && req.apiKey.id || null,
+        ipAddress: privacy.anonymizeIp(req.ip || ''),
+        userAgent: privacy.storedUserAgent(req.headers['user-agent'] || '')
+    };
+}
+
+module.exports = {
+    SCOPES,
+    getBearerToken,
+    getAnonymousScopes,
+    safeEqual,
+    generateApiKey,
+    hashApiKey,
+    authenticate,
+    requireScope,
+    requireAdmin,
+    getClientId,
+    getActor
+};
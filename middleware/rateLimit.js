@@ -0,0 +1,159 @@
+// Fixed-window rate limiting with named policies. Every request counts
+// against the "default" policy; routes can add their own (e.g. "teach").
+// Policies are configured as RATE_LIMIT_<NAME>=<requests>/<window>, where
+// the window is in seconds or has an s/m/h suffix ("20/1m"). A policy with
+// no configuration and no built-in default is not enforced.
+//
+// Requests with an API key are counted per key, and a key's own rate_limit
+// replaces the default policy's limit. Anonymous requests are counted per
+// client IP (see TRUST_PROXY in app.js). Requests to a named bot (req.bot)
+// are counted apart from those to other bots, and the bot's rate_limit
+// replaces the default policy's limit for keys without one. Counters live in the storage
+// backend by default so they survive restarts and are shared by every
+// process using the same database; RATE_LIMIT_STORE=memory keeps them in
+// process.
+const { getClientId } = require('./auth');
+const metrics = require('../utils/metrics');
+
+const BUILT_IN_POLICIES = {
+    default: '100/60',
+    teach: '20/60'
+};
+
+const WINDOW_UNITS = { s: 1, m: 60, h: 3600 };
+
+// Parses "<requests>/<window>" into { limit, windowMs }, or null
+function parsePolicy(value) {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*([smh]?)\s*$/i.exec(value || '');
+    if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+        return null;
+    }
+    return {
+        limit: Number(match[1]),
+        windowMs: Number(match[2]) * WINDOW_UNITS[(match[3] || 's').toLowerCase()] * 1000
+    };
+}
+
+function getPolicy(name) {
+    const configured = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    return parsePolicy(configured !== undefined ? configured : BUILT_IN_POLICIES[name]);
+}
+
+class MemoryRateLimitStore {
+    constructor() {
+        this.counters = new Map();
+    }
+
+    async increment(key, resetAt) {
+        const count = (this.counters.get(key)?.count || 0) + 1;
+        this.counters.set(key, { count, resetAt });
+        return count;
+    }
+
+    async purgeExpired() {
+        const now = Date.now();
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+// Counters in the storage backend, shared by every process using it
+class DatabaseRateLimitStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    increment(key, resetAt) {
+        return this.db.incrementRateLimit(key, resetAt);
+    }
+
+    purgeExpired() {
+        return this.db.purgeExpiredRateLimits(Date.now());
+    }
+}
+
+// RATE_LIMIT_STORE: database (default; "sqlite" is accepted too) or memory
+function createStore(db) {
+    return (process.env.RATE_LIMIT_STORE || 'database').toLowerCase() === 'memory'
+        ? new MemoryRateLimitStore()
+        : new DatabaseRateLimitStore(db);
+}
+
+// Counts one request by client against a policy. Returns null when the
+// policy is not enforced, else { limit, remaining, resetAt, limited,
+// retryAfter }. limit overrides the policy's own.
+async function consume(store, policyName, client, limit) {
+    const policy = getPolicy(policyName);
+    if (!policy) {
+        return null;
+    }
+
+    const max = limit || policy.limit;
+    const now = Date.now();
+    const windowStart = now - (now % policy.windowMs);
+    const resetAt = windowStart + policy.windowMs;
+    const count = await store.increment(`${policyName}:${client}:${windowStart}`, resetAt);
+    if (count > max) {
+        metrics.rateLimitRejections.inc({ policy: policyName });
+    }
+
+    return {
+        limit: max,
+        remaining: Math.max(max - count, 0),
+        resetAt,
+        limited: count > max,
+        retryAfter: Math.ceil((resetAt - now) / 1000)
+    };
+}
+
+// Middleware enforcing one policy. Store errors are logged and let the
+// request through rather than taking the API down.
+const rateLimit = (store, policyName = 'default') => async (req, res, next) => {
+    const bot = req.bot && req.bot.id;
+    const limit = policyName === 'default'
+        && ((req.apiKey && req.apiKey.rate_limit) || (bot && req.bot.rate_limit));
+    const client = bot ? `bot:${bot}:${getClientId(req)}` : getClientId(req);
+
+    let usage;
+    try {
+        usage = await consume(store, policyName, client, limit);
+    } catch (error) {
+        console.error('Rate limit store failed:', error);
+        return next();
+    }
+
+    if (!usage) {
+        return next();
+    }
+
+    res.set({
+        'X-RateLimit-Limit': usage.limit,
+        'X-RateLimit-Remaining': usage.remaining,
+        'X-RateLimit-Reset': new Date(usage.resetAt).toISOString()
+    });
+
+    if (usage.limited) {
+        res.set('Retry-After', usage.retryAfter);
+        return res.status(429).json({
+            error: 'Too many requests',
+            message: 'Please slow down!',
+            policy: policyName,
+            retryAfter: usage.retryAfter
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    parsePolicy,
+    getPolicy,
+    MemoryRateLimitStore,
+    DatabaseRateLimitStore,
+    createStore,
+    consume,
+    rateLimit
+};
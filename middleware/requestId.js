@@ -0,0 +1,20 @@
+// Gives every request an id: the caller's X-Request-Id when it looks like
+// one (so ids from a proxy or client carry through), else a new UUID. It is
+// echoed in the X-Request-Id response header, available as req.id, and
+// attached to every log line written while the request is handled (see
+// utils/logger.js).
+const crypto = require('crypto');
+const { requestContext } = require('../utils/logger');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestId = () => (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = {
+    requestId
+};
@@ -0,0 +1,65 @@
+// Only the SQLite backend implements moderation queues, feedback,
+// analytics, admin and backups (see storage/index.js). Routes needing
+// them answer 501 on other backends, and features turned on in the
+// environment that the backend can't provide stop the server at startup
+// (see checkStorageSupport()).
+const moderation = require('../utils/moderation');
+
+const supports = (db, method) => typeof db[method] === 'function';
+
+// Settings that need a storage method when they are on, and how to turn
+// them off
+const CONFIGURED_FEATURES = [
+    {
+        setting: 'MODERATION_ENABLED',
+        isOn: () => moderation.isEnabled(),
+        method: 'queuePendingTeach',
+        needs: 'a review queue for flagged teaches',
+        fix: 'set MODERATION_ENABLED=false'
+    },
+    {
+        setting: 'BACKUP_INTERVAL_HOURS',
+        isOn: () => parseFloat(process.env.BACKUP_INTERVAL_HOURS) > 0,
+        method: 'backupTo',
+        needs: 'online backups',
+        fix: 'set BACKUP_INTERVAL_HOURS=0'
+    },
+    {
+        setting: 'RATE_LIMIT_STORE',
+        isOn: () => (process.env.RATE_LIMIT_STORE || 'database').toLowerCase() !== 'memory',
+        method: 'incrementRateLimit',
+        needs: 'rate limit counters in the database',
+        fix: 'set RATE_LIMIT_STORE=memory'
+    }
+];
+
+// Throws at startup when a configured feature needs what the storage
+// backend lacks, rather than failing on every request that uses it
+function checkStorageSupport(db) {
+    const missing = CONFIGURED_FEATURES.filter(feature => feature.isOn() && !supports(db, feature.method));
+    if (missing.length > 0) {
+        throw new Error(missing
+            .map(feature => `${feature.setting} needs ${feature.needs}, which the ${db.backend} storage backend does not have. Use SQLite or ${feature.fix}.`)
+            .join(' '));
+    }
+}
+
+const notImplemented = (res, db) => res.status(501).json({
+    error: 'Not Implemented',
+    message: `This feature is not available with the ${db.backend} storage backend`,
+    timestamp: new Date().toISOString()
+});
+
+const requireStorage = (db, method) => (req, res, next) => {
+    if (!supports(db, method)) {
+        return notImplemented(res, db);
+    }
+    next();
+};
+
+module.exports = {
+    checkStorageSupport,
+    supports,
+    notImplemented,
+    requireStorage
+};
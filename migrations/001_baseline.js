@@ -0,0 +1,296 @@
+// Baseline schema. Databases created before versioned migrations were
+// built by CREATE TABLE IF NOT EXISTS plus ad-hoc column additions on every
+// boot, so this migration accepts any of those states and brings it to the
+// same schema as a fresh install:
+// - a conversations table with an older unique key (one answer per
+//   question, or no context or language) is rebuilt and its rows copied
+// - columns added since the table was first created are added
+// - the full-text index is created and built
+
+const CONVERSATIONS_UNIQUE_KEY = /UNIQUE\s*\(\s*normalized_question\s*,\s*answer\s*,\s*context\s*,\s*lang\s*\)/i;
+
+// SQL mirror of patterns.isPattern(): a {slot} or a standalone * wildcard
+const IS_PATTERN_EXPRESSION = `question GLOB '*{[A-Za-z_]*}*' OR (' ' || question || ' ') GLOB '* [*] *'`;
+
+const SCHEMA = `
+        -- Conversations table: one row per taught answer, so a question
+        -- can hold several answers, each with its own teach count,
+        -- optional previous-answer context and language
+        CREATE TABLE IF NOT EXISTS conversations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            question TEXT NOT NULL COLLATE NOCASE,
+            answer TEXT NOT NULL,
+            normalized_question TEXT GENERATED ALWAYS AS (LOWER(TRIM(question))) VIRTUAL,
+            teach_count INTEGER DEFAULT 1,
+            is_active BOOLEAN DEFAULT 1,
+            -- Canonical form of the bot's previous answer this answer
+            -- requires; empty when it applies in any context
+            context TEXT NOT NULL DEFAULT '',
+            -- Language code (see utils/language.js); empty when unknown
+            lang TEXT NOT NULL DEFAULT '',
+            -- Thumbs up/down from /feedback (see utils/feedback.js)
+            upvotes INTEGER NOT NULL DEFAULT 0,
+            downvotes INTEGER NOT NULL DEFAULT 0,
+            -- Questions with {slots} or * wildcards (see utils/patterns.js)
+            is_pattern BOOLEAN GENERATED ALWAYS AS (${IS_PATTERN_EXPRESSION}) VIRTUAL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(normalized_question, answer, context, lang)
+        );
+
+        -- Create index for faster searches
+        CREATE INDEX IF NOT EXISTS idx_conversations_normalized 
+        ON conversations(normalized_question);
+
+        CREATE INDEX IF NOT EXISTS idx_conversations_active 
+        ON conversations(is_active);
+
+        -- Conversation logs for analytics
+        CREATE TABLE IF NOT EXISTS logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            question TEXT NOT NULL,
+            normalized_question TEXT GENERATED ALWAYS AS (LOWER(TRIM(question))) VIRTUAL,
+            response TEXT,
+            is_taught BOOLEAN DEFAULT 0,
+            response_time_ms INTEGER,
+            user_agent TEXT,
+            ip_address TEXT,
+            conversation_id INTEGER,
+            event TEXT NOT NULL DEFAULT 'ask',
+            -- Language the question was looked up in
+            lang TEXT,
+            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Create index for logs
+        CREATE INDEX IF NOT EXISTS idx_logs_timestamp 
+        ON logs(timestamp);
+
+        CREATE INDEX IF NOT EXISTS idx_logs_taught 
+        ON logs(is_taught);
+
+        -- API keys: only a SHA-256 hash of each key is stored
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            key_prefix TEXT NOT NULL,
+            scopes TEXT NOT NULL DEFAULT 'ask',
+            rate_limit INTEGER,
+            is_active BOOLEAN DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP,
+            revoked_at TIMESTAMP
+        );
+
+        -- Teaches flagged by moderation wait here for review
+        CREATE TABLE IF NOT EXISTS pending_teaches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            question TEXT NOT NULL,
+            answer TEXT NOT NULL,
+            reasons TEXT NOT NULL DEFAULT '[]',
+            lang TEXT NOT NULL DEFAULT '',
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+            user_agent TEXT,
+            ip_address TEXT,
+            api_key_id INTEGER,
+            reviewed_by TEXT,
+            reviewed_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_pending_teaches_status 
+        ON pending_teaches(status, created_at);
+
+        -- Every version of every answer, newest last. Each row is the
+        -- state after the change, with who made it and from where
+        CREATE TABLE IF NOT EXISTS conversation_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id INTEGER NOT NULL,
+            question TEXT NOT NULL,
+            normalized_question TEXT GENERATED ALWAYS AS (LOWER(TRIM(question))) VIRTUAL,
+            answer TEXT NOT NULL,
+            context TEXT NOT NULL DEFAULT '',
+            lang TEXT NOT NULL DEFAULT '',
+            is_active BOOLEAN NOT NULL,
+            teach_count INTEGER,
+            action TEXT NOT NULL,
+            changed_by TEXT,
+            ip_address TEXT,
+            user_agent TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_revisions_conversation 
+        ON conversation_revisions(conversation_id);
+
+        CREATE INDEX IF NOT EXISTS idx_revisions_question 
+        ON conversation_revisions(normalized_question);
+
+        -- Chat sessions and their recent turns
+        CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_active_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sessions_expires 
+        ON sessions(expires_at);
+
+        CREATE TABLE IF NOT EXISTS session_turns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+            question TEXT NOT NULL,
+            answer TEXT NOT NULL,
+            conversation_id INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_session_turns_session 
+        ON session_turns(session_id, id);
+
+        -- Named counters used by {counter:name} in answer templates
+        CREATE TABLE IF NOT EXISTS template_counters (
+            name TEXT PRIMARY KEY,
+            value INTEGER NOT NULL DEFAULT 0,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Votes on answers, one per voter (API key or IP) and answer.
+        -- log_id is the /ask interaction the latest vote was cast on
+        CREATE TABLE IF NOT EXISTS feedback (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id INTEGER NOT NULL,
+            log_id INTEGER NOT NULL,
+            voter TEXT NOT NULL,
+            vote INTEGER NOT NULL CHECK (vote IN (1, -1)),
+            ip_address TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(conversation_id, voter)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_feedback_voter 
+        ON feedback(voter, updated_at);
+
+        -- Rate limit counters, one row per policy, client and window
+        -- (see middleware/rateLimit.js). reset_at is in epoch ms
+        CREATE TABLE IF NOT EXISTS rate_limits (
+            key TEXT PRIMARY KEY,
+            count INTEGER NOT NULL DEFAULT 0,
+            reset_at INTEGER NOT NULL
+        ) WITHOUT ROWID;
+
+        CREATE INDEX IF NOT EXISTS idx_rate_limits_reset 
+        ON rate_limits(reset_at);
+
+        -- Triggers to update timestamps
+        CREATE TRIGGER IF NOT EXISTS update_conversations_timestamp 
+        AFTER UPDATE ON conversations
+        BEGIN
+            UPDATE conversations 
+            SET updated_at = CURRENT_TIMESTAMP 
+            WHERE id = NEW.id;
+        END;
+`;
+
+const SEARCH_INDEX = `
+        CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(
+            question,
+            answer,
+            content = 'conversations',
+            content_rowid = 'id',
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS conversations_fts_insert
+        AFTER INSERT ON conversations
+        BEGIN
+            INSERT INTO conversations_fts (rowid, question, answer)
+            VALUES (NEW.id, NEW.question, NEW.answer);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS conversations_fts_delete
+        AFTER DELETE ON conversations
+        BEGIN
+            INSERT INTO conversations_fts (conversations_fts, rowid, question, answer)
+            VALUES ('delete', OLD.id, OLD.question, OLD.answer);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS conversations_fts_update
+        AFTER UPDATE OF question, answer ON conversations
+        BEGIN
+            INSERT INTO conversations_fts (conversations_fts, rowid, question, answer)
+            VALUES ('delete', OLD.id, OLD.question, OLD.answer);
+            INSERT INTO conversations_fts (rowid, question, answer)
+            VALUES (NEW.id, NEW.question, NEW.answer);
+        END;
+`;
+
+// Moves a conversations table with an older unique key aside so it can be
+// rebuilt. Returns true when there was one.
+async function detachLegacyConversations(db) {
+    const table = await db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'conversations'`);
+    if (!table || CONVERSATIONS_UNIQUE_KEY.test(table.sql)) {
+        return false;
+    }
+
+    await db.exec(`
+        DROP TRIGGER IF EXISTS update_conversations_timestamp;
+        DROP TRIGGER IF EXISTS conversations_fts_insert;
+        DROP TRIGGER IF EXISTS conversations_fts_delete;
+        DROP TRIGGER IF EXISTS conversations_fts_update;
+        DROP INDEX IF EXISTS idx_conversations_normalized;
+        DROP INDEX IF EXISTS idx_conversations_active;
+        ALTER TABLE conversations RENAME TO conversations_legacy;
+    `);
+    return true;
+}
+
+// Copies every column the old and new tables share
+async function copyLegacyConversations(db) {
+    const legacy = await db.all('PRAGMA table_info(conversations_legacy)');
+    const current = new Set((await db.all('PRAGMA table_info(conversations)')).map(info => info.name));
+    const columns = legacy.map(info => info.name).filter(name => current.has(name)).join(', ');
+
+    await db.exec(`
+        INSERT INTO conversations (${columns})
+        SELECT ${columns} FROM conversations_legacy;
+        DROP TABLE conversations_legacy;
+    `);
+}
+
+module.exports = {
+    description: 'Baseline schema, upgrading databases from before versioned migrations',
+
+    async up(db) {
+        const hasLegacyConversations = await detachLegacyConversations(db);
+        await db.exec(SCHEMA);
+
+        await db.ensureColumn('logs', 'conversation_id', 'INTEGER');
+        await db.ensureColumn('logs', 'event', "TEXT NOT NULL DEFAULT 'ask'");
+        await db.ensureColumn('logs', 'lang', 'TEXT');
+        await db.ensureColumn('conversation_revisions', 'context', "TEXT NOT NULL DEFAULT ''");
+        await db.ensureColumn('conversation_revisions', 'lang', "TEXT NOT NULL DEFAULT ''");
+        await db.ensureColumn('pending_teaches', 'lang', "TEXT NOT NULL DEFAULT ''");
+        await db.ensureColumn('conversations', 'upvotes', 'INTEGER NOT NULL DEFAULT 0');
+        await db.ensureColumn('conversations', 'downvotes', 'INTEGER NOT NULL DEFAULT 0');
+        await db.ensureColumn('conversations', 'is_pattern', `BOOLEAN GENERATED ALWAYS AS (${IS_PATTERN_EXPRESSION}) VIRTUAL`);
+
+        const hasSearchIndex = !!(await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'conversations_fts'`));
+        await db.exec(SEARCH_INDEX);
+        await db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_logs_event_timestamp ON logs(event, timestamp);
+            CREATE INDEX IF NOT EXISTS idx_conversations_pattern ON conversations(is_pattern, is_active);
+            CREATE INDEX IF NOT EXISTS idx_conversations_lang ON conversations(lang, is_active);
+        `);
+
+        if (hasLegacyConversations) {
+            await copyLegacyConversations(db);
+        }
+        if (hasLegacyConversations || !hasSearchIndex) {
+            await db.exec(`INSERT INTO conversations_fts(conversations_fts) VALUES ('rebuild');`);
+        }
+    }
+};
@@ -0,0 +1,121 @@
+// Named bots (see utils/bots.js). Answers, logs, revisions, pending teaches
+// and API keys record the bot they belong to; '' is the base namespace, so
+// existing data stays with the default bot. The conversations unique key
+// gains the bot, which SQLite can only do by rebuilding the table.
+
+// SQL mirror of patterns.isPattern(), as in 001_baseline
+const IS_PATTERN_EXPRESSION = `question GLOB '*{[A-Za-z_]*}*' OR (' ' || question || ' ') GLOB '* [*] *'`;
+
+// Columns stored in conversations before this migration, i.e. all but the
+// generated ones
+const CONVERSATION_COLUMNS = 'id, question, answer, teach_count, is_active, context, lang, upvotes, downvotes, created_at, updated_at';
+
+const CONVERSATIONS = `
+        CREATE TABLE conversations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            -- Bot the answer belongs to; '' for the base namespace
+            bot TEXT NOT NULL DEFAULT '',
+            question TEXT NOT NULL COLLATE NOCASE,
+            answer TEXT NOT NULL,
+            normalized_question TEXT GENERATED ALWAYS AS (LOWER(TRIM(question))) VIRTUAL,
+            teach_count INTEGER DEFAULT 1,
+            is_active BOOLEAN DEFAULT 1,
+            context TEXT NOT NULL DEFAULT '',
+            lang TEXT NOT NULL DEFAULT '',
+            upvotes INTEGER NOT NULL DEFAULT 0,
+            downvotes INTEGER NOT NULL DEFAULT 0,
+            is_pattern BOOLEAN GENERATED ALWAYS AS (${IS_PATTERN_EXPRESSION}) VIRTUAL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(bot, normalized_question, answer, context, lang)
+        );
+
+        CREATE INDEX idx_conversations_normalized ON conversations(normalized_question);
+        CREATE INDEX idx_conversations_active ON conversations(is_active);
+        CREATE INDEX idx_conversations_pattern ON conversations(is_pattern, is_active);
+        CREATE INDEX idx_conversations_lang ON conversations(lang, is_active);
+
+        CREATE TRIGGER update_conversations_timestamp
+        AFTER UPDATE ON conversations
+        BEGIN
+            UPDATE conversations
+            SET updated_at = CURRENT_TIMESTAMP
+            WHERE id = NEW.id;
+        END;
+
+        CREATE TRIGGER conversations_fts_insert
+        AFTER INSERT ON conversations
+        BEGIN
+            INSERT INTO conversations_fts (rowid, question, answer)
+            VALUES (NEW.id, NEW.question, NEW.answer);
+        END;
+
+        CREATE TRIGGER conversations_fts_delete
+        AFTER DELETE ON conversations
+        BEGIN
+            INSERT INTO conversations_fts (conversations_fts, rowid, question, answer)
+            VALUES ('delete', OLD.id, OLD.question, OLD.answer);
+        END;
+
+        CREATE TRIGGER conversations_fts_update
+        AFTER UPDATE OF question, answer ON conversations
+        BEGIN
+            INSERT INTO conversations_fts (conversations_fts, rowid, question, answer)
+            VALUES ('delete', OLD.id, OLD.question, OLD.answer);
+            INSERT INTO conversations_fts (rowid, question, answer)
+            VALUES (NEW.id, NEW.question, NEW.answer);
+        END;
+`;
+
+module.exports = {
+    description: 'Named bots with their own answers, logs, fallbacks and rate limits',
+
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE bots (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                -- Whether the bot falls back to the base namespace's answers
+                inherit_base BOOLEAN NOT NULL DEFAULT 1,
+                -- JSON array of replies when nothing answers; empty for the
+                -- built-in ones
+                fallback_responses TEXT NOT NULL DEFAULT '[]',
+                -- Requests per window of the default rate limit policy
+                rate_limit INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            DROP TRIGGER update_conversations_timestamp;
+            DROP TRIGGER conversations_fts_insert;
+            DROP TRIGGER conversations_fts_delete;
+            DROP TRIGGER conversations_fts_update;
+            DROP INDEX idx_conversations_normalized;
+            DROP INDEX idx_conversations_active;
+            DROP INDEX idx_conversations_pattern;
+            DROP INDEX idx_conversations_lang;
+            ALTER TABLE conversations RENAME TO conversations_unscoped;
+
+            ${CONVERSATIONS}
+
+            INSERT INTO conversations (${CONVERSATION_COLUMNS})
+            SELECT ${CONVERSATION_COLUMNS} FROM conversations_unscoped;
+            DROP TABLE conversations_unscoped;
+
+            -- The insert trigger indexed every copied row a second time,
+            -- so rebuild the full-text index from the new table
+            INSERT INTO conversations_fts(conversations_fts) VALUES ('rebuild');
+        `);
+
+        await db.ensureColumn('logs', 'bot', "TEXT NOT NULL DEFAULT ''");
+        await db.ensureColumn('conversation_revisions', 'bot', "TEXT NOT NULL DEFAULT ''");
+        await db.ensureColumn('pending_teaches', 'bot', "TEXT NOT NULL DEFAULT ''");
+        // NULL: the key is not bound to a bot
+        await db.ensureColumn('api_keys', 'bot', 'TEXT');
+
+        await db.exec(`
+            CREATE INDEX idx_logs_bot ON logs(bot, event, timestamp);
+            CREATE INDEX idx_pending_teaches_bot ON pending_teaches(bot, status, created_at);
+        `);
+    }
+};
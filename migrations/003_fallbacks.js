@@ -0,0 +1,29 @@
+// Fallback reply pools (see utils/fallbacks.js): what a bot says, per
+// language, when nothing answers. They replace the fallback_responses list
+// on bots, which becomes each bot's pool for any language.
+
+module.exports = {
+    description: 'Fallback reply pools per bot and language',
+
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE fallback_responses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                -- Bot the reply belongs to; '' for the base namespace
+                bot TEXT NOT NULL DEFAULT '',
+                -- Language of the reply; '' for any language
+                lang TEXT NOT NULL DEFAULT '',
+                response TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(bot, lang, response)
+            );
+
+            INSERT OR IGNORE INTO fallback_responses (bot, response)
+            SELECT bots.id, reply.value
+            FROM bots, json_each(bots.fallback_responses) AS reply
+            ORDER BY bots.id, reply.key;
+
+            ALTER TABLE bots DROP COLUMN fallback_responses;
+        `);
+    }
+};
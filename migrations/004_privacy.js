@@ -0,0 +1,35 @@
+// Privacy controls (see utils/privacy.js). Logs record the chat session
+// and API key they came from, and revisions the API key, so everything
+// tied to one can be erased. Logs past the retention window may be rolled
+// up into daily totals.
+
+module.exports = {
+    description: 'Log sessions and API keys for erasure, and daily log totals for retention',
+
+    async up(db) {
+        await db.ensureColumn('logs', 'session_id', 'TEXT');
+        await db.ensureColumn('logs', 'api_key_id', 'INTEGER');
+        await db.ensureColumn('conversation_revisions', 'api_key_id', 'INTEGER');
+
+        await db.exec(`
+            CREATE INDEX idx_logs_ip_address ON logs(ip_address);
+            CREATE INDEX idx_logs_session ON logs(session_id);
+            CREATE INDEX idx_logs_api_key ON logs(api_key_id);
+
+            -- Logs deleted by the retention policy in aggregate mode, as
+            -- daily totals. response_time_ms_total and response_timed sum
+            -- over logs with a response time, for averages.
+            CREATE TABLE log_daily_totals (
+                day TEXT NOT NULL,
+                bot TEXT NOT NULL DEFAULT '',
+                event TEXT NOT NULL,
+                lang TEXT NOT NULL DEFAULT '',
+                interactions INTEGER NOT NULL DEFAULT 0,
+                answered INTEGER NOT NULL DEFAULT 0,
+                response_time_ms_total INTEGER NOT NULL DEFAULT 0,
+                response_timed INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (day, bot, event, lang)
+            ) WITHOUT ROWID;
+        `);
+    }
+};
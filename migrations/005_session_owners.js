@@ -0,0 +1,17 @@
+// Chat sessions belong to the client that started them, by its client id
+// (see getClientId() in middleware/auth.js), and to the bot it talked to.
+// Only the owner can resume, read or end a session. Sessions from before
+// have no owner, so they can't be resumed and simply expire.
+
+module.exports = {
+    description: 'Session owners and bots',
+
+    async up(db) {
+        await db.ensureColumn('sessions', 'owner', 'TEXT');
+        await db.ensureColumn('sessions', 'bot', "TEXT NOT NULL DEFAULT ''");
+
+        await db.exec(`
+            CREATE INDEX idx_sessions_owner ON sessions(owner);
+        `);
+    }
+};
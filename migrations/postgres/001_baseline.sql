@@ -0,0 +1,91 @@
+-- Baseline PostgreSQL schema for the core storage interface (see
+-- storage/postgres.js). Timestamps are UTC without a time zone, matching
+-- the SQLite schema's CURRENT_TIMESTAMP values.
+
+-- One row per taught answer; see migrations/001_baseline.js
+CREATE TABLE IF NOT EXISTS conversations (
+    id SERIAL PRIMARY KEY,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    normalized_question TEXT GENERATED ALWAYS AS (LOWER(BTRIM(question))) STORED,
+    teach_count INTEGER NOT NULL DEFAULT 1,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    context TEXT NOT NULL DEFAULT '',
+    lang TEXT NOT NULL DEFAULT '',
+    upvotes INTEGER NOT NULL DEFAULT 0,
+    downvotes INTEGER NOT NULL DEFAULT 0,
+    -- SQL mirror of patterns.isPattern(): a {slot} or a standalone * wildcard
+    is_pattern INTEGER GENERATED ALWAYS AS (
+        CASE WHEN question ~ '\{[A-Za-z_].*\}' OR (' ' || question || ' ') LIKE '% * %' THEN 1 ELSE 0 END
+    ) STORED,
+    created_at TIMESTAMP(0) NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    updated_at TIMESTAMP(0) NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    UNIQUE (normalized_question, answer, context, lang)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_active
+ON conversations(is_active);
+
+-- Full-text search; the expression must match SEARCH_VECTOR in
+-- storage/postgres.js for the index to be used
+CREATE INDEX IF NOT EXISTS idx_conversations_search
+ON conversations USING GIN ((
+    setweight(to_tsvector('simple', question), 'A') ||
+    setweight(to_tsvector('simple', answer), 'B')
+));
+
+CREATE TABLE IF NOT EXISTS logs (
+    id SERIAL PRIMARY KEY,
+    question TEXT NOT NULL,
+    normalized_question TEXT GENERATED ALWAYS AS (LOWER(BTRIM(question))) STORED,
+    response TEXT,
+    is_taught INTEGER NOT NULL DEFAULT 0,
+    response_time_ms INTEGER,
+    user_agent TEXT,
+    ip_address TEXT,
+    conversation_id INTEGER,
+    event TEXT NOT NULL DEFAULT 'ask',
+    lang TEXT,
+    timestamp TIMESTAMP(0) NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC')
+);
+
+CREATE INDEX IF NOT EXISTS idx_logs_timestamp
+ON logs(timestamp);
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    created_at TIMESTAMP(0) NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    last_active_at TIMESTAMP(0) NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    expires_at TIMESTAMP(0) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_expires
+ON sessions(expires_at);
+
+CREATE TABLE IF NOT EXISTS session_turns (
+    id SERIAL PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    conversation_id INTEGER,
+    created_at TIMESTAMP(0) NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC')
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_turns_session
+ON session_turns(session_id, id);
+
+CREATE TABLE IF NOT EXISTS template_counters (
+    name TEXT PRIMARY KEY,
+    value INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP(0) NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC')
+);
+
+-- Fixed-window counters; reset_at is in epoch milliseconds
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL DEFAULT 0,
+    reset_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset
+ON rate_limits(reset_at);
@@ -0,0 +1,23 @@
+-- Bot namespaces and the log columns erasure works by, as in the SQLite
+-- migrations 002_bots and 004_privacy. Bots themselves are managed on
+-- SQLite only, but answers and logs carry the bot they belong to so the
+-- core storage interface is the same on every backend; '' is the base
+-- namespace, so existing data stays with the default bot.
+
+ALTER TABLE conversations ADD COLUMN bot TEXT NOT NULL DEFAULT '';
+
+ALTER TABLE conversations
+DROP CONSTRAINT IF EXISTS conversations_normalized_question_answer_context_lang_key;
+
+ALTER TABLE conversations
+ADD CONSTRAINT conversations_bot_question_answer_key UNIQUE (bot, normalized_question, answer, context, lang);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_bot
+ON conversations(bot, is_active);
+
+ALTER TABLE logs ADD COLUMN bot TEXT NOT NULL DEFAULT '';
+ALTER TABLE logs ADD COLUMN session_id TEXT;
+ALTER TABLE logs ADD COLUMN api_key_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_logs_bot
+ON logs(bot, timestamp);
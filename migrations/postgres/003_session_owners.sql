@@ -0,0 +1,9 @@
+-- Chat sessions belong to the client that started them and to the bot it
+-- talked to, as in the SQLite migration 005_session_owners. Sessions from
+-- before have no owner, so they can't be resumed and simply expire.
+
+ALTER TABLE sessions ADD COLUMN owner TEXT;
+ALTER TABLE sessions ADD COLUMN bot TEXT NOT NULL DEFAULT '';
+
+CREATE INDEX IF NOT EXISTS idx_sessions_owner
+ON sessions(owner);
@@ -0,0 +1,16 @@
+-- API keys, as in the SQLite baseline and 002_bots. Only a SHA-256 hash of
+-- each key is stored; key_prefix identifies it in listings. scopes is a
+-- comma-separated list, and bot the bot a key is bound to (NULL for any).
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL DEFAULT 'ask',
+    rate_limit INTEGER,
+    bot TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP(0) NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    last_used_at TIMESTAMP(0),
+    revoked_at TIMESTAMP(0)
+);
@@ -0,0 +1,898 @@
+const net = require('net');
+const express = require('express');
+const { SCOPES, requireAdmin, generateApiKey, hashApiKey, getActor } = require('../middleware/auth');
+const csv = require('../utils/csv');
+const patterns = require('../utils/patterns');
+const templates = require('../utils/templates');
+const language = require('../utils/language');
+const backups = require('../utils/backups');
+const bots = require('../utils/bots');
+const fallbacks = require('../utils/fallbacks');
+const sessions = require('../utils/sessions');
+const { supports, notImplemented } = require('../middleware/storage');
+const privacy = require('../utils/privacy');
+
+const EXPORT_COLUMNS = ['id', 'question', 'answer', 'context', 'lang', 'teach_count', 'is_active', 'created_at', 'updated_at'];
+const EXPORT_TYPES = {
+    json: 'application/json',
+    jsonl: 'application/x-ndjson',
+    csv: 'text/csv'
+};
+
+// Picks the import format from ?format= or the Content-Type header
+function detectImportFormat(req) {
+    if (req.query.format) {
+        return String(req.query.format).toLowerCase();
+    }
+    if (req.is('text/csv')) return 'csv';
+    if (req.is('application/x-ndjson') || req.is('application/jsonl')) return 'jsonl';
+    return 'json';
+}
+
+function parseImportBody(format, body) {
+    if (format === 'json') {
+        const rows = Array.isArray(body) ? body : body && body.responses;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON imports must be an array of rows or { "responses": [...] }');
+        }
+        return rows;
+    }
+
+    if (typeof body !== 'string') {
+        throw new Error(`Send ${format.toUpperCase()} imports as text with a matching Content-Type`);
+    }
+
+    if (format === 'csv') {
+        return csv.parse(body);
+    }
+
+    return body.split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), index }))
+        .filter(({ line }) => line !== '')
+        .map(({ line, index }) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+            }
+        });
+}
+
+// Admin routes for moderating taught responses, reviewing the moderation
+// queue, browsing and rolling back revisions, bulk import/export and
+// managing fallback replies, API keys and bots, and erasing personal data.
+// Mounted under /admin by the main API router, which passes in its
+// database instance. Answers, revisions, the queue and fallback replies
+// are those of req.bot; keys, bots, backups and erasure span every bot, so
+// keys bound to a bot can't use them.
+module.exports = (db) => {
+    const router = express.Router();
+
+    router.use(requireAdmin);
+
+    // API keys work on every backend that stores them; everything else
+    // here needs SQLite (see middleware/storage.js)
+    router.use((req, res, next) => {
+        const isKeys = req.path === '/keys' || req.path.startsWith('/keys/');
+        if (!supports(db, isKeys ? 'createApiKey' : 'listResponses')) {
+            return notImplemented(res, db);
+        }
+        next();
+    });
+
+    // Resolves :id to an integer or answers 400
+    router.param('id', (req, res, next, value) => {
+        const id = Number(value);
+        if (!Number.isInteger(id) || id <= 0) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Id must be a positive integer',
+                timestamp: new Date().toISOString()
+            });
+        }
+        req.recordId = id;
+        next();
+    });
+
+    const notFound = (res, id, resource = 'Response') => res.status(404).json({
+        error: 'Not Found',
+        message: `${resource} ${id} does not exist`,
+        timestamp: new Date().toISOString()
+    });
+
+    const formatKey = (row) => ({ ...row, scopes: row.scopes.split(',') });
+
+    // The answer with an id, if it belongs to the request's bot
+    const findOwnResponse = async (req) => {
+        const row = await db.getResponseById(req.recordId);
+        return row && row.bot === req.bot.id ? row : undefined;
+    };
+
+    const requireUnboundKey = (req, res, next) => {
+        if (req.apiKey.bot) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'API keys bound to a bot can only manage that bot\'s answers',
+                timestamp: new Date().toISOString()
+            });
+        }
+        next();
+    };
+
+    router.use(['/keys', '/bots', '/backups', '/erasure'], requireUnboundKey);
+
+    // Resolves :botId to an existing bot or answers 404
+    router.param('botId', async (req, res, next, value) => {
+        try {
+            req.managedBot = bots.isValidBotId(value) && await db.getBot(value);
+            if (!req.managedBot) {
+                return notFound(res, value, 'Bot');
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Answers 400 and returns true when one of the named query parameters
+    // is not a single string, e.g. repeated (?q=a&q=b) or nested (?q[x]=a)
+    const rejectNonStringQuery = (req, res, names) => {
+        const name = names.find(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+        if (name) {
+            res.status(400).json({
+                error: 'Bad Request',
+                message: `${name} must be given once, as a string`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        return !!name;
+    };
+
+    const serverError = (res, route, error, message) => {
+        console.error(`Error in ${route}:`, error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message,
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // List taught responses with filters and pagination
+    router.get('/responses', async (req, res) => {
+        try {
+            if (rejectNonStringQuery(req, res, ['q', 'question', 'lang', 'sort'])) return;
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const isActive = req.query.is_active === undefined
+                ? undefined
+                : ['1', 'true'].includes(String(req.query.is_active).toLowerCase());
+
+            const { rows, total } = await db.listResponses({
+                search: req.query.q,
+                question: req.query.question,
+                isActive,
+                lang: req.query.lang,
+                bot: req.bot.id,
+                sort: req.query.sort,
+                limit,
+                offset: (page - 1) * limit
+            });
+
+            res.json({
+                status: 'success',
+                data: {
+                    results: rows,
+                    pagination: {
+                        page,
+                        limit,
+                        total_results: total,
+                        total_pages: Math.ceil(total / limit),
+                        has_more: page * limit < total
+                    }
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'GET /admin/responses', error, 'Failed to list responses');
+        }
+    });
+
+    router.get('/responses/:id', async (req, res) => {
+        try {
+            const row = await findOwnResponse(req);
+            if (!row) {
+                return notFound(res, req.recordId);
+            }
+
+            res.json({ status: 'success', data: row, timestamp: new Date().toISOString() });
+        } catch (error) {
+            serverError(res, 'GET /admin/responses/:id', error, 'Failed to load the response');
+        }
+    });
+
+    // Edit the question and/or answer
+    router.patch('/responses/:id', async (req, res) => {
+        try {
+            const { question, answer, context, lang } = req.body || {};
+            const invalid = [['question', question, 500], ['answer', answer, 1000]]
+                .find(([, value, max]) => value !== undefined
+                    && (typeof value !== 'string' || value.trim() === '' || value.length > max));
+
+            if (question === undefined && answer === undefined && context === undefined && lang === undefined) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'Provide a question, answer, context and/or lang to update',
+                    example: { answer: 'Hello there!' }
+                });
+            }
+            if (invalid) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `${invalid[0]} must be a non-empty string of at most ${invalid[2]} chars`
+                });
+            }
+
+            const patternError = question !== undefined && patterns.validatePattern(question);
+            if (patternError) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `Invalid pattern question: ${patternError}`
+                });
+            }
+
+            if (context !== undefined && context !== null && (typeof context !== 'string' || context.length > 1000)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'context must be a string of at most 1000 chars (empty or null to clear it)'
+                });
+            }
+
+            if (lang !== undefined && lang !== null && lang !== '' && !language.normalizeLanguage(lang)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'lang must be a language code such as "en" or "fil" (empty or null for unknown)'
+                });
+            }
+
+            const current = await findOwnResponse(req);
+            if (!current) {
+                return notFound(res, req.recordId);
+            }
+
+            // Re-validate the answer template against the (possibly new) question
+            if (question !== undefined || answer !== undefined) {
+                try {
+                    templates.validate(
+                        answer !== undefined ? answer : current.answer,
+                        patterns.getSlotVariables(question !== undefined ? question : current.question)
+                    );
+                } catch (templateError) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: `Invalid answer template: ${templateError.message}`
+                    });
+                }
+            }
+
+            const row = await db.updateResponse(req.recordId, {
+                question,
+                answer,
+                context: context === null ? '' : context,
+                lang: lang === null ? '' : lang
+            }, getActor(req));
+            if (!row) {
+                return notFound(res, req.recordId);
+            }
+
+            res.json({
+                status: 'success',
+                message: 'Response updated',
+                data: row,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({
+                    error: 'Conflict',
+                    message: 'That question already has this answer in this context and language',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            serverError(res, 'PATCH /admin/responses/:id', error, 'Failed to update the response');
+        }
+    });
+
+    // Soft deactivate / reactivate
+    for (const [action, isActive] of [['deactivate', false], ['reactivate', true]]) {
+        router.post(`/responses/:id/${action}`, async (req, res) => {
+            try {
+                const row = await findOwnResponse(req)
+                    && await db.setResponseActive(req.recordId, isActive, getActor(req));
+                if (!row) {
+                    return notFound(res, req.recordId);
+                }
+
+                res.json({
+                    status: 'success',
+                    message: `Response ${isActive ? 'reactivated' : 'deactivated'}`,
+                    data: row,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                serverError(res, `POST /admin/responses/:id/${action}`, error, `Failed to ${action} the response`);
+            }
+        });
+    }
+
+    // Hard delete
+    router.delete('/responses/:id', async (req, res) => {
+        try {
+            const deleted = await findOwnResponse(req)
+                && await db.deleteResponse(req.recordId, getActor(req));
+            if (!deleted) {
+                return notFound(res, req.recordId);
+            }
+
+            res.json({
+                status: 'success',
+                message: 'Response deleted',
+                data: { id: req.recordId },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'DELETE /admin/responses/:id', error, 'Failed to delete the response');
+        }
+    });
+
+    // Stream the knowledge base as JSON, JSONL or CSV
+    router.get('/export', async (req, res) => {
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!EXPORT_TYPES[format]) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `format must be one of: ${Object.keys(EXPORT_TYPES).join(', ')}`
+            });
+        }
+
+        const includeInactive = !['0', 'false'].includes(String(req.query.include_inactive).toLowerCase());
+        const date = new Date().toISOString().slice(0, 10);
+        res.set({
+            'Content-Type': `${EXPORT_TYPES[format]}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="simsimi-${req.bot.id ? `${req.bot.id}-` : ''}export-${date}.${format}"`
+        });
+
+        let first = true;
+        const writeRow = (row) => {
+            if (format === 'csv') {
+                res.write(csv.formatRow(EXPORT_COLUMNS.map(column => row[column])));
+            } else if (format === 'jsonl') {
+                res.write(JSON.stringify(row) + '\n');
+            } else {
+                res.write((first ? '\n' : ',\n') + JSON.stringify(row));
+            }
+            first = false;
+        };
+
+        try {
+            if (format === 'csv') res.write(csv.formatRow(EXPORT_COLUMNS));
+            if (format === 'json') res.write('[');
+
+            await db.eachResponse({ includeInactive, bot: req.bot.id }, writeRow);
+
+            if (format === 'json') res.write('\n]\n');
+            res.end();
+        } catch (error) {
+            // Headers are already sent, so the best we can do is cut the stream
+            console.error('Error in GET /admin/export:', error);
+            res.destroy(error);
+        }
+    });
+
+    // Import rows in one transaction; ?dry_run=true reports without saving
+    router.post(
+        '/import',
+        express.text({
+            type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl'],
+            limit: process.env.MAX_REQUEST_SIZE || '10mb'
+        }),
+        async (req, res) => {
+            const format = detectImportFormat(req);
+            if (!EXPORT_TYPES[format]) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `format must be one of: ${Object.keys(EXPORT_TYPES).join(', ')}`
+                });
+            }
+
+            let rows;
+            try {
+                rows = parseImportBody(format, req.body);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: error.message
+                });
+            }
+
+            try {
+                const dryRun = ['1', 'true'].includes(String(req.query.dry_run).toLowerCase());
+                const report = await db.importResponses(rows, { dryRun, actor: getActor(req), bot: req.bot.id });
+
+                res.status(dryRun ? 200 : 201).json({
+                    status: 'success',
+                    message: dryRun ? 'Dry run complete; nothing was saved' : 'Import complete',
+                    data: { format, ...report },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                serverError(res, 'POST /admin/import', error, 'Failed to import responses');
+            }
+        }
+    );
+
+    // Every revision of every answer a question has had
+    router.get('/history', async (req, res) => {
+        try {
+            const question = req.query.question;
+            if (rejectNonStringQuery(req, res, ['question'])) return;
+            if (!question || question.trim() === '') {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'Question parameter (question) is required',
+                    example: '/admin/history?question=hello'
+                });
+            }
+
+            const revisions = await db.getQuestionHistory(question, { bot: req.bot.id });
+            res.json({
+                status: 'success',
+                data: { question, revisions },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'GET /admin/history', error, 'Failed to load the question history');
+        }
+    });
+
+    router.get('/responses/:id/revisions', async (req, res) => {
+        try {
+            const revisions = await db.getResponseRevisions(req.recordId, { bot: req.bot.id });
+            res.json({
+                status: 'success',
+                data: { id: req.recordId, revisions },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'GET /admin/responses/:id/revisions', error, 'Failed to load revisions');
+        }
+    });
+
+    // Restore an answer to an earlier revision
+    router.post('/revisions/:id/rollback', async (req, res) => {
+        try {
+            const result = await db.rollbackToRevision(req.recordId, getActor(req), { bot: req.bot.id });
+            if (!result) {
+                return notFound(res, req.recordId, 'Revision');
+            }
+
+            res.json({
+                status: 'success',
+                message: `Response ${result.response.id} rolled back to revision ${req.recordId}`,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({
+                    error: 'Conflict',
+                    message: 'Another response already has this question and answer',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            serverError(res, 'POST /admin/revisions/:id/rollback', error, 'Failed to roll back the response');
+        }
+    });
+
+    // Moderation queue of flagged teaches
+    router.get('/moderation/queue', async (req, res) => {
+        try {
+            const status = req.query.status || 'pending';
+            if (!['pending', 'approved', 'rejected'].includes(status)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'status must be one of: pending, approved, rejected'
+                });
+            }
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const { rows, total } = await db.listPendingTeaches({ status, bot: req.bot.id, limit, offset: (page - 1) * limit });
+
+            res.json({
+                status: 'success',
+                data: {
+                    results: rows,
+                    pagination: {
+                        page,
+                        limit,
+                        total_results: total,
+                        total_pages: Math.ceil(total / limit),
+                        has_more: page * limit < total
+                    }
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'GET /admin/moderation/queue', error, 'Failed to list the moderation queue');
+        }
+    });
+
+    router.post('/moderation/queue/:id/approve', async (req, res) => {
+        try {
+            const result = await db.approvePendingTeach(req.recordId, req.apiKey.name, getActor(req), { bot: req.bot.id });
+            if (!result) {
+                return notFound(res, req.recordId, 'Pending teach');
+            }
+
+            res.json({
+                status: 'success',
+                message: 'Teach approved and published',
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'POST /admin/moderation/queue/:id/approve', error, 'Failed to approve the teach');
+        }
+    });
+
+    router.post('/moderation/queue/:id/reject', async (req, res) => {
+        try {
+            const pending = await db.reviewPendingTeach(req.recordId, 'rejected', req.apiKey.name, { bot: req.bot.id });
+            if (!pending) {
+                return notFound(res, req.recordId, 'Pending teach');
+            }
+
+            res.json({
+                status: 'success',
+                message: 'Teach rejected',
+                data: pending,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'POST /admin/moderation/queue/:id/reject', error, 'Failed to reject the teach');
+        }
+    });
+
+    // The bot's fallback pool (see utils/fallbacks.js). When it is empty,
+    // the built-in replies are used.
+    router.get('/fallbacks', async (req, res) => {
+        try {
+            if (rejectNonStringQuery(req, res, ['lang'])) return;
+
+            const rows = await db.listFallbackResponses({ bot: req.bot.id, lang: req.query.lang });
+            res.json({
+                status: 'success',
+                data: {
+                    responses: rows,
+                    ...(rows.length === 0 && req.query.lang === undefined && { defaults: fallbacks.DEFAULT_REPLIES })
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'GET /admin/fallbacks', error, 'Failed to list fallback replies');
+        }
+    });
+
+    // Add a reply to the bot's fallback pool, for one language or, without
+    // lang, for any
+    router.post('/fallbacks', async (req, res) => {
+        try {
+            const { response, lang } = req.body || {};
+            const invalid = fallbacks.validateResponse(response);
+            if (invalid) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: invalid,
+                    example: { response: 'No idea! Teach me with POST /teach', lang: 'en' }
+                });
+            }
+            if (lang !== undefined && lang !== null && lang !== '' && !language.normalizeLanguage(lang)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'lang must be a language code such as "en" or "fil" (empty or null for any language)'
+                });
+            }
+
+            const row = await db.addFallbackResponse(response, { bot: req.bot.id, lang });
+            if (!row) {
+                return res.status(409).json({
+                    error: 'Conflict',
+                    message: 'The pool already has this reply in this language',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Fallback reply added',
+                data: row,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'POST /admin/fallbacks', error, 'Failed to add the fallback reply');
+        }
+    });
+
+    router.delete('/fallbacks/:id', async (req, res) => {
+        try {
+            const deleted = await db.deleteFallbackResponse(req.recordId, { bot: req.bot.id });
+            if (!deleted) {
+                return notFound(res, req.recordId, 'Fallback reply');
+            }
+
+            res.json({
+                status: 'success',
+                message: 'Fallback reply deleted',
+                data: { id: req.recordId },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'DELETE /admin/fallbacks/:id', error, 'Failed to delete the fallback reply');
+        }
+    });
+
+    // Issue a new API key. The raw key is only returned here. A key with a
+    // bot only works for that bot.
+    router.post('/keys', async (req, res) => {
+        try {
+            const { name, scopes = ['ask'], rate_limit: rateLimit, bot } = req.body || {};
+
+            if (!name || typeof name !== 'string' || name.length > 100) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'A key name of at most 100 chars is required',
+                    example: { name: 'partner-app', scopes: ['ask'], rate_limit: 60, bot: 'study-group' }
+                });
+            }
+            if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `scopes must be a non-empty array of: ${SCOPES.join(', ')}`
+                });
+            }
+            if (rateLimit !== undefined && rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit <= 0)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'rate_limit must be a positive integer (requests per window of the default policy) or null'
+                });
+            }
+            if (bot !== undefined && bot !== null && !(bots.isValidBotId(bot) && supports(db, 'getBot') && await db.getBot(bot))) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'bot must be the id of an existing bot (or null for a key that works for every bot)'
+                });
+            }
+
+            const key = generateApiKey();
+            const row = await db.createApiKey({
+                name,
+                keyHash: hashApiKey(key),
+                keyPrefix: key.slice(0, 10),
+                scopes: [...new Set(scopes)],
+                rateLimit: rateLimit || null,
+                bot: bot || null
+            });
+
+            res.status(201).json({
+                status: 'success',
+                message: 'API key created. Store it now; it cannot be shown again',
+                data: { ...formatKey(row), key },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'POST /admin/keys', error, 'Failed to create the API key');
+        }
+    });
+
+    router.get('/keys', async (req, res) => {
+        try {
+            const keys = await db.listApiKeys();
+            res.json({ status: 'success', data: keys.map(formatKey), timestamp: new Date().toISOString() });
+        } catch (error) {
+            serverError(res, 'GET /admin/keys', error, 'Failed to list API keys');
+        }
+    });
+
+    // Revoke an API key
+    router.delete('/keys/:id', async (req, res) => {
+        try {
+            const revoked = await db.revokeApiKey(req.recordId);
+            if (!revoked) {
+                return notFound(res, req.recordId, 'Active API key');
+            }
+
+            res.json({
+                status: 'success',
+                message: 'API key revoked',
+                data: { id: req.recordId },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'DELETE /admin/keys/:id', error, 'Failed to revoke the API key');
+        }
+    });
+
+    // Create a bot. Its id is used in /bots/<id>/... paths
+    router.post('/bots', async (req, res) => {
+        try {
+            const body = req.body || {};
+            if (!bots.isValidBotId(body.id)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'id must be 1-32 lowercase letters, digits or dashes, starting with a letter or digit',
+                    example: { id: 'study-group', name: 'StudyBuddy', inherit_base: true, rate_limit: 30 }
+                });
+            }
+
+            const invalid = bots.validateBot(body);
+            if (invalid) {
+                return res.status(400).json({ error: 'Bad Request', message: invalid });
+            }
+            if (await db.getBot(body.id)) {
+                return res.status(409).json({
+                    error: 'Conflict',
+                    message: `Bot "${body.id}" already exists`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const bot = await db.createBot({
+                id: body.id,
+                name: body.name,
+                inheritBase: body.inherit_base !== false,
+                rateLimit: body.rate_limit || null
+            });
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Bot created',
+                data: bot,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'POST /admin/bots', error, 'Failed to create the bot');
+        }
+    });
+
+    router.get('/bots', async (req, res) => {
+        try {
+            res.json({ status: 'success', data: await db.listBots(), timestamp: new Date().toISOString() });
+        } catch (error) {
+            serverError(res, 'GET /admin/bots', error, 'Failed to list bots');
+        }
+    });
+
+    router.get('/bots/:botId', (req, res) => {
+        res.json({ status: 'success', data: req.managedBot, timestamp: new Date().toISOString() });
+    });
+
+    router.patch('/bots/:botId', async (req, res) => {
+        try {
+            const body = req.body || {};
+            const invalid = bots.validateBot(body, { partial: true });
+            if (invalid) {
+                return res.status(400).json({ error: 'Bad Request', message: invalid });
+            }
+
+            const bot = await db.updateBot(req.managedBot.id, {
+                name: body.name,
+                inheritBase: body.inherit_base,
+                rateLimit: body.rate_limit
+            });
+
+            res.json({
+                status: 'success',
+                message: 'Bot updated',
+                data: bot,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'PATCH /admin/bots/:botId', error, 'Failed to update the bot');
+        }
+    });
+
+    // Deletes the bot and its answers, and revokes its API keys
+    router.delete('/bots/:botId', async (req, res) => {
+        try {
+            await db.deleteBot(req.managedBot.id);
+            res.json({
+                status: 'success',
+                message: 'Bot deleted',
+                data: { id: req.managedBot.id },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'DELETE /admin/bots/:botId', error, 'Failed to delete the bot');
+        }
+    });
+
+    // Erase a person's data: everything tied to their IP address, API key
+    // and/or chat session, across bots (see Database.eraseSubject()).
+    // ?dry_run=true reports without erasing. Backups are not touched.
+    router.post('/erasure', async (req, res) => {
+        try {
+            const { ip, api_key_id: apiKeyId, session_id: sessionId } = req.body || {};
+            const invalid = (ip !== undefined && !net.isIP(String(ip)) && 'ip must be an IPv4 or IPv6 address')
+                || (apiKeyId !== undefined && (!Number.isInteger(apiKeyId) || apiKeyId <= 0) && 'api_key_id must be a positive integer')
+                || (sessionId !== undefined && !sessions.isValidSessionId(sessionId) && 'session_id is not a valid session id')
+                || (ip === undefined && apiKeyId === undefined && sessionId === undefined && 'Provide an ip, api_key_id and/or session_id');
+            if (invalid) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: invalid,
+                    example: { ip: '203.0.113.7', session_id: 'd3b07384-d9a0-4c9b-8f1a-6f1c2e0b7a51' }
+                });
+            }
+
+            const dryRun = ['1', 'true'].includes(String(req.query.dry_run).toLowerCase());
+            const report = await db.eraseSubject({ ip, apiKeyId, sessionId }, { dryRun });
+            const warning = ip !== undefined && privacy.getIpErasureWarning();
+            if (!dryRun) {
+                console.log(`🧹 Erased data for ${[ip && 'an IP address', apiKeyId && `API key ${apiKeyId}`, sessionId && 'a session'].filter(Boolean).join(', ')}`);
+            }
+
+            res.json({
+                status: 'success',
+                message: dryRun ? 'Dry run complete; nothing was erased' : 'Erasure complete',
+                data: {
+                    dry_run: dryRun,
+                    subject: {
+                        ...(ip !== undefined && { ip }),
+                        ...(apiKeyId !== undefined && { api_key_id: apiKeyId }),
+                        ...(sessionId !== undefined && { session_id: sessionId })
+                    },
+                    deleted: report,
+                    ...(warning && { warnings: [warning] })
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'POST /admin/erasure', error, 'Failed to erase the data');
+        }
+    });
+
+    // Take a verified online backup now (retention is applied afterwards)
+    router.post('/backups', async (req, res) => {
+        try {
+            const backup = await backups.createBackup(db);
+            res.status(201).json({
+                status: 'success',
+                message: 'Backup created',
+                data: { name: backup.name, size_bytes: backup.size_bytes, pruned: backup.pruned },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'POST /admin/backups', error, 'Failed to create the backup');
+        }
+    });
+
+    router.get('/backups', async (req, res) => {
+        try {
+            const config = backups.getBackupConfig(db.dbPath);
+            res.json({
+                status: 'success',
+                data: {
+                    backups: await backups.listBackups(config.dir),
+                    interval_hours: config.intervalHours,
+                    retention: config.retention
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            serverError(res, 'GET /admin/backups', error, 'Failed to list backups');
+        }
+    });
+
+    return router;
+};
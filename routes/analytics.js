@@ -0,0 +1,122 @@
+const express = require('express');
+const { toSqlTimestamp } = require('../utils/dates');
+const { getBotChain } = require('../utils/bots');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Reads ?from=&to= (ISO dates or datetimes). Defaults to the last 30 days.
+function parseRange(req) {
+    const from = req.query.from
+        ? toSqlTimestamp(req.query.from, false)
+        : toSqlTimestamp(new Date(Date.now() - DEFAULT_RANGE_DAYS * 86400000).toISOString(), false);
+    const to = req.query.to ? toSqlTimestamp(req.query.to, true) : undefined;
+
+    if (from === null || to === null) {
+        return null;
+    }
+    return { from, to };
+}
+
+function parseLimit(req) {
+    return Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+}
+
+// Analytics over the logs table, for deciding what to teach next. Mounted
+// under /analytics by the main API router; only the logs of req.bot count.
+module.exports = (db) => {
+    const router = express.Router();
+
+    // Validate the date range once for every analytics route
+    router.use((req, res, next) => {
+        const range = parseRange(req);
+        if (!range) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'from and to must be ISO dates or datetimes',
+                example: '/analytics/unanswered?from=2024-01-01&to=2024-01-31'
+            });
+        }
+        req.range = range;
+        next();
+    });
+
+    const respond = (res, req, data) => res.json({
+        status: 'success',
+        data: {
+            range: { from: req.range.from, to: req.range.to || null },
+            ...data
+        },
+        timestamp: new Date().toISOString()
+    });
+
+    const serverError = (res, route, error, message) => {
+        console.error(`Error in ${route}:`, error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message,
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // "What should I teach next": frequent questions nothing answered
+    router.get('/unanswered', async (req, res) => {
+        try {
+            const results = await db.getUnansweredQuestions({
+                ...req.range,
+                bot: req.bot.id,
+                bots: getBotChain(req.bot),
+                limit: parseLimit(req),
+                includeTaught: ['1', 'true'].includes(String(req.query.include_taught).toLowerCase())
+            });
+            respond(res, req, { results });
+        } catch (error) {
+            serverError(res, 'GET /analytics/unanswered', error, 'Failed to load unanswered questions');
+        }
+    });
+
+    router.get('/top-questions', async (req, res) => {
+        try {
+            const results = await db.getTopQuestions({ ...req.range, bot: req.bot.id, limit: parseLimit(req) });
+            respond(res, req, { results });
+        } catch (error) {
+            serverError(res, 'GET /analytics/top-questions', error, 'Failed to load top questions');
+        }
+    });
+
+    router.get('/hit-rate', async (req, res) => {
+        try {
+            const interval = req.query.interval || 'day';
+            if (!['hour', 'day'].includes(interval)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'interval must be hour or day'
+                });
+            }
+
+            const buckets = await db.getHitRate({ ...req.range, bot: req.bot.id, interval });
+            const total = buckets.reduce((sum, bucket) => sum + bucket.total, 0);
+            const answered = buckets.reduce((sum, bucket) => sum + bucket.answered, 0);
+
+            respond(res, req, {
+                interval,
+                total,
+                answered,
+                hit_rate: total ? Math.round((answered / total) * 10000) / 10000 : null,
+                buckets
+            });
+        } catch (error) {
+            serverError(res, 'GET /analytics/hit-rate', error, 'Failed to load the hit rate');
+        }
+    });
+
+    router.get('/response-times', async (req, res) => {
+        try {
+            const percentiles = await db.getResponseTimePercentiles({ ...req.range, bot: req.bot.id });
+            respond(res, req, { response_time_ms: percentiles });
+        } catch (error) {
+            serverError(res, 'GET /analytics/response-times', error, 'Failed to load response times');
+        }
+    });
+
+    return router;
+};
@@ -1,323 +1,999 @@
+const crypto = require('crypto');
 const express = require('express');
-const router = express.Router();
-const Database = require('../database');
+const adminRoutes = require('./admin');
+const analyticsRoutes = require('./analytics');
+const webhookRoutes = require('./webhooks');
+const { authenticate, requireScope, getActor, getClientId } = require('../middleware/auth');
+const { createStore, rateLimit } = require('../middleware/rateLimit');
+const { supports, notImplemented, requireStorage } = require('../middleware/storage');
+const moderation = require('../utils/moderation');
+const sessions = require('../utils/sessions');
+const patterns = require('../utils/patterns');
+const templates = require('../utils/templates');
+const language = require('../utils/language');
+const feedback = require('../utils/feedback');
+const { toSqlTimestamp } = require('../utils/dates');
+const { ChatHub, getStreamConfig, typingDelay } = require('../utils/chatHub');
+const bots = require('../utils/bots');
+const fallbacks = require('../utils/fallbacks');
+const metrics = require('../utils/metrics');
 
-// Initialize database
-const db = new Database();
-db.connect().catch(console.error);
-
-// Rate limiting in-memory store (for simple implementation)
-const requestCounts = new Map();
-const RATE_LIMIT = 100; // requests per minute
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-
-// Rate limiting middleware
-const rateLimit = (req, res, next) => {
-    const ip = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    const windowStart = now - RATE_LIMIT_WINDOW;
-    
-    // Clean old entries
-    if (requestCounts.has(ip)) {
-        requestCounts.set(ip, requestCounts.get(ip).filter(time => time > windowStart));
-    }
-    
-    const requests = requestCounts.get(ip) || [];
-    
-    if (requests.length >= RATE_LIMIT) {
-        return res.status(429).json({
-            error: 'Too many requests',
-            message: 'Please slow down!',
-            retryAfter: Math.ceil((requests[0] + RATE_LIMIT_WINDOW - now) / 1000)
-        });
-    }
-    
-    requests.push(now);
-    requestCounts.set(ip, requests);
-    
-    // Set rate limit headers
-    res.set({
-        'X-RateLimit-Limit': RATE_LIMIT,
-        'X-RateLimit-Remaining': RATE_LIMIT - requests.length,
-        'X-RateLimit-Reset': new Date(now + RATE_LIMIT_WINDOW).toISOString()
-    });
+// The public API over a connected storage backend (see storage/index.js)
+module.exports = (db) => {
+    const router = express.Router();
     
-    next();
-};
+    const rateLimitStore = createStore(db);
 
-// Apply rate limiting to all routes
-router.use(rateLimit);
+    // Remove expired chat sessions, rate limit windows and logs past the
+    // retention window (see utils/privacy.js) every 10 minutes
+    setInterval(() => {
+        db.purgeExpiredSessions().catch(error => console.error('Failed to purge expired sessions:', error));
+        rateLimitStore.purgeExpired().catch(error => console.error('Failed to purge rate limits:', error));
+        if (supports(db, 'applyLogRetention')) {
+            db.applyLogRetention().catch(error => console.error('Failed to apply log retention:', error));
+        }
+    }, 10 * 60 * 1000).unref();
 
-// Logging middleware
-const logRequest = (req, res, next) => {
-    req.startTime = Date.now();
-    next();
-};
+    // Resolves an optional lang parameter. Sends a 400 and returns undefined
+    // when it is not a valid language code; returns null when it is missing.
+    const parseLangParam = (value, res) => {
+        if (value === undefined || value === '') {
+            return null;
+        }
+        
+        const lang = typeof value === 'string' ? language.normalizeLanguage(value) : null;
+        if (!lang) {
+            res.status(400).json({
+                error: 'Bad Request',
+                message: 'lang must be a language code such as "en" or "fil"',
+                timestamp: new Date().toISOString()
+            });
+            return undefined;
+        }
+        return lang;
+    };
 
-// API Documentation at root
-router.get('/', (req, res) => {
-    res.json({
-        message: '🤖 SimSimi API v1.0',
-        description: 'A smart chatbot that learns from conversations',
-        endpoints: {
-            ask: {
-                method: 'GET',
-                path: '/ask',
-                description: 'Ask SimSimi a question',
-                parameters: {
-                    q: 'The question to ask (required)'
-                },
-                example: '/ask?q=hello'
-            },
-            teach: {
-                method: 'POST',
-                path: '/teach',
-                description: 'Teach SimSimi a new response',
-                body: {
-                    question: 'The question (required)',
-                    answer: 'The answer (required)'
-                }
-            },
-            stats: {
-                method: 'GET',
-                path: '/stats',
-                description: 'Get API statistics'
-            },
-            search: {
-                method: 'GET',
-                path: '/search',
-                description: 'Search responses',
-                parameters: {
-                    q: 'Search term (required)',
-                    limit: 'Results per page (default: 10)',
-                    page: 'Page number (default: 1)'
-                }
-            }
-        },
-        github: 'https://github.com/yourusername/simsimi-api',
-        documentation: 'https://your-docs-url.com'
+    // The data of a /stats response, also pushed to chat streams
+    const formatStats = (stats, lang, bot) => ({
+        ...(bot && { bot }),
+        ...(lang && { lang }),
+        total_responses: stats.total_responses || 0,
+        total_interactions: stats.total_interactions || 0,
+        taught_responses: stats.taught_responses || 0,
+        last_taught: stats.last_taught,
+        avg_response_time_ms: Math.round(stats.avg_response_time || 0),
+        ...(db.responseCache && { response_cache: db.responseCache.getStats() }),
+        uptime: process.uptime(),
+        memory_usage: process.memoryUsage()
     });
-});
 
-// Ask endpoint
-router.get('/ask', logRequest, async (req, res) => {
-    try {
-        const question = req.query.q;
+    // Open chat streams (see utils/chatHub.js)
+    const chatHub = new ChatHub({ getStats: async bot => formatStats(await db.getStats({ bot }), null, bot) });
+
+    // What to say when nothing answers a question (see utils/fallbacks.js):
+    // { suggestions, related } when the closest taught question is close
+    // enough to redirect to, else { suggestions, reply }
+    const findFallback = async (question, { context, lang, botChain }) => {
+        const config = fallbacks.getFallbackConfig();
+        const redirects = config.redirectThreshold !== null;
+        const similar = await db.findSuggestions(question, {
+            lang,
+            bots: botChain,
+            threshold: redirects ? Math.min(config.suggestionThreshold, config.redirectThreshold) : config.suggestionThreshold,
+            limit: Math.max(config.maxSuggestions, redirects ? 1 : 0)
+        });
+        const suggestions = similar
+            .filter(suggestion => suggestion.confidence >= config.suggestionThreshold)
+            .slice(0, config.maxSuggestions);
         
-        if (!question || question.trim() === '') {
-            return res.status(400).json({
-                error: 'Bad Request',
-                message: 'Question parameter (q) is required',
-                example: '/api/v1/ask?q=hello'
-            });
+        const closest = similar[0];
+        if (redirects && closest && closest.confidence >= config.redirectThreshold) {
+            const related = await db.findResponse(closest.question, { context, lang, bots: botChain });
+            if (related) {
+                return {
+                    suggestions: suggestions.filter(suggestion => suggestion.question !== closest.question),
+                    related: { ...related, match_type: 'related', confidence: closest.confidence, matched_question: closest.question }
+                };
+            }
         }
         
+        const pool = supports(db, 'getFallbackResponses') ? await db.getFallbackResponses({ lang, bots: botChain }) : [];
+        return { suggestions, reply: fallbacks.pickResponse(pool) };
+    };
+
+    // Answers a question, within a chat session when sessionId is given (see
+    // utils/sessions.js). client is { userAgent, ipAddress, apiKeyId } for
+    // the log, e.g. from getActor(); owner is the client id the session
+    // belongs to, e.g. from getClientId(); bot is req.bot (the base
+    // namespace by default). Returns the session, or null, and the response
+    // body; shared by /ask, /chat/messages and webhooks.
+    const answerQuestion = async (client, { question, requestedLang, sessionId, owner, bot = bots.BASE_BOT }) => {
+        const detected = requestedLang ? null : language.detectLanguage(question);
+        const lang = requestedLang || detected.lang;
+        const botChain = bots.getBotChain(bot);
+        
+        // The session's last answer is the context for follow-up questions
+        const session = await sessions.resolveSession(db, sessionId, { owner, bot: bot.id });
+        const context = session ? session.lastAnswer : null;
+        
         const startTime = Date.now();
-        const response = await db.findResponse(question);
+        const response = await db.findResponse(question, { context, lang, bots: botChain });
+        const fallback = response ? null : await findFallback(question, { context, lang, botChain });
+        
+        // A related answer stands in for a missing one, but the question still
+        // counts as unanswered
+        const answer = response || fallback.related;
+        if (answer) {
+            answer.answer = await templates.render(answer.answer, {
+                question,
+                turn: session ? session.turns.length + 1 : 1,
+                variables: answer.captures,
+                // Each bot counts on its own
+                incrementCounter: name => db.incrementCounter(bot.id ? `${bot.id}/${name}` : name)
+            });
+        }
         const responseTime = Date.now() - startTime;
         
         // Log the interaction
-        await db.logInteraction(
+        const logId = await db.logInteraction({
             question,
-            response ? response.answer : null,
-            !!response,
-            req.headers['user-agent'] || '',
-            req.ip || '',
-            responseTime
-        );
+            response: answer ? answer.answer : null,
+            isTaught: !!response,
+            userAgent: client.userAgent || '',
+            ipAddress: client.ipAddress || '',
+            responseTime,
+            conversationId: answer ? answer.id : null,
+            event: 'ask',
+            lang,
+            bot: bot.id,
+            sessionId: session ? session.id : null,
+            apiKeyId: client.apiKeyId
+        });
+        chatHub.markStatsChanged();
+        metrics.asks.inc({ bot: bot.id, result: response ? 'hit' : 'miss' });
         
-        if (response) {
-            res.json({
-                status: 'success',
-                question: question,
-                response: response.answer,
-                is_taught: true,
-                teach_count: response.teach_count,
-                response_time_ms: responseTime,
-                timestamp: new Date().toISOString()
-            });
-        } else {
-            // If no response found, provide a default
-            const defaultResponses = [
-                "I don't know how to respond to that yet. Can you teach me?",
-                "Hmm, I'm not sure about that one. Want to teach me the answer?",
-                "That's a new one for me! What should I say to that?",
-                "I'm still learning! Could you teach me how to respond to that?",
-                "I don't have an answer for that. Would you like to teach me?"
-            ];
-            
-            const randomResponse = defaultResponses[Math.floor(Math.random() * defaultResponses.length)];
-            
-            res.json({
+        if (session) {
+            await sessions.recordTurn(db, session, answer
+                ? { question, answer: answer.answer, conversationId: answer.id }
+                : { question, answer: fallback.reply });
+            if (!response) {
+                chatHub.trackUnanswered(session.id, question.toLowerCase().trim(), bot.id);
+            }
+        }
+        
+        if (answer) {
+            return {
+                session,
+                body: {
+                    status: 'success',
+                    ...(bot.id && { bot: bot.id }),
+                    question: question,
+                    response: answer.answer,
+                    answer_id: answer.id,
+                    log_id: logId,
+                    is_taught: !!response,
+                    ...(!response && { needs_teaching: true }),
+                    teach_count: answer.teach_count,
+                    answer_count: answer.answer_count,
+                    match_type: answer.match_type,
+                    confidence: answer.confidence,
+                    ...(answer.matched_question && { matched_question: answer.matched_question }),
+                    ...(answer.captures && { captures: answer.captures }),
+                    context_matched: answer.context_matched,
+                    lang,
+                    ...(detected && { lang_detected: true, lang_confidence: detected.confidence }),
+                    answer_lang: answer.lang || null,
+                    lang_matched: answer.lang_matched,
+                    ...(fallback && { suggestions: fallback.suggestions }),
+                    ...(session && { session_id: session.id }),
+                    response_time_ms: responseTime,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+        
+        return {
+            session,
+            body: {
                 status: 'success',
+                ...(bot.id && { bot: bot.id }),
                 question: question,
-                response: randomResponse,
+                response: fallback.reply,
                 is_taught: false,
                 needs_teaching: true,
+                match_type: 'none',
+                confidence: 0,
+                lang,
+                ...(detected && { lang_detected: true, lang_confidence: detected.confidence }),
+                suggestions: fallback.suggestions,
+                ...(session && { session_id: session.id }),
                 response_time_ms: responseTime,
                 timestamp: new Date().toISOString()
-            });
-        }
-    } catch (error) {
-        console.error('Error in /ask:', error);
-        res.status(500).json({
-            error: 'Internal Server Error',
-            message: 'Something went wrong while processing your request',
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+            }
+        };
+    };
 
-// Teach endpoint
-router.post('/teach', logRequest, async (req, res) => {
-    try {
-        const { question, answer } = req.body;
+    // Checks a question/answer pair before teaching it. Returns null when it is
+    // valid, else { message, example }.
+    const validateTeach = (question, answer) => {
+        if (question.length > 500 || answer.length > 1000) {
+            return { message: 'Question or answer too long. Max 500 chars for question, 1000 for answer' };
+        }
         
-        if (!question || !answer) {
-            return res.status(400).json({
-                error: 'Bad Request',
-                message: 'Both question and answer are required',
-                example: { question: 'hello', answer: 'Hello there!' }
-            });
+        const patternError = patterns.validatePattern(question);
+        if (patternError) {
+            return {
+                message: `Invalid pattern question: ${patternError}`,
+                example: { question: 'my name is {name}', answer: 'Nice to meet you, {name}!' }
+            };
         }
         
-        if (question.length > 500 || answer.length > 1000) {
-            return res.status(400).json({
-                error: 'Bad Request',
-                message: 'Question or answer too long. Max 500 chars for question, 1000 for answer'
+        try {
+            templates.validate(answer, patterns.getSlotVariables(question));
+        } catch (templateError) {
+            return {
+                message: `Invalid answer template: ${templateError.message}`,
+                example: { question: 'what time is it', answer: 'It is {time}. {pick:Time flies!|Have a nice day!}' }
+            };
+        }
+        return null;
+    };
+
+    // Teaches a validated pair. Flagged teaches are queued for review instead
+    // of going live, unless the teacher is trusted. Returns { pending } when
+    // queued, { unsupported: true } when flagged but the storage backend has no
+    // review queue, else { result, responseTime }.
+    const saveTeach = async (actor, { question, answer, context, requestedLang, isTrusted = false, apiKeyId = null, bot = bots.BASE_BOT }) => {
+        const lang = requestedLang || language.detectLanguage(`${question} ${answer}`).lang;
+        const review = isTrusted ? { flagged: false } : await moderation.moderate({ question, answer });
+        
+        if (review.flagged) {
+            if (!supports(db, 'queuePendingTeach')) {
+                return { unsupported: true };
+            }
+            
+            const pending = await db.queuePendingTeach({
+                question,
+                answer,
+                lang,
+                reasons: review.reasons,
+                userAgent: actor.userAgent || '',
+                ipAddress: actor.ipAddress || '',
+                apiKeyId,
+                bot: bot.id
             });
+            metrics.teaches.inc({ bot: bot.id, status: 'queued' });
+            return { pending };
         }
         
         const startTime = Date.now();
-        const result = await db.upsertResponse(question, answer);
+        const result = await db.upsertResponse(question, answer, actor, { context, lang, bot: bot.id });
         const responseTime = Date.now() - startTime;
         
         // Log the teaching
-        await db.logInteraction(
+        await db.logInteraction({
             question,
-            answer,
-            true,
-            req.headers['user-agent'] || '',
-            req.ip || '',
-            responseTime
-        );
-        
-        res.status(201).json({
-            status: 'success',
-            message: 'Successfully taught SimSimi!',
-            data: {
-                id: result.id,
-                question: result.question,
-                answer: result.answer,
-                teach_count: result.teach_count,
-                created_at: result.created_at,
-                updated_at: result.updated_at
-            },
-            response_time_ms: responseTime,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('Error in /teach:', error);
-        res.status(500).json({
-            error: 'Internal Server Error',
-            message: 'Failed to save the response',
-            timestamp: new Date().toISOString()
+            response: answer,
+            isTaught: true,
+            userAgent: actor.userAgent || '',
+            ipAddress: actor.ipAddress || '',
+            responseTime,
+            conversationId: result.id,
+            event: 'teach',
+            lang: result.lang,
+            bot: bot.id,
+            apiKeyId: actor.apiKeyId
         });
-    }
-});
+        chatHub.notifyTaught(result);
+        metrics.teaches.inc({ bot: bot.id, status: 'saved' });
+        
+        return { result, responseTime };
+    };
+
+    // Chat platform webhooks answer for many users at once, so they have their
+    // own verification and per-user rate limits instead of the ones below
+    router.use('/webhooks', webhookRoutes({ answerQuestion, validateTeach, saveTeach }, rateLimitStore));
+
+    // /bots/<id>/... is the same API for a named bot: strip the prefix and
+    // remember the id for selectBot. Webhooks are only for the base namespace.
+    router.use((req, res, next) => {
+        const match = /^\/bots\/([^/?]+)(.*)$/.exec(req.url);
+        if (match) {
+            req.botPath = decodeURIComponent(match[1]);
+            req.url = match[2].startsWith('/') ? match[2] : `/${match[2]}`;
+        }
+        next();
+    });
 
-// Stats endpoint
-router.get('/stats', async (req, res) => {
-    try {
-        const stats = await db.getStats();
+    // Sets req.bot to the bot a request talks to: the one in the path, else
+    // the one its API key is bound to, else the base namespace. A key bound to
+    // a bot can't talk to another.
+    const selectBot = async (req, res, next) => {
+        const keyBot = req.apiKey && req.apiKey.bot;
+        const id = req.botPath !== undefined ? req.botPath : keyBot || '';
+        
+        if (keyBot && id !== keyBot) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `This API key belongs to bot "${keyBot}"`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        if (!id) {
+            req.bot = bots.BASE_BOT;
+            return next();
+        }
+        if (!supports(db, 'getBot')) {
+            return notImplemented(res, db);
+        }
         
+        try {
+            req.bot = bots.isValidBotId(id) && await db.getBot(id);
+            if (!req.bot) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: `Bot "${id}" does not exist`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    // Resolve API keys and the bot, then apply rate limiting to all routes
+    router.use(authenticate(db));
+    router.use(selectBot);
+    router.use(rateLimit(rateLimitStore));
+
+    // Logging middleware
+    const logRequest = (req, res, next) => {
+        req.startTime = Date.now();
+        next();
+    };
+
+    // API Documentation at root
+    router.get('/', (req, res) => {
         res.json({
-            status: 'success',
-            data: {
-                total_responses: stats.total_responses || 0,
-                total_interactions: stats.total_interactions || 0,
-                taught_responses: stats.taught_responses || 0,
-                last_taught: stats.last_taught,
-                avg_response_time_ms: Math.round(stats.avg_response_time || 0),
-                uptime: process.uptime(),
-                memory_usage: process.memoryUsage()
+            message: '🤖 SimSimi API v1.0',
+            description: 'A smart chatbot that learns from conversations',
+            authentication: 'Send an API key as "Authorization: Bearer <key>". Keys carry scopes (ask, teach, admin) and their own rate limit. Without a key, requests get the ask scope, plus teach if the deployment allows anonymous teaching',
+            rate_limits: 'Requests are limited per API key or IP. /teach has a stricter budget of its own; see the X-RateLimit-* headers. An API key\'s or bot\'s rate_limit is a number of requests per window of the default policy',
+            tracing: 'Every response carries an X-Request-Id header, also found in the server logs; send your own X-Request-Id to trace a request end to end. Prometheus metrics are served at /metrics (outside /api)',
+            bots: 'Every endpoint below (except webhooks) also exists under /bots/<id>/ for a named bot with its own answers, fallback replies, rate limit and stats. A bot may inherit the default bot\'s answers. API keys bound to a bot talk to it without the prefix, and only to it',
+            endpoints: {
+                ask: {
+                    method: 'GET',
+                    path: '/ask',
+                    description: 'Ask SimSimi a question. When several answers were taught, one is picked at random, weighted by teach count. Without an exact match, the most specific pattern question is tried (match_type: pattern, with captures), then the closest taught question for typos and punctuation variants (match_type: fuzzy, with a confidence score). Answers in the question\'s language are preferred, then its fallback languages (e.g. fil → en), then answers of unknown language. When nothing matches, the reply comes from the bot\'s fallback pool (needs_teaching: true) with "did you mean" suggestions: the closest taught questions, as { question, confidence }. If the deployment enables redirects and the closest one is similar enough, its answer is given instead (match_type: related)',
+                    parameters: {
+                        q: 'The question to ask (required, at most 500 chars)',
+                        lang: 'Language code, e.g. en or fil (optional, detected from the question when missing)',
+                        session_id: 'Session to continue, or "new" to start one (optional, also accepted as the X-Session-Id header). A new one is issued when the id is expired; without one, the question is answered outside any session'
+                    },
+                    example: '/ask?q=hello'
+                },
+                teach: {
+                    method: 'POST',
+                    path: '/teach',
+                    description: 'Teach SimSimi a new response. Different answers to the same question are kept side by side; re-teaching an answer raises its weight. Answers flagged by moderation (blocklist, links, phone numbers, spam) are queued for review and return 202 with status "pending"',
+                    body: {
+                        question: 'The question (required). May be a pattern with {slots} or * wildcards, e.g. "my name is {name}", with at most 5 slots',
+                        answer: 'The answer (required). A template: {time}, {date}, {weekday}, {daypart:morning|afternoon|evening|night}, {pick:a|b|c}, {question}, {turn}, {counter:name}, and pattern captures as {name} or {1}. Use {{ and }} for literal braces',
+                        context: 'Previous bot answer this answer should follow (optional)',
+                        lang: 'Language code of the pair, e.g. en or fil (optional, detected from the question and answer when missing)'
+                    }
+                },
+                feedback: {
+                    method: 'POST',
+                    path: '/feedback',
+                    description: 'Rate an answer from /ask. Votes raise or lower how often the answer is picked, and answers voted far enough down are hidden. One vote per answer and user; voting again replaces it',
+                    body: {
+                        log_id: 'The log_id returned by /ask (required)',
+                        vote: '"up" or "down" (required)'
+                    }
+                },
+                stats: {
+                    method: 'GET',
+                    path: '/stats',
+                    description: 'Get API statistics',
+                    parameters: {
+                        lang: 'Only count answers and interactions in this language (optional)'
+                    }
+                },
+                search: {
+                    method: 'GET',
+                    path: '/search',
+                    description: 'Full-text search over questions and answers, ranked by relevance (question matches count double) and answer quality. Results include highlighted question_highlight and answer_snippet fields with matches wrapped in <mark>',
+                    parameters: {
+                        q: 'Search terms (required). Every word must match; the last one may be a prefix',
+                        lang: 'Only return answers in this language (optional)',
+                        from: 'Only answers taught on or after this ISO date/datetime (optional)',
+                        to: 'Only answers taught up to this ISO date/datetime (optional)',
+                        min_teach_count: 'Only answers taught at least this many times (optional)',
+                        is_active: 'true, false or all (admin scope only; default: true)',
+                        limit: 'Results per page (default: 10, max: 100)',
+                        page: 'Page number (default: 1)'
+                    }
+                },
+                chat: {
+                    description: 'Real-time chat over Server-Sent Events. Open the stream, then post questions with its session_id; answers arrive on the stream after a typing event. The stream also pushes stats updates and a taught event when a question this session could not get answered is taught. Same auth (or ?access_token= on the stream) and rate limits as /ask',
+                    endpoints: [
+                        'GET /chat/stream?session_id=&access_token= (events: ready, typing, answer, stats, taught, failed)',
+                        'POST /chat/messages { question, session_id, lang? } → 202 { message_id }'
+                    ]
+                },
+                webhooks: {
+                    description: 'Inbound webhooks for chat platforms, each verified with the platform\'s signature. Messages are answered like /ask, and "teach: <question> => <answer>" teaches like /teach, with the anonymous scopes and per-user rate limits. In group chats, SimSimi answers commands, mentions and replies',
+                    endpoints: [
+                        'POST /webhooks/telegram (secret token header)',
+                        'GET|POST /webhooks/messenger (verify token, X-Hub-Signature-256)',
+                        'POST /webhooks/discord (Ed25519; slash commands /ask question and /teach question answer)'
+                    ]
+                },
+                sessions: {
+                    description: 'Recent turns of a chat session (ask scope). Only the client that started it, with the same API key or address and bot, can read or end it; to anyone else it is not found',
+                    endpoints: [
+                        'GET /sessions/:id',
+                        'DELETE /sessions/:id'
+                    ]
+                },
+                analytics: {
+                    description: 'Question analytics for teachers (teach scope). All accept from/to as ISO dates; the default range is the last 30 days',
+                    endpoints: [
+                        'GET /analytics/unanswered?limit=&include_taught=',
+                        'GET /analytics/top-questions?limit=',
+                        'GET /analytics/hit-rate?interval=hour|day',
+                        'GET /analytics/response-times'
+                    ]
+                },
+                admin: {
+                    auth: 'Authorization: Bearer <key with the admin scope, or ADMIN_API_KEY>',
+                    endpoints: [
+                        'GET /admin/responses?q=&question=&is_active=&lang=&sort=updated|created|teach_count|score|question&page=&limit=',
+                        'GET /admin/responses/:id',
+                        'PATCH /admin/responses/:id { question?, answer?, context?, lang? }',
+                        'POST /admin/responses/:id/deactivate',
+                        'POST /admin/responses/:id/reactivate',
+                        'DELETE /admin/responses/:id',
+                        'POST /admin/keys { name, scopes: [ask|teach|admin], rate_limit?, bot? }',
+                        'GET /admin/keys',
+                        'DELETE /admin/keys/:id',
+                        'POST /admin/bots { id, name, inherit_base?, rate_limit? }',
+                        'GET /admin/bots',
+                        'GET /admin/bots/:id',
+                        'PATCH /admin/bots/:id { name?, inherit_base?, rate_limit? }',
+                        'DELETE /admin/bots/:id (also deletes its answers and revokes its keys)',
+                        'GET /admin/fallbacks?lang=',
+                        'POST /admin/fallbacks { response, lang? } (lang omitted: for any language)',
+                        'DELETE /admin/fallbacks/:id',
+                        'POST /admin/erasure?dry_run= { ip?, api_key_id?, session_id? } (deletes the logs, votes, session and teaches tied to any of them; returns a deletion report. IP addresses stored truncated are never matched)',
+                        'POST /admin/backups',
+                        'GET /admin/backups',
+                        'GET /admin/moderation/queue?status=pending|approved|rejected&page=&limit=',
+                        'POST /admin/moderation/queue/:id/approve',
+                        'POST /admin/moderation/queue/:id/reject',
+                        'GET /admin/history?question=',
+                        'GET /admin/responses/:id/revisions',
+                        'POST /admin/revisions/:id/rollback',
+                        'GET /admin/export?format=json|jsonl|csv&include_inactive=',
+                        'POST /admin/import?format=json|jsonl|csv&dry_run= (body: JSON array, JSON lines or CSV with question,answer[,context,lang,teach_count,is_active])'
+                    ]
+                }
             },
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('Error in /stats:', error);
-        res.status(500).json({
-            error: 'Internal Server Error',
-            message: 'Failed to retrieve statistics',
-            timestamp: new Date().toISOString()
+            github: 'https://github.com/yourusername/simsimi-api',
+            documentation: 'https://your-docs-url.com'
         });
-    }
-});
+    });
+
+    // Ask endpoint
+    router.get('/ask', requireScope('ask'), rateLimit(rateLimitStore, 'ask'), logRequest, async (req, res) => {
+        try {
+            const question = req.query.q;
+            
+            // A repeated q arrives as an array
+            if (typeof question !== 'string' || question.trim() === '') {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'Question parameter (q) is required, once',
+                    example: '/api/v1/ask?q=hello'
+                });
+            }
+            
+            if (question.length > patterns.MAX_QUESTION_LENGTH) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `Question too long. Max ${patterns.MAX_QUESTION_LENGTH} chars`
+                });
+            }
+            
+            const requestedLang = parseLangParam(req.query.lang, res);
+            if (requestedLang === undefined) return;
+            
+            const { session, body } = await answerQuestion(getActor(req), {
+                question,
+                requestedLang,
+                sessionId: req.query.session_id || req.get('X-Session-Id'),
+                owner: getClientId(req),
+                bot: req.bot
+            });
+            
+            if (session) {
+                res.set('X-Session-Id', session.id);
+            }
+            res.json(body);
+        } catch (error) {
+            console.error('Error in /ask:', error);
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Something went wrong while processing your request',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // Teach endpoint
+    router.post('/teach', requireScope('teach'), rateLimit(rateLimitStore, 'teach'), logRequest, async (req, res) => {
+        try {
+            const { question, answer, context, lang: langParam } = req.body;
+            
+            if (!question || !answer) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'Both question and answer are required',
+                    example: { question: 'hello', answer: 'Hello there!' }
+                });
+            }
+            
+            if (typeof question !== 'string' || typeof answer !== 'string') {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'question and answer must be strings',
+                    example: { question: 'hello', answer: 'Hello there!' }
+                });
+            }
+            
+            const invalid = validateTeach(question, answer);
+            if (invalid) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: invalid.message,
+                    ...(invalid.example && { example: invalid.example })
+                });
+            }
+            
+            if (context !== undefined && (typeof context !== 'string' || context.length > 1000)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'context must be the previous answer as a string of at most 1000 chars'
+                });
+            }
+            
+            const requestedLang = parseLangParam(langParam, res);
+            if (requestedLang === undefined) return;
+            
+            // Keys with the admin scope are trusted and skip moderation
+            const { pending, unsupported, result, responseTime } = await saveTeach(getActor(req), {
+                question,
+                answer,
+                context,
+                requestedLang,
+                isTrusted: !!req.apiKey && req.apiKey.scopes.includes('admin'),
+                apiKeyId: req.apiKey ? req.apiKey.id : null,
+                bot: req.bot
+            });
+            
+            // Without a review queue, flagged teaches are refused
+            if (unsupported) {
+                return notImplemented(res, db);
+            }
+            
+            if (pending) {
+                return res.status(202).json({
+                    status: 'pending',
+                    message: 'Thanks! Your answer is waiting for moderator review',
+                    data: {
+                        pending_id: pending.id,
+                        question: pending.question,
+                        reasons: pending.reasons
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            res.status(201).json({
+                status: 'success',
+                message: 'Successfully taught SimSimi!',
+                data: {
+                    id: result.id,
+                    question: result.question,
+                    answer: result.answer,
+                    context: result.context || null,
+                    lang: result.lang,
+                    lang_detected: !requestedLang,
+                    teach_count: result.teach_count,
+                    created_at: result.created_at,
+                    updated_at: result.updated_at
+                },
+                response_time_ms: responseTime,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in /teach:', error);
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Failed to save the response',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // Feedback endpoint
+    router.post('/feedback', requireStorage(db, 'recordFeedback'), requireScope('ask'), rateLimit(rateLimitStore, 'feedback'), async (req, res) => {
+        try {
+            const { log_id: logId } = req.body || {};
+            const vote = feedback.parseVote((req.body || {}).vote);
+            
+            if (!Number.isInteger(logId) || logId <= 0 || !vote) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'log_id (from /ask) and vote ("up" or "down") are required',
+                    example: { log_id: 42, vote: 'up' }
+                });
+            }
+            
+            const log = await db.getLog(logId);
+            if (!log || log.event !== 'ask' || !log.conversation_id || log.bot !== req.bot.id) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: `Log ${logId} is not an answered question`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // Votes are limited per API key, or per IP for anonymous requests
+            const config = feedback.getFeedbackConfig();
+            const voter = getClientId(req);
+            if (await db.countRecentFeedback(voter, config.rateWindowMinutes) >= config.rateLimit) {
+                return res.status(429).json({
+                    error: 'Too many requests',
+                    message: `You can vote ${config.rateLimit} times every ${config.rateWindowMinutes} minutes`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            let answer = await db.recordFeedback({
+                conversationId: log.conversation_id,
+                logId,
+                voter,
+                vote,
+                ipAddress: getActor(req).ipAddress
+            });
+            if (!answer) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'That answer no longer exists',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const hidden = !!answer.is_active && feedback.shouldHide(answer);
+            if (hidden) {
+                answer = await db.autoHideResponse(answer.id) || answer;
+            }
+            
+            res.json({
+                status: 'success',
+                message: 'Thanks for the feedback!',
+                data: {
+                    answer_id: answer.id,
+                    vote: vote === 1 ? 'up' : 'down',
+                    upvotes: answer.upvotes,
+                    downvotes: answer.downvotes,
+                    score: answer.upvotes - answer.downvotes,
+                    is_active: !!answer.is_active,
+                    hidden
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in /feedback:', error);
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Failed to save the feedback',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // Stats endpoint
+    router.get('/stats', requireScope('ask'), async (req, res) => {
+        try {
+            const lang = parseLangParam(req.query.lang, res);
+            if (lang === undefined) return;
+            
+            const stats = await db.getStats({ lang, bot: req.bot.id });
+            
+            res.json({
+                status: 'success',
+                data: formatStats(stats, lang, req.bot.id),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in /stats:', error);
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Failed to retrieve statistics',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // Search endpoint
+    router.get('/search', requireScope('ask'), rateLimit(rateLimitStore, 'search'), async (req, res) => {
+        try {
+            const searchTerm = req.query.q;
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const offset = (page - 1) * limit;
+            
+            if (typeof searchTerm !== 'string' || searchTerm.trim() === '') {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'Search term (q) is required, once',
+                    example: '/api/v1/search?q=hello'
+                });
+            }
+            
+            const lang = parseLangParam(req.query.lang, res);
+            if (lang === undefined) return;
+            
+            const from = req.query.from ? toSqlTimestamp(req.query.from, false) : undefined;
+            const to = req.query.to ? toSqlTimestamp(req.query.to, true) : undefined;
+            if (from === null || to === null) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'from and to must be ISO dates or datetimes',
+                    example: '/api/v1/search?q=hello&from=2024-01-01&to=2024-01-31'
+                });
+            }
+            
+            // Hidden answers are only searchable with the admin scope
+            const isAdmin = !!req.apiKey && req.apiKey.scopes.includes('admin');
+            const activeFilter = isAdmin && req.query.is_active !== undefined
+                ? String(req.query.is_active).toLowerCase()
+                : 'true';
+            const isActive = activeFilter === 'all' ? undefined : ['1', 'true'].includes(activeFilter);
+            
+            const { rows, total } = await db.searchResponses(searchTerm, {
+                limit,
+                offset,
+                lang,
+                isActive,
+                from,
+                to,
+                minTeachCount: parseInt(req.query.min_teach_count) || undefined,
+                bots: bots.getBotChain(req.bot)
+            });
+            
+            res.json({
+                status: 'success',
+                data: {
+                    results: rows,
+                    pagination: {
+                        page: page,
+                        limit: limit,
+                        total_results: total,
+                        total_pages: Math.ceil(total / limit),
+                        has_more: page * limit < total
+                    },
+                    search_term: searchTerm,
+                    ...(lang && { lang })
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in /search:', error);
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Failed to search responses',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // Session history, for the client that owns the session
+    router.get('/sessions/:id', requireScope('ask'), async (req, res) => {
+        try {
+            const session = await sessions.getOwnSession(db, req.params.id, { owner: getClientId(req), bot: req.bot.id });
+            
+            if (!session) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'Session not found or expired',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const turns = await db.getSessionTurns(session.id, sessions.getSessionConfig().maxTurns);
+            const { owner, ...data } = session;
+            
+            res.json({
+                status: 'success',
+                data: { ...data, turns },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in /sessions:', error);
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Failed to load the session',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    router.delete('/sessions/:id', requireScope('ask'), async (req, res) => {
+        try {
+            const session = await sessions.getOwnSession(db, req.params.id, { owner: getClientId(req), bot: req.bot.id });
+            const deleted = !!session && await db.deleteSession(session.id);
+            
+            if (!deleted) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'Session not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            res.json({
+                status: 'success',
+                message: 'Session ended',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in /sessions:', error);
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Failed to end the session',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // Chat stream: Server-Sent Events for the web chat and embedded widgets
+    // (see utils/chatHub.js). EventSource can't send headers, so the API key
+    // may be passed as ?access_token= here.
+    router.get('/chat/stream', requireScope('ask'), async (req, res) => {
+        try {
+            const owner = getClientId(req);
+            const config = getStreamConfig();
+            if (chatHub.countStreams(owner) >= config.maxPerClient) {
+                return res.status(429).json({
+                    error: 'Too many requests',
+                    message: `At most ${config.maxPerClient} chat streams can be open at once`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // A stream always has a session
+            const session = await sessions.resolveSession(db, req.query.session_id || req.get('X-Session-Id') || sessions.NEW_SESSION, { owner, bot: req.bot.id });
+            res.set('X-Session-Id', session.id);
+            chatHub.open(req, res, { sessionId: session.id, owner, isNew: session.isNew, bot: req.bot.id });
+        } catch (error) {
+            console.error('Error in /chat/stream:', error);
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: 'Failed to open the chat stream',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // Answers a question on an open stream: typing, then the answer after a
+    // delay that grows with its length
+    const streamAnswer = async (stream, req, { messageId, question, requestedLang }) => {
+        const startTime = Date.now();
+        chatHub.send(stream, 'typing', { message_id: messageId, typing: true });
+        
+        try {
+            const { body } = await answerQuestion(getActor(req), { question, requestedLang, sessionId: stream.sessionId, owner: stream.owner, bot: req.bot });
+            const wait = typingDelay(body.response, getStreamConfig().maxTypingMs) - (Date.now() - startTime);
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            
+            chatHub.send(stream, 'typing', { message_id: messageId, typing: false });
+            chatHub.send(stream, 'answer', { message_id: messageId, ...body });
+        } catch (error) {
+            console.error('Error in /chat/messages:', error);
+            chatHub.send(stream, 'typing', { message_id: messageId, typing: false });
+            chatHub.send(stream, 'failed', {
+                message_id: messageId,
+                error: 'Internal Server Error',
+                message: 'Something went wrong while processing your request'
+            });
+        }
+    };
 
-// Search endpoint
-router.get('/search', async (req, res) => {
-    try {
-        const searchTerm = req.query.q;
-        const limit = parseInt(req.query.limit) || 10;
-        const page = parseInt(req.query.page) || 1;
-        const offset = (page - 1) * limit;
+    // Chat message: asks a question on the session's open stream. Replies 202
+    // at once; the answer follows as stream events.
+    router.post('/chat/messages', requireScope('ask'), rateLimit(rateLimitStore, 'ask'), async (req, res) => {
+        const { question, session_id: sessionId, lang: langParam } = req.body || {};
         
-        if (!searchTerm || searchTerm.trim() === '') {
+        if (typeof question !== 'string' || question.trim() === '') {
             return res.status(400).json({
                 error: 'Bad Request',
-                message: 'Search term (q) is required',
-                example: '/api/v1/search?q=hello'
+                message: 'question and the session_id of an open /chat/stream are required',
+                example: { question: 'hello', session_id: '<session_id from the stream\'s ready event>' }
             });
         }
         
-        const results = await db.searchResponses(searchTerm, limit, offset);
+        if (question.length > patterns.MAX_QUESTION_LENGTH) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Question too long. Max ${patterns.MAX_QUESTION_LENGTH} chars`
+            });
+        }
         
-        res.json({
-            status: 'success',
-            data: {
-                results: results,
-                pagination: {
-                    page: page,
-                    limit: limit,
-                    total_results: results.length,
-                    has_more: results.length === limit
-                },
-                search_term: searchTerm
-            },
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('Error in /search:', error);
-        res.status(500).json({
-            error: 'Internal Server Error',
-            message: 'Failed to search responses',
-            timestamp: new Date().toISOString()
-        });
-    }
-});
-
-// Health check endpoint
-router.get('/health', async (req, res) => {
-    try {
-        const dbHealth = await db.healthCheck();
+        const requestedLang = parseLangParam(langParam, res);
+        if (requestedLang === undefined) return;
         
-        res.json({
-            status: dbHealth.healthy ? 'healthy' : 'degraded',
-            service: 'SimSimi API',
-            version: '1.0.0',
-            timestamp: new Date().toISOString(),
-            database: dbHealth.healthy ? 'connected' : 'disconnected',
-            uptime: process.uptime(),
-            memory: process.memoryUsage()
-        });
-    } catch (error) {
-        res.status(503).json({
-            status: 'unhealthy',
-            service: 'SimSimi API',
-            error: error.message,
+        const stream = sessions.isValidSessionId(sessionId) && chatHub.find(sessionId, getClientId(req));
+        if (!stream || stream.bot !== req.bot.id) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: 'No open chat stream for this session_id. Open GET /chat/stream first',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const messageId = crypto.randomUUID();
+        res.status(202).json({
+            status: 'accepted',
+            message: 'The answer will follow on the chat stream',
+            data: { message_id: messageId, session_id: sessionId },
             timestamp: new Date().toISOString()
         });
-    }
-});
+        
+        streamAnswer(stream, req, { messageId, question, requestedLang });
+    });
+
+    // Analytics over logged questions (require the teach scope)
+    router.use('/analytics', requireStorage(db, 'getTopQuestions'), requireScope('teach'), analyticsRoutes(db));
 
-module.exports = router;
\ No newline at end of file
+    // Admin routes (require the admin scope; see routes/admin.js for the
+    // backends they need)
+    router.use('/admin', adminRoutes(db));
+
+    // Health check endpoint
+    router.get('/health', async (req, res) => {
+        try {
+            const dbHealth = await db.healthCheck();
+            
+            res.json({
+                status: dbHealth.healthy ? 'healthy' : 'degraded',
+                service: 'SimSimi API',
+                version: '1.0.0',
+                timestamp: new Date().toISOString(),
+                database: dbHealth.healthy ? 'connected' : 'disconnected',
+                storage: db.backend,
+                uptime: process.uptime(),
+                memory: process.memoryUsage()
+            });
+        } catch (error) {
+            res.status(503).json({
+                status: 'unhealthy',
+                service: 'SimSimi API',
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    // Lets the server end open chat streams on shutdown
+    router.chatHub = chatHub;
+    
+    return router;
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const express = require('express');
+const adapters = require('../adapters');
+const { HELP_TEXT, parseCommand } = require('../adapters/commands');
+const { getAnonymousScopes } = require('../middleware/auth');
+const { consume } = require('../middleware/rateLimit');
+const fallbacks = require('../utils/fallbacks');
+
+// Each platform chat keeps its own session, so follow-up questions in a
+// group share context
+function chatSessionId(platform, chatId) {
+    const digest = crypto.createHash('sha256').update(String(chatId)).digest('hex');
+    return `${platform}-${digest.slice(0, 32)}`;
+}
+
+// Chat users are anonymous, so they get the anonymous scopes
+function isAllowed(scope) {
+    const scopes = getAnonymousScopes();
+    return scopes.includes(scope) || scopes.includes('admin');
+}
+
+// Inbound webhooks from chat platforms (see adapters/). Mounted under
+// /webhooks by the main API router. chat holds the ask/teach logic shared
+// with the REST routes: answerQuestion, validateTeach and saveTeach.
+module.exports = (chat, rateLimitStore) => {
+    const router = express.Router();
+
+    router.use('/:platform', (req, res, next) => {
+        const adapter = adapters.getAdapter(req.params.platform);
+        if (!adapter) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Unknown chat platform: ${req.params.platform}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        if (!adapter.isConfigured()) {
+            return res.status(503).json({
+                error: 'Service Unavailable',
+                message: `The ${adapter.name} webhook is not configured`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        req.adapter = adapter;
+        next();
+    });
+
+    // The reply to one chat message
+    const respond = async (adapter, message, command) => {
+        if (command.type === 'help') {
+            return HELP_TEXT;
+        }
+
+        const scope = command.type === 'teach' ? 'teach' : 'ask';
+        if (!isAllowed(scope)) {
+            return scope === 'teach' ? 'Sorry, teaching is turned off here.' : 'Sorry, I\'m not taking questions here.';
+        }
+
+        // Limited per chat user, like anonymous REST clients are per IP.
+        // Store errors let the message through.
+        const client = `${adapter.name}:${message.userId}`;
+        const usage = await consume(rateLimitStore, scope === 'teach' ? 'teach' : 'default', client)
+            .catch((error) => {
+                console.error('Rate limit store failed:', error);
+                return null;
+            });
+        if (usage && usage.limited) {
+            return `Please slow down! Try again in ${usage.retryAfter}s.`;
+        }
+
+        const actor = {
+            changedBy: `${adapter.name}:${message.userName || message.userId}`,
+            ipAddress: '',
+            userAgent: `${adapter.name} webhook`
+        };
+
+        if (command.type === 'ask') {
+            const { body } = await chat.answerQuestion(actor, {
+                question: command.question,
+                requestedLang: null,
+                sessionId: chatSessionId(adapter.name, message.chatId),
+                // Platforms call from changing addresses, so their chats'
+                // sessions belong to the platform
+                owner: `webhook:${adapter.name}`
+            });
+            // Platforms get "did you mean" suggestions as text
+            return body.suggestions && body.suggestions.length > 0
+                ? `${body.response}\n${fallbacks.formatSuggestions(body.suggestions)}`
+                : body.response;
+        }
+
+        const invalid = chat.validateTeach(command.question, command.answer);
+        if (invalid) {
+            return `I can't learn that: ${invalid.message}`;
+        }
+
+        const { pending, unsupported } = await chat.saveTeach(actor, {
+            question: command.question,
+            answer: command.answer
+        });
+        if (unsupported) {
+            return 'Sorry, I can\'t learn that one.';
+        }
+        if (pending) {
+            return 'Thanks! Your answer is waiting for moderator review.';
+        }
+        return `Got it! When someone says "${command.question}", I'll answer "${command.answer}".`;
+    };
+
+    const handleMessage = async (adapter, message) => {
+        const command = message.command || parseCommand(message.text, message);
+        if (!command) {
+            return;
+        }
+        await adapters.send(adapter.name, message, await respond(adapter, message, command));
+    };
+
+    // Subscription checks (Messenger)
+    router.get('/:platform', (req, res) => {
+        if (!req.adapter.handshake) {
+            return res.status(405).json({
+                error: 'Method Not Allowed',
+                message: `The ${req.adapter.name} webhook only accepts POST`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        req.adapter.handshake(req, res);
+    });
+
+    // Updates are acknowledged at once; replies go out through the
+    // platform's sender. Failures are logged rather than returned, since
+    // platforms retry failed deliveries.
+    router.post('/:platform', (req, res) => {
+        const adapter = req.adapter;
+        if (!adapter.verify(req)) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid webhook signature',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { messages, reply } = adapter.parse(req);
+        res.json(reply || { status: 'ok' });
+
+        for (const message of messages) {
+            handleMessage(adapter, message).catch((error) => {
+                console.error(`Error in /webhooks/${adapter.name}:`, error);
+            });
+        }
+    });
+
+    return router;
+};
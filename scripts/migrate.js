@@ -0,0 +1,53 @@
+// Schema migrations from the command line. The server also applies pending
+// migrations on startup; this is for checking or applying them beforehand.
+//
+//   npm run migrate               apply pending migrations
+//   npm run migrate -- --status   list migrations and which are applied
+//   npm run migrate -- --dry-run  run pending migrations, then roll back
+require('dotenv').config();
+const { createStorage } = require('../storage');
+const migrations = require('../utils/migrations');
+
+async function main() {
+    const mode = process.argv[2];
+    const db = createStorage();
+    if (db.backend !== 'sqlite') {
+        throw new Error(`Migrations are managed here for SQLite only; the ${db.backend} backend migrates on startup`);
+    }
+    await db.connect({ migrate: false });
+
+    try {
+        if (mode === '--status') {
+            const status = await migrations.getStatus(db);
+            console.log(`Schema version ${status.current_version} (latest: ${status.latest_version})`);
+            for (const migration of status.migrations) {
+                const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+                console.log(`  ${migration.id}  ${state}  ${migration.description || ''}`);
+            }
+            if (status.unknown_versions.length) {
+                console.log(`⚠️ Applied by newer code: ${status.unknown_versions.join(', ')}`);
+            }
+            return;
+        }
+
+        if (mode && mode !== '--dry-run') {
+            throw new Error(`Unknown option ${mode}. Use --status or --dry-run`);
+        }
+
+        const dryRun = mode === '--dry-run';
+        const applied = await migrations.migrate(db, { dryRun });
+        if (applied.length === 0) {
+            console.log('✅ Schema is up to date');
+        } else if (dryRun) {
+            console.log(`✅ Dry run: ${applied.length} pending migration(s) ran cleanly and were rolled back:`);
+            applied.forEach(migration => console.log(`  ${migration.id}`));
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
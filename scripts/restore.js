@@ -0,0 +1,88 @@
+// Restores the database from a backup. Stop the server first.
+//
+//   npm run restore -- --list
+//   npm run restore -- latest
+//   npm run restore -- simsimi-20240101-030000.db
+//   npm run restore -- /path/to/some/backup.db
+//
+// The backup is integrity-checked, copied next to the database and checked
+// again before it replaces the database. The current database (with its
+// -wal/-shm files) is kept as simsimi.db.pre-restore-<timestamp>.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Database = require('../database');
+const { createStorage } = require('../storage');
+const backups = require('../utils/backups');
+
+async function resolveBackup(arg, dir) {
+    if (arg === 'latest') {
+        const [latest] = await backups.listBackups(dir);
+        if (!latest) {
+            throw new Error(`No backups found in ${dir}`);
+        }
+        return path.join(dir, latest.name);
+    }
+    return fs.existsSync(arg) ? path.resolve(arg) : path.join(dir, arg);
+}
+
+async function moveIfExists(from, to) {
+    if (fs.existsSync(from)) {
+        await fs.promises.rename(from, to);
+    }
+}
+
+async function main() {
+    const arg = process.argv[2];
+    const { backend, dbPath } = createStorage();
+    if (backend !== 'sqlite') {
+        throw new Error(`Backups are only available with SQLite, not the ${backend} backend`);
+    }
+    const { dir } = backups.getBackupConfig(dbPath);
+
+    if (!arg || arg === '--list') {
+        const list = await backups.listBackups(dir);
+        console.log(list.length ? `Backups in ${dir}:` : `No backups found in ${dir}`);
+        for (const backup of list) {
+            console.log(`  ${backup.name}  ${backup.size_bytes} bytes  ${backup.created_at}`);
+        }
+        if (!arg) {
+            console.log('\nUsage: npm run restore -- <backup name | path | latest>');
+        }
+        return;
+    }
+
+    const source = await resolveBackup(arg, dir);
+    if (!fs.existsSync(source)) {
+        throw new Error(`Backup not found: ${source}`);
+    }
+
+    console.log(`🔍 Checking ${source}...`);
+    const integrity = await Database.checkIntegrity(source);
+    if (!integrity.ok) {
+        throw new Error(`Backup failed the integrity check: ${integrity.errors.join('; ')}`);
+    }
+
+    // Stage the copy on the same filesystem so the final swap is a rename
+    const staged = `${dbPath}.restoring`;
+    await fs.promises.copyFile(source, staged);
+    const stagedIntegrity = await Database.checkIntegrity(staged);
+    if (!stagedIntegrity.ok) {
+        await fs.promises.unlink(staged).catch(() => {});
+        throw new Error(`Copied backup failed the integrity check: ${stagedIntegrity.errors.join('; ')}`);
+    }
+
+    const previous = `${dbPath}.pre-restore-${Date.now()}`;
+    await moveIfExists(dbPath, previous);
+    await moveIfExists(`${dbPath}-wal`, `${previous}-wal`);
+    await moveIfExists(`${dbPath}-shm`, `${previous}-shm`);
+    await fs.promises.rename(staged, dbPath);
+
+    console.log(`✅ Restored ${path.basename(source)} to ${dbPath}`);
+    console.log(`   The previous database was kept as ${previous}`);
+}
+
+main().catch((error) => {
+    console.error('❌ Restore failed:', error.message);
+    process.exit(1);
+});
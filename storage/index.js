@@ -0,0 +1,44 @@
+// Picks the storage backend from DATABASE_URL:
+//
+//   (unset)                  SQLite at the default path (see database.js)
+//   sqlite:<path>            SQLite at <path>
+//   memory:                  in memory, for tests and demos (storage/memory.js)
+//   postgres://...           PostgreSQL (storage/postgres.js)
+//
+// Every backend implements the core interface the chat routes use, with
+// the same signatures: connect, close, healthCheck, findResponse,
+// findSuggestions, upsertResponse, logInteraction, getStats,
+// searchResponses, plus sessions, template counters and rate limits.
+// Answers, logs and stats are kept per bot everywhere, and API keys on
+// SQLite and PostgreSQL, but moderation queues, feedback, analytics, the
+// rest of admin (and so creating bots), fallback pools and backups are
+// SQLite-only; see middleware/storage.js.
+const Database = require('../database');
+
+function createStorage(url = process.env.DATABASE_URL) {
+    if (!url) {
+        return new Database();
+    }
+
+    const scheme = url.slice(0, url.indexOf(':') + 1).toLowerCase();
+    switch (scheme) {
+        case 'sqlite:':
+            return new Database({ filename: url.slice(scheme.length).replace(/^\/\/(?=\/)/, '') });
+        case 'memory:': {
+            const MemoryStorage = require('./memory');
+            return new MemoryStorage();
+        }
+        case 'postgres:':
+        case 'postgresql:': {
+            // Loaded lazily so that SQLite installs don't need the pg driver
+            const PostgresStorage = require('./postgres');
+            return new PostgresStorage(url);
+        }
+        default:
+            throw new Error(`Unsupported DATABASE_URL "${scheme || url}". Use sqlite:<path>, memory: or postgres://...`);
+    }
+}
+
+module.exports = {
+    createStorage
+};
@@ -0,0 +1,196 @@
+// Queues interaction logs and writes them in batches, off the request path.
+// /ask has to return a log id before its row is written, so ids are
+// reserved from the database in blocks; reserved ranges are never handed
+// out by the database again, even to other processes. Ids a process
+// reserved but never used are left as gaps.
+//
+// A batch is written when LOG_BATCH_SIZE logs are queued or
+// LOG_FLUSH_INTERVAL_MS after the first one, whichever comes first. The
+// batch size is capped by what one INSERT can bind (maxBatchSize).
+//
+// A batch that fails to write is retried with backoff, so a transient
+// SQLITE_BUSY loses nothing. If it keeps failing, its logs are written one
+// by one and only those that fail on their own are dropped. When none of
+// them can be written the database itself is failing: the batch goes back
+// to the front of the queue for the next flush, and each log is dropped
+// only after MAX_REQUEUES such rounds.
+
+// Waits before each retry of a failing batch
+const RETRY_DELAYS_MS = [100, 500, 2000];
+const MAX_REQUEUES = 5;
+
+// Batches of queued logs kept while the database is failing; the oldest
+// logs beyond that are dropped
+const MAX_QUEUED_BATCHES = 10;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getLogBatchConfig() {
+    return {
+        batchSize: parseInt(process.env.LOG_BATCH_SIZE) || 100,
+        flushIntervalMs: parseInt(process.env.LOG_FLUSH_INTERVAL_MS) || 1000
+    };
+}
+
+class LogBatcher {
+    // reserveIds: async (count) => ids no other writer will use
+    // writeBatch: async (logs) => inserts logs, each with its id
+    // maxBatchSize: the most logs writeBatch can insert at once
+    constructor({ reserveIds, writeBatch, maxBatchSize = Infinity }, { batchSize, flushIntervalMs } = getLogBatchConfig()) {
+        this.reserveIds = reserveIds;
+        this.writeBatch = writeBatch;
+        this.batchSize = Math.max(Math.min(batchSize, maxBatchSize), 1);
+        this.flushIntervalMs = flushIntervalMs;
+        this.ids = [];
+        this.reserving = null;
+        this.queue = [];
+        this.writing = [];
+        // Failed write rounds by log id
+        this.requeues = new Map();
+        this.flushing = Promise.resolve();
+        this.timer = null;
+    }
+
+    // Queues a log and returns its id
+    async add(log) {
+        const entry = { ...log, id: await this._nextId() };
+        this.queue.push(entry);
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else {
+            this._scheduleFlush();
+        }
+        return entry.id;
+    }
+
+    // A log that is queued or being written, if any
+    get(id) {
+        return this.queue.find(log => log.id === id) || this.writing.find(log => log.id === id);
+    }
+
+    // How many queued logs match predicate
+    count(predicate) {
+        return this.queue.filter(predicate).length;
+    }
+
+    // Removes the queued logs matching predicate, e.g. to erase them
+    // before they are written. Returns how many were removed.
+    remove(predicate) {
+        const count = this.queue.length;
+        this.queue = this.queue.filter(log => !predicate(log));
+        return count - this.queue.length;
+    }
+
+    // Writes the queued logs. Batches are written one at a time, in order,
+    // at most batchSize logs each; the returned promise settles once the
+    // logs queued now are written, dropped or back in the queue.
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.queue.length > 0) {
+            const batch = this.queue.splice(0, this.batchSize);
+            this.flushing = this.flushing.then(() => this._write(batch));
+        }
+        return this.flushing;
+    }
+
+    _scheduleFlush() {
+        if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+            this.timer.unref();
+        }
+    }
+
+    async _write(batch) {
+        this.writing = batch;
+        try {
+            const error = await this._writeWithRetries(batch);
+            if (!error) {
+                batch.forEach(log => this.requeues.delete(log.id));
+                return;
+            }
+
+            // A bad row fails its whole batch; alone, only it fails. When
+            // no row can be written, the database is failing instead.
+            const failed = batch.length > 1 ? await this._writeEach(batch) : batch;
+            if (failed.length === batch.length) {
+                this._requeue(batch, error);
+                return;
+            }
+
+            batch.forEach(log => this.requeues.delete(log.id));
+            if (failed.length > 0) {
+                console.error(`Dropped ${failed.length} logs that could not be written (ids ${failed.map(log => log.id).join(', ')}):`, error);
+            }
+        } finally {
+            this.writing = [];
+        }
+    }
+
+    // Returns the error of the last attempt, or null once written
+    async _writeWithRetries(batch) {
+        let lastError = null;
+        for (const delay of [0, ...RETRY_DELAYS_MS]) {
+            if (delay > 0) {
+                await wait(delay);
+            }
+            try {
+                await this.writeBatch(batch);
+                return null;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        return lastError;
+    }
+
+    // Writes logs one at a time and returns those that failed
+    async _writeEach(logs) {
+        const failed = [];
+        for (const log of logs) {
+            await this.writeBatch([log]).catch(() => failed.push(log));
+        }
+        return failed;
+    }
+
+    _requeue(batch, error) {
+        const kept = batch.filter((log) => {
+            const rounds = (this.requeues.get(log.id) || 0) + 1;
+            if (rounds > MAX_REQUEUES) {
+                this.requeues.delete(log.id);
+                return false;
+            }
+            this.requeues.set(log.id, rounds);
+            return true;
+        });
+        console.error(`Failed to write ${batch.length} logs; ${kept.length} will be retried:`, error);
+
+        this.queue.unshift(...kept);
+        const overflow = this.queue.length - MAX_QUEUED_BATCHES * this.batchSize;
+        if (overflow > 0) {
+            this.queue.splice(0, overflow).forEach(log => this.requeues.delete(log.id));
+            console.error(`Dropped the ${overflow} oldest queued logs while writes are failing`);
+        }
+        this._scheduleFlush();
+    }
+
+    async _nextId() {
+        while (this.ids.length === 0) {
+            // Concurrent requests share one reservation
+            if (!this.reserving) {
+                this.reserving = this.reserveIds(Math.max(this.batchSize, 100))
+                    .then(ids => { this.ids.push(...ids); })
+                    .finally(() => { this.reserving = null; });
+            }
+            await this.reserving;
+        }
+        return this.ids.shift();
+    }
+}
+
+module.exports = {
+    getLogBatchConfig,
+    LogBatcher
+};
@@ -0,0 +1,210 @@
+// Answer selection shared by every storage backend. A backend provides the
+// candidate queries and this module decides between them:
+//
+//   findResponses(question, { context, isPattern, langs, bots })
+//       active rows for the normalized question, already narrowed with
+//       selectAnswers()
+//   findPatternMatch(question, { langs, bots })  -> { pattern, captures } or null
+//   findFuzzyMatch(question, { langs, bots })    -> { question, confidence } or null
+//   findSimilarQuestions(question, { langs, bots, threshold, limit })
+//       -> [{ question, confidence }], closest first
+//
+// bots is a bot chain from bots.getBotChain(); every backend filters by it.
+const matcher = require('../utils/matcher');
+const language = require('../utils/language');
+const feedback = require('../utils/feedback');
+const patterns = require('../utils/patterns');
+const { ResponseCache } = require('./responseCache');
+
+// Contexts are compared in canonical form so punctuation and case in the
+// previous answer don't matter
+function normalizeContext(context) {
+    return context ? matcher.canonicalize(context) : '';
+}
+
+// Stored language codes; '' marks rows of unknown language
+function normalizeLang(lang) {
+    return language.normalizeLanguage(lang) || '';
+}
+
+// Keeps the rows of the first bot in bots that has any
+function preferBot(rows, bots) {
+    if (!bots) {
+        return rows;
+    }
+
+    for (const bot of bots) {
+        const own = rows.filter(row => row.bot === bot);
+        if (own.length > 0) {
+            return own;
+        }
+    }
+    return [];
+}
+
+// Keeps the rows of the first language in langs that has any
+function preferLanguage(rows, langs) {
+    if (!langs) {
+        return rows;
+    }
+
+    for (const lang of langs) {
+        const inLanguage = rows.filter(row => row.lang === lang);
+        if (inLanguage.length > 0) {
+            return inLanguage;
+        }
+    }
+    return [];
+}
+
+// Narrows the active rows of one question to the answers that may be given.
+// With bots, only the answers of the first bot in the chain that has any
+// remain. With langs (a chain from language.getLanguageChain), only answers in the
+// first of those languages that has any remain. With a context (the bot's
+// previous answer), answers that require that context take precedence over
+// context-free ones; answers requiring another context never match.
+function selectAnswers(rows, { context, langs, bots } = {}) {
+    const normalizedContext = normalizeContext(context);
+    const candidates = preferLanguage(preferBot(rows, bots), langs);
+    const inContext = normalizedContext ? candidates.filter(row => row.context === normalizedContext) : [];
+    return inContext.length > 0 ? inContext : candidates.filter(row => row.context === '');
+}
+
+// Narrows the fallback replies of a bot chain to those of the first bot
+// that has any, in the first language of langs that has any
+function selectFallbacks(rows, { langs, bots } = {}) {
+    return preferLanguage(preferBot(rows, bots), langs);
+}
+
+// Weighted random choice: each item is picked with probability weight / total
+function pickWeighted(items, getWeight) {
+    const weights = items.map(item => Math.max(Number(getWeight(item)) || 0, 0));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    if (total <= 0) {
+        return items[Math.floor(Math.random() * items.length)];
+    }
+
+    let roll = Math.random() * total;
+    for (let i = 0; i < items.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) {
+            return items[i];
+        }
+    }
+    return items[items.length - 1];
+}
+
+// The candidate answers for a question: exact matches win, then the most
+// specific matching pattern, then the closest taught question above the
+// fuzzy threshold. Returns { answers, match, pattern } or null.
+async function findAnswers(store, question, { context, langs, bots } = {}) {
+    let answers = await store.findResponses(question, { context, langs, bots });
+    if (answers.length > 0) {
+        return { answers, match: { match_type: 'exact', confidence: 1, matched_question: null } };
+    }
+
+    const pattern = await store.findPatternMatch(question, { langs, bots });
+    if (pattern) {
+        answers = await store.findResponses(pattern.pattern, { context, isPattern: true, langs, bots });
+        if (answers.length > 0) {
+            return { answers, match: { match_type: 'pattern', confidence: 1, matched_question: pattern.pattern } };
+        }
+    }
+
+    const fuzzy = await store.findFuzzyMatch(question, { langs, bots });
+    if (!fuzzy) {
+        return null;
+    }
+
+    answers = await store.findResponses(fuzzy.question, { context, langs, bots });
+    return answers.length > 0
+        ? { answers, match: { match_type: 'fuzzy', confidence: fuzzy.confidence, matched_question: fuzzy.question } }
+        : null;
+}
+
+// findAnswers() through the store's responseCache, when it has one
+async function findCachedAnswers(store, question, { context, langs, bots }) {
+    const cache = store.responseCache;
+    if (!cache) {
+        return findAnswers(store, question, { context, langs, bots });
+    }
+
+    const normalizedQuestion = question.toLowerCase().trim();
+    const key = ResponseCache.key(normalizedQuestion, normalizeContext(context), langs, bots);
+    const cached = cache.get(key);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const found = await findAnswers(store, question, { context, langs, bots });
+    cache.set(key, found, found && found.match.match_type === 'exact' ? normalizedQuestion : null);
+    return found;
+}
+
+// Resolves a question to one of its answers (see findAnswers). The answer
+// is picked at random, weighted by teach_count and feedback. It is
+// returned as a raw template; pattern captures are returned alongside for
+// rendering. With a lang, answers in that language are preferred, then its
+// fallbacks, then answers of unknown language; answers in any other
+// language never match. bots limits the answers to a bot chain.
+async function findResponse(store, question, { context, lang, bots } = {}) {
+    const langs = lang ? language.getLanguageChain(lang) : undefined;
+    const found = await findCachedAnswers(store, question, { context, langs, bots });
+    if (!found) {
+        return undefined;
+    }
+
+    // Captures keep the asker's casing, so they are not cached
+    const { answers, match } = found;
+    const captures = match.match_type === 'pattern'
+        ? (patterns.matchPatterns(question, [match.matched_question]) || {}).captures
+        : null;
+
+    const answer = pickWeighted(answers, feedback.answerWeight);
+    return {
+        ...answer,
+        ...(captures && { captures }),
+        answer_count: answers.length,
+        context_matched: answer.context !== '',
+        lang_matched: !lang || answer.lang === langs[0],
+        ...match
+    };
+}
+
+// Taught questions close to one that got no answer, for "did you mean"
+// replies: [{ question, confidence }], closest first, at most limit of
+// them. Questions equal to the asked one in canonical form are left out,
+// since only answers needing a context can have stopped them matching.
+// Cached like answers, under keys of their own.
+async function findSuggestions(store, question, { lang, bots, threshold, limit } = {}) {
+    if (!(limit > 0)) {
+        return [];
+    }
+
+    const langs = lang ? language.getLanguageChain(lang) : undefined;
+    const cache = store.responseCache;
+    const key = cache && ResponseCache.suggestionsKey(question.toLowerCase().trim(), langs, bots);
+    const cached = cache ? cache.get(key) : undefined;
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const similar = await store.findSimilarQuestions(question, { langs, bots, threshold, limit: limit + 1 });
+    const suggestions = similar.filter(suggestion => suggestion.confidence < 1).slice(0, limit);
+    if (cache) {
+        cache.set(key, suggestions);
+    }
+    return suggestions;
+}
+
+module.exports = {
+    normalizeContext,
+    normalizeLang,
+    selectAnswers,
+    selectFallbacks,
+    pickWeighted,
+    findAnswers,
+    findResponse,
+    findSuggestions
+};
@@ -0,0 +1,362 @@
+// In-memory storage backend for tests and demos (DATABASE_URL=memory:).
+// Implements the core storage interface: answers, logs, stats, search,
+// sessions, template counters and rate limits, each for a bot or bot chain
+// as on SQLite. Everything is lost when the process exits.
+const matcher = require('../utils/matcher');
+const patterns = require('../utils/patterns');
+const feedback = require('../utils/feedback');
+const { toSqlTimestamp } = require('../utils/dates');
+const lookup = require('./lookup');
+const { DEFAULT_RESPONSES } = require('./defaults');
+const { ResponseCache } = require('./responseCache');
+
+const { normalizeContext, normalizeLang } = lookup;
+
+// Oldest logs are dropped beyond this many
+const MAX_LOGS = 10000;
+
+function now(offsetMs = 0) {
+    return toSqlTimestamp(Date.now() + offsetMs);
+}
+
+function normalizeQuestion(question) {
+    return question.toLowerCase().trim();
+}
+
+function searchWords(text) {
+    return String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+// Whether a word of the text matches a search word; the last search word
+// matches as a prefix, as with the SQLite full-text search
+function matchesWord(word, term, isPrefix) {
+    return isPrefix ? word.startsWith(term) : word === term;
+}
+
+// Wraps the words of text that match a search term in <mark> tags
+function highlight(text, terms) {
+    return text.replace(/[\p{L}\p{N}_]+/gu, (word) => {
+        const lower = word.toLowerCase();
+        const hit = terms.some((term, i) => matchesWord(lower, term, i === terms.length - 1));
+        return hit ? `<mark>${word}</mark>` : word;
+    });
+}
+
+function countMatches(words, terms) {
+    return words.filter(word => terms.some((term, i) => matchesWord(word, term, i === terms.length - 1))).length;
+}
+
+class MemoryStorage {
+    constructor() {
+        this.backend = 'memory';
+        this.isConnected = false;
+        this.responseCache = new ResponseCache();
+        this.reset();
+    }
+
+    reset() {
+        this.conversations = [];
+        this.logs = [];
+        this.sessions = new Map();
+        this.sessionTurns = new Map();
+        this.counters = new Map();
+        this.rateLimits = new Map();
+        this.nextId = { conversations: 1, logs: 1 };
+        this.responseCache.clear();
+    }
+
+    async connect() {
+        for (const response of DEFAULT_RESPONSES) {
+            const lang = response.lang || '';
+            if (!this._findRow(response.question, response.answer, '', lang, '')) {
+                this._insertRow(response.question, response.answer, '', lang, '');
+            }
+        }
+        this.isConnected = true;
+        console.log('✅ Using in-memory storage (data is lost on restart)');
+    }
+
+    async close() {
+        this.isConnected = false;
+    }
+
+    async healthCheck() {
+        return this.isConnected ? { healthy: true } : { healthy: false, error: 'Not connected' };
+    }
+
+    _findRow(question, answer, context, lang, bot) {
+        const normalizedQuestion = normalizeQuestion(question);
+        return this.conversations.find(row =>
+            row.bot === bot &&
+            row.normalized_question === normalizedQuestion &&
+            row.answer === answer &&
+            row.context === context &&
+            row.lang === lang
+        );
+    }
+
+    _insertRow(question, answer, context, lang, bot) {
+        const timestamp = now();
+        const row = {
+            id: this.nextId.conversations++,
+            bot,
+            question,
+            answer,
+            normalized_question: normalizeQuestion(question),
+            teach_count: 1,
+            is_active: 1,
+            context,
+            lang,
+            upvotes: 0,
+            downvotes: 0,
+            is_pattern: patterns.isPattern(question) ? 1 : 0,
+            created_at: timestamp,
+            updated_at: timestamp
+        };
+        this.conversations.push(row);
+        return row;
+    }
+
+    _activeQuestions({ isPattern, langs, bots = [''] }) {
+        const questions = this.conversations
+            .filter(row => row.is_active && row.is_pattern === (isPattern ? 1 : 0) && bots.includes(row.bot))
+            .filter(row => !langs || langs.includes(row.lang))
+            .map(row => row.normalized_question);
+        return [...new Set(questions)];
+    }
+
+    // Active answers for a question, narrowed by lookup.selectAnswers().
+    // bots is a bot chain (see utils/bots.js); the base namespace by default.
+    async findResponses(question, { context, isPattern = false, langs, bots = [''] } = {}) {
+        const normalizedQuestion = normalizeQuestion(question);
+        const normalizedContext = normalizeContext(context);
+        const rows = this.conversations
+            .filter(row =>
+                row.normalized_question === normalizedQuestion &&
+                row.is_active &&
+                row.is_pattern === (isPattern ? 1 : 0) &&
+                (row.context === '' || row.context === normalizedContext) &&
+                bots.includes(row.bot) &&
+                (!langs || langs.includes(row.lang))
+            )
+            .sort((a, b) => b.teach_count - a.teach_count || a.id - b.id)
+            .map(row => ({ ...row }));
+        return lookup.selectAnswers(rows, { context, langs, bots });
+    }
+
+    // See lookup.findResponse()
+    async findResponse(question, options = {}) {
+        return lookup.findResponse(this, question, options);
+    }
+
+    // See lookup.findSuggestions()
+    async findSuggestions(question, options = {}) {
+        return lookup.findSuggestions(this, question, options);
+    }
+
+    async findPatternMatch(question, { langs, bots } = {}) {
+        return patterns.matchPatterns(question, this._activeQuestions({ isPattern: true, langs, bots }));
+    }
+
+    async findFuzzyMatch(question, { langs, bots, ...options } = {}) {
+        const config = { ...matcher.getMatcherConfig(), ...options };
+        if (!config.enabled) {
+            return null;
+        }
+
+        const candidates = this._similarCandidates(question, { langs, bots, threshold: config.threshold, maxCandidates: config.maxCandidates });
+        return matcher.findBestMatch(question, candidates, config.threshold);
+    }
+
+    // Same contract as Database.findSimilarQuestions()
+    async findSimilarQuestions(question, { langs, bots, threshold, limit = 5 } = {}) {
+        const candidates = this._similarCandidates(question, { langs, bots, threshold, maxCandidates: matcher.getMatcherConfig().maxCandidates });
+        return matcher.rankMatches(question, candidates, threshold, limit);
+    }
+
+    _similarCandidates(question, { langs, bots, threshold, maxCandidates }) {
+        const bounds = matcher.lengthBounds(question, threshold);
+        return this._activeQuestions({ isPattern: false, langs, bots })
+            .filter(candidate => candidate.length >= bounds.min && candidate.length <= bounds.max)
+            .slice(0, maxCandidates);
+    }
+
+    // Same contract as Database.upsertResponse(), without revision history
+    async upsertResponse(question, answer, actor = {}, { context, lang, bot = '' } = {}) {
+        const normalizedContext = normalizeContext(context);
+        const normalizedLang = normalizeLang(lang);
+        const existing = this._findRow(question.trim(), answer.trim(), normalizedContext, normalizedLang, bot);
+        this.responseCache.invalidate(normalizeQuestion(question));
+
+        if (existing) {
+            existing.teach_count++;
+            existing.is_active = 1;
+            existing.updated_at = now();
+            return { ...existing };
+        }
+        return { ...this._insertRow(question.trim(), answer.trim(), normalizedContext, normalizedLang, bot) };
+    }
+
+    async logInteraction({
+        question,
+        response,
+        isTaught = false,
+        userAgent = '',
+        ipAddress = '',
+        responseTime = 0,
+        conversationId = null,
+        event = 'ask',
+        lang = null,
+        bot = '',
+        sessionId = null,
+        apiKeyId = null
+    }) {
+        const id = this.nextId.logs++;
+        this.logs.push({
+            id,
+            question,
+            normalized_question: normalizeQuestion(question),
+            response,
+            is_taught: isTaught ? 1 : 0,
+            response_time_ms: responseTime,
+            user_agent: userAgent,
+            ip_address: ipAddress,
+            conversation_id: conversationId,
+            event,
+            lang,
+            bot,
+            session_id: sessionId,
+            api_key_id: apiKeyId,
+            timestamp: now()
+        });
+        if (this.logs.length > MAX_LOGS) {
+            this.logs.shift();
+        }
+        return id;
+    }
+
+    async getStats({ lang, bot = '' } = {}) {
+        const byLang = row => row.bot === bot && (!lang || row.lang === normalizeLang(lang));
+        const conversations = this.conversations.filter(byLang);
+        const logs = this.logs.filter(byLang);
+        const timed = logs.filter(log => log.response_time_ms > 0);
+
+        return {
+            total_responses: conversations.length,
+            total_questions: new Set(conversations.map(row => row.normalized_question)).size,
+            total_interactions: logs.length,
+            taught_responses: logs.filter(log => log.is_taught).length,
+            last_taught: conversations.reduce((latest, row) => (!latest || row.created_at > latest ? row.created_at : latest), null),
+            avg_response_time: timed.length
+                ? timed.reduce((sum, log) => sum + log.response_time_ms, 0) / timed.length
+                : null
+        };
+    }
+
+    // Same contract as Database.searchResponses(). Relevance counts matching
+    // words, question matches double, boosted by the answer's weight.
+    async searchResponses(searchTerm, { limit = 10, offset = 0, lang, isActive = true, from, to, minTeachCount, bots = [''] } = {}) {
+        const terms = searchWords(searchTerm);
+        if (terms.length === 0) {
+            return { rows: [], total: 0 };
+        }
+
+        const matches = [];
+        for (const row of this.conversations) {
+            if (!bots.includes(row.bot)) continue;
+            if (isActive !== undefined && row.is_active !== (isActive ? 1 : 0)) continue;
+            if (lang && row.lang !== normalizeLang(lang)) continue;
+            if (from && row.created_at < from) continue;
+            if (to && row.created_at >= to) continue;
+            if (minTeachCount && row.teach_count < minTeachCount) continue;
+
+            const words = [...searchWords(row.question), ...searchWords(row.answer)];
+            const allMatch = terms.every((term, i) => words.some(word => matchesWord(word, term, i === terms.length - 1)));
+            if (!allMatch) continue;
+
+            const relevance = 2 * countMatches(searchWords(row.question), terms) + countMatches(searchWords(row.answer), terms);
+            const weight = feedback.answerWeight(row);
+            matches.push({
+                row,
+                relevance,
+                score: relevance * (1 + weight / (weight + 1))
+            });
+        }
+
+        matches.sort((a, b) => b.score - a.score || a.row.id - b.row.id);
+        const rows = matches.slice(offset, offset + limit).map(({ row, relevance }) => ({
+            ...row,
+            question_highlight: highlight(row.question, terms),
+            answer_snippet: highlight(row.answer, terms),
+            relevance
+        }));
+        return { rows, total: matches.length };
+    }
+
+    async incrementCounter(name) {
+        const value = (this.counters.get(name) || 0) + 1;
+        this.counters.set(name, value);
+        return value;
+    }
+
+    async getSession(id) {
+        const session = this.sessions.get(id);
+        return session && session.expires_at > now() ? { ...session } : undefined;
+    }
+
+    async touchSession(id, ttlMinutes, { owner = null, bot = '' } = {}) {
+        const timestamp = now();
+        const session = this.sessions.get(id) || { id, owner, bot, created_at: timestamp };
+        session.last_active_at = timestamp;
+        session.expires_at = now(ttlMinutes * 60 * 1000);
+        this.sessions.set(id, session);
+        return { ...session };
+    }
+
+    async getSessionTurns(sessionId, limit = 10) {
+        return (this.sessionTurns.get(sessionId) || []).slice(-limit).map(turn => ({ ...turn }));
+    }
+
+    async addSessionTurn(sessionId, { question, answer, conversationId = null }, maxTurns = 10) {
+        const turns = this.sessionTurns.get(sessionId) || [];
+        turns.push({ question, answer, conversation_id: conversationId, created_at: now() });
+        this.sessionTurns.set(sessionId, turns.slice(-maxTurns));
+    }
+
+    async deleteSession(id) {
+        this.sessionTurns.delete(id);
+        return this.sessions.delete(id);
+    }
+
+    async purgeExpiredSessions() {
+        const timestamp = now();
+        let removed = 0;
+        for (const [id, session] of this.sessions) {
+            if (session.expires_at <= timestamp) {
+                this.sessions.delete(id);
+                this.sessionTurns.delete(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async incrementRateLimit(key, resetAt) {
+        const count = (this.rateLimits.get(key)?.count || 0) + 1;
+        this.rateLimits.set(key, { count, resetAt });
+        return count;
+    }
+
+    async purgeExpiredRateLimits(nowMs) {
+        let removed = 0;
+        for (const [key, counter] of this.rateLimits) {
+            if (counter.resetAt <= nowMs) {
+                this.rateLimits.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+module.exports = MemoryStorage;
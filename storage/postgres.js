@@ -0,0 +1,522 @@
+// PostgreSQL storage backend (DATABASE_URL=postgres://...). Implements the
+// core storage interface: answers, logs, stats, search, sessions, template
+// counters, rate limits and API keys, each for a bot or bot chain as on
+// SQLite. The schema lives in migrations/postgres/ and is migrated on
+// connect, like the SQLite one.
+const fs = require('fs');
+const path = require('path');
+const { Pool, types } = require('pg');
+const matcher = require('../utils/matcher');
+const patterns = require('../utils/patterns');
+const metrics = require('../utils/metrics');
+const lookup = require('./lookup');
+const { DEFAULT_RESPONSES } = require('./defaults');
+const { ResponseCache } = require('./responseCache');
+const { LogBatcher } = require('./logBatcher');
+const { toSqlTimestamp } = require('../utils/dates');
+
+const { normalizeContext, normalizeLang } = lookup;
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations', 'postgres');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+// Held while migrating so that processes starting together take turns
+const MIGRATION_LOCK_ID = 7466321;
+
+// Columns of a batched log insert (see _insertLogs)
+const LOG_COLUMNS = ['id', 'question', 'response', 'is_taught', 'response_time_ms', 'user_agent', 'ip_address', 'conversation_id', 'event', 'lang', 'bot', 'session_id', 'api_key_id', 'timestamp'];
+
+// Bound parameters one query may have
+const MAX_PARAMETERS = 65535;
+
+const NOW_UTC = `(NOW() AT TIME ZONE 'UTC')`;
+
+// Must match the expression of idx_conversations_search
+const SEARCH_VECTOR = `(setweight(to_tsvector('simple', c.question), 'A') || setweight(to_tsvector('simple', c.answer), 'B'))`;
+
+// SQL mirror of feedback.answerWeight(), for conversations aliased as c
+const ANSWER_WEIGHT_EXPRESSION = '(c.teach_count * (c.upvotes + 1.0) / (c.downvotes + 1))';
+
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const SNIPPET_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=16, MinWords=8, ShortWord=0';
+
+// TIMESTAMP columns are returned as the 'YYYY-MM-DD HH:MM:SS' strings the
+// SQLite backend returns, rather than as local-time Dates
+const TIMESTAMP_OID = 1114;
+const typeParsers = {
+    getTypeParser(oid, format) {
+        return oid === TIMESTAMP_OID ? value => value : types.getTypeParser(oid, format);
+    }
+};
+
+// Turns free text into a tsquery: every word must match, the last one as a
+// prefix. Returns null when the text has no searchable words.
+function toTsQuery(text) {
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu);
+    if (!words) {
+        return null;
+    }
+    return words.map((word, i) => `'${word}'${i === words.length - 1 ? ':*' : ''}`).join(' & ');
+}
+
+// Adds a value to params and returns its $n placeholder
+function bind(params, value) {
+    params.push(value);
+    return `$${params.length}`;
+}
+
+function bindList(params, values) {
+    return values.map(value => bind(params, value)).join(', ');
+}
+
+class PostgresStorage {
+    constructor(connectionString) {
+        this.backend = 'postgres';
+        this.connectionString = connectionString;
+        this.pool = null;
+        this.isConnected = false;
+        this.responseCache = new ResponseCache();
+        this.logBatcher = new LogBatcher({
+            reserveIds: count => this._reserveLogIds(count),
+            writeBatch: logs => this._insertLogs(logs),
+            maxBatchSize: Math.floor(MAX_PARAMETERS / LOG_COLUMNS.length)
+        });
+    }
+
+    async connect() {
+        try {
+            this.pool = new Pool({ connectionString: this.connectionString, types: typeParsers });
+            this.pool.on('error', error => console.error('PostgreSQL pool error:', error));
+
+            await this.pool.query('SELECT 1');
+            const url = new URL(this.connectionString);
+            console.log('✅ Connected to PostgreSQL database:', `${url.host}${url.pathname}`);
+            this.isConnected = true;
+
+            await this.migrate();
+            console.log('✅ Database tables initialized');
+            await this.seedDefaultData();
+        } catch (error) {
+            console.error('❌ Failed to connect to database:', error);
+            throw error;
+        }
+    }
+
+    // Applies pending migrations/postgres/*.sql files in one transaction.
+    // Refuses databases migrated by newer code, as utils/migrations.js does.
+    async migrate() {
+        const migrations = fs.readdirSync(MIGRATIONS_DIR)
+            .map(file => MIGRATION_FILE.exec(file))
+            .filter(Boolean)
+            .map(([file, version, name]) => ({ id: path.basename(file, '.sql'), version: Number(version), name, file }))
+            .sort((a, b) => a.version - b.version);
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INTEGER PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    applied_at TIMESTAMP(0) DEFAULT ${NOW_UTC}
+                )
+            `);
+
+            const { rows } = await client.query('SELECT version FROM schema_migrations');
+            const applied = new Set(rows.map(row => row.version));
+            const current = Math.max(0, ...applied);
+            const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+            if (current > latest) {
+                const error = new Error(
+                    `Database schema version ${current} is newer than this code supports (${latest}). Upgrade the app or restore a matching backup.`
+                );
+                error.code = 'SCHEMA_TOO_NEW';
+                throw error;
+            }
+
+            for (const migration of migrations.filter(migration => !applied.has(migration.version))) {
+                await client.query(fs.readFileSync(path.join(MIGRATIONS_DIR, migration.file), 'utf8'));
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+                console.log(`✅ Applied migration ${migration.id}`);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async seedDefaultData() {
+        try {
+            // Seeding runs on every boot, so it must not count as a teach
+            for (const response of DEFAULT_RESPONSES) {
+                await this._query(`
+                    INSERT INTO conversations (question, answer, lang)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (bot, normalized_question, answer, context, lang) DO NOTHING
+                `, [response.question, response.answer, response.lang || '']);
+            }
+            console.log('✅ Default responses seeded');
+        } catch (error) {
+            console.log('⚠️ Could not seed default data:', error.message);
+        }
+    }
+
+    // Active answers for a question, narrowed by lookup.selectAnswers().
+    // bots is a bot chain (see utils/bots.js); the base namespace by default.
+    async findResponses(question, { context, isPattern = false, langs, bots = [''] } = {}) {
+        const params = [];
+        const rows = await this._all(`
+            SELECT * FROM conversations
+            WHERE normalized_question = ${bind(params, question.toLowerCase().trim())}
+            AND is_active = 1
+            AND is_pattern = ${bind(params, isPattern ? 1 : 0)}
+            AND context IN ('', ${bind(params, normalizeContext(context))})
+            AND bot IN (${bindList(params, bots)})
+            ${langs ? `AND lang IN (${bindList(params, langs)})` : ''}
+            ORDER BY teach_count DESC, id ASC
+        `, params);
+        return lookup.selectAnswers(rows, { context, langs, bots });
+    }
+
+    // See lookup.findResponse()
+    async findResponse(question, options = {}) {
+        return lookup.findResponse(this, question, options);
+    }
+
+    // See lookup.findSuggestions()
+    async findSuggestions(question, options = {}) {
+        return lookup.findSuggestions(this, question, options);
+    }
+
+    async findPatternMatch(question, { langs, bots = [''] } = {}) {
+        const params = [];
+        const rows = await this._all(`
+            SELECT DISTINCT normalized_question FROM conversations
+            WHERE is_pattern = 1 AND is_active = 1
+            AND bot IN (${bindList(params, bots)})
+            ${langs ? `AND lang IN (${bindList(params, langs)})` : ''}
+        `, params);
+        return patterns.matchPatterns(question, rows.map(row => row.normalized_question));
+    }
+
+    async findFuzzyMatch(question, { langs, bots = [''], ...options } = {}) {
+        const config = { ...matcher.getMatcherConfig(), ...options };
+        if (!config.enabled) {
+            return null;
+        }
+
+        return matcher.findBestMatch(
+            question,
+            await this._similarCandidates(question, { langs, bots, threshold: config.threshold, maxCandidates: config.maxCandidates }),
+            config.threshold
+        );
+    }
+
+    // Same contract as Database.findSimilarQuestions()
+    async findSimilarQuestions(question, { langs, bots = [''], threshold, limit = 5 } = {}) {
+        const candidates = await this._similarCandidates(question, { langs, bots, threshold, maxCandidates: matcher.getMatcherConfig().maxCandidates });
+        return matcher.rankMatches(question, candidates, threshold, limit);
+    }
+
+    async _similarCandidates(question, { langs, bots, threshold, maxCandidates }) {
+        const bounds = matcher.lengthBounds(question, threshold);
+        const params = [];
+        const rows = await this._all(`
+            SELECT DISTINCT normalized_question FROM conversations
+            WHERE is_active = 1
+            AND is_pattern = 0
+            AND LENGTH(normalized_question) BETWEEN ${bind(params, bounds.min)} AND ${bind(params, bounds.max)}
+            AND bot IN (${bindList(params, bots)})
+            ${langs ? `AND lang IN (${bindList(params, langs)})` : ''}
+            LIMIT ${bind(params, maxCandidates)}
+        `, params);
+        return rows.map(row => row.normalized_question);
+    }
+
+    // Same contract as Database.upsertResponse(), without revision history
+    async upsertResponse(question, answer, actor = {}, { context, lang, bot = '' } = {}) {
+        const row = await this._get(`
+            INSERT INTO conversations (question, answer, context, lang, bot)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (bot, normalized_question, answer, context, lang)
+            DO UPDATE SET
+                teach_count = conversations.teach_count + 1,
+                is_active = 1,
+                updated_at = ${NOW_UTC}
+            RETURNING *
+        `, [question.trim(), answer.trim(), normalizeContext(context), normalizeLang(lang), bot]);
+
+        // Only once written: a lookup before then would cache the old answers again
+        this.responseCache.invalidate(row.normalized_question);
+        return row;
+    }
+
+    // Queued and written in a batch, like Database.logInteraction()
+    async logInteraction({
+        question,
+        response,
+        isTaught = false,
+        userAgent = '',
+        ipAddress = '',
+        responseTime = 0,
+        conversationId = null,
+        event = 'ask',
+        lang = null,
+        bot = '',
+        sessionId = null,
+        apiKeyId = null
+    }) {
+        return this.logBatcher.add({
+            question,
+            response,
+            is_taught: isTaught ? 1 : 0,
+            response_time_ms: responseTime,
+            user_agent: userAgent,
+            ip_address: ipAddress,
+            conversation_id: conversationId,
+            event,
+            lang,
+            bot,
+            session_id: sessionId,
+            api_key_id: apiKeyId,
+            timestamp: toSqlTimestamp(Date.now())
+        });
+    }
+
+    // Sequence values are never handed out twice
+    async _reserveLogIds(count) {
+        const rows = await this._all(`
+            SELECT nextval(pg_get_serial_sequence('logs', 'id'))::int AS id
+            FROM generate_series(1, $1)
+        `, [count]);
+        return rows.map(row => row.id);
+    }
+
+    async _insertLogs(logs) {
+        const params = [];
+        const values = logs.map(log => `(${bindList(params, LOG_COLUMNS.map(column => log[column]))})`).join(', ');
+        await this._query(`INSERT INTO logs (${LOG_COLUMNS.join(', ')}) VALUES ${values}`, params);
+    }
+
+    async getStats({ lang, bot = '' } = {}) {
+        const byLang = lang ? 'bot = $1 AND lang = $2' : 'bot = $1';
+        return this._get(`
+            SELECT
+                (SELECT COUNT(*)::int FROM conversations WHERE ${byLang}) as total_responses,
+                (SELECT COUNT(DISTINCT normalized_question)::int FROM conversations WHERE ${byLang}) as total_questions,
+                (SELECT COUNT(*)::int FROM logs WHERE ${byLang}) as total_interactions,
+                (SELECT COUNT(*)::int FROM logs WHERE is_taught = 1 AND ${byLang}) as taught_responses,
+                (SELECT MAX(created_at) FROM conversations WHERE ${byLang}) as last_taught,
+                (SELECT AVG(response_time_ms)::float8 FROM logs WHERE response_time_ms > 0 AND ${byLang}) as avg_response_time
+        `, lang ? [bot, normalizeLang(lang)] : [bot]);
+    }
+
+    // Same contract as Database.searchResponses(). Ranked by ts_rank
+    // (question matches weigh more), boosted by the answer's weight.
+    async searchResponses(searchTerm, { limit = 10, offset = 0, lang, isActive = true, from, to, minTeachCount, bots = [''] } = {}) {
+        const query = toTsQuery(searchTerm);
+        if (!query) {
+            return { rows: [], total: 0 };
+        }
+
+        const params = [];
+        const tsQuery = `to_tsquery('simple', ${bind(params, query)})`;
+        const conditions = [`${SEARCH_VECTOR} @@ ${tsQuery}`, `c.bot IN (${bindList(params, bots)})`];
+
+        if (isActive !== undefined) {
+            conditions.push(`c.is_active = ${bind(params, isActive ? 1 : 0)}`);
+        }
+        if (lang) {
+            conditions.push(`c.lang = ${bind(params, normalizeLang(lang))}`);
+        }
+        if (from) {
+            conditions.push(`c.created_at >= ${bind(params, from)}`);
+        }
+        if (to) {
+            conditions.push(`c.created_at < ${bind(params, to)}`);
+        }
+        if (minTeachCount) {
+            conditions.push(`c.teach_count >= ${bind(params, minTeachCount)}`);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const countParams = [...params];
+        const rank = `ts_rank(${SEARCH_VECTOR}, ${tsQuery})`;
+        const [rows, count] = await Promise.all([
+            this._all(`
+                SELECT c.*,
+                    ts_headline('simple', c.question, ${tsQuery}, '${HIGHLIGHT_OPTIONS}') as question_highlight,
+                    ts_headline('simple', c.answer, ${tsQuery}, '${SNIPPET_OPTIONS}') as answer_snippet,
+                    ${rank}::float8 as relevance
+                FROM conversations c
+                ${where}
+                ORDER BY ${rank} * (1 + ${ANSWER_WEIGHT_EXPRESSION} / (${ANSWER_WEIGHT_EXPRESSION} + 1)) DESC, c.id ASC
+                LIMIT ${bind(params, limit)} OFFSET ${bind(params, offset)}
+            `, params),
+            this._get(`SELECT COUNT(*)::int as total FROM conversations c ${where}`, countParams)
+        ]);
+
+        return { rows, total: count.total };
+    }
+
+    async incrementCounter(name) {
+        const row = await this._get(`
+            INSERT INTO template_counters (name, value)
+            VALUES ($1, 1)
+            ON CONFLICT (name) DO UPDATE SET
+                value = template_counters.value + 1,
+                updated_at = ${NOW_UTC}
+            RETURNING value
+        `, [name]);
+        return row.value;
+    }
+
+    // bot: the bot the key is bound to, or null for any
+    async createApiKey({ name, keyHash, keyPrefix, scopes, rateLimit = null, bot = null }) {
+        return this._get(`
+            INSERT INTO api_keys (name, key_hash, key_prefix, scopes, rate_limit, bot)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, name, key_prefix, scopes, rate_limit, bot, is_active, created_at, last_used_at, revoked_at
+        `, [name, keyHash, keyPrefix, scopes.join(','), rateLimit, bot]);
+    }
+
+    async findApiKeyByHash(keyHash) {
+        return this._get('SELECT * FROM api_keys WHERE key_hash = $1 AND is_active = 1', [keyHash]);
+    }
+
+    async listApiKeys() {
+        return this._all(`
+            SELECT id, name, key_prefix, scopes, rate_limit, bot, is_active, created_at, last_used_at, revoked_at
+            FROM api_keys
+            ORDER BY created_at DESC, id DESC
+        `);
+    }
+
+    async revokeApiKey(id) {
+        const result = await this._query(`
+            UPDATE api_keys
+            SET is_active = 0, revoked_at = ${NOW_UTC}
+            WHERE id = $1 AND is_active = 1
+        `, [id]);
+        return result.rowCount > 0;
+    }
+
+    async touchApiKey(id) {
+        await this._query(`UPDATE api_keys SET last_used_at = ${NOW_UTC} WHERE id = $1`, [id]);
+    }
+
+    async getSession(id) {
+        return this._get(`SELECT * FROM sessions WHERE id = $1 AND expires_at > ${NOW_UTC}`, [id]);
+    }
+
+    async touchSession(id, ttlMinutes, { owner = null, bot = '' } = {}) {
+        return this._get(`
+            INSERT INTO sessions (id, owner, bot, expires_at)
+            VALUES ($1, $3, $4, ${NOW_UTC} + make_interval(mins => $2))
+            ON CONFLICT (id) DO UPDATE SET
+                last_active_at = ${NOW_UTC},
+                expires_at = excluded.expires_at
+            RETURNING *
+        `, [id, ttlMinutes, owner, bot]);
+    }
+
+    // Most recent turns, oldest first
+    async getSessionTurns(sessionId, limit = 10) {
+        const rows = await this._all(`
+            SELECT question, answer, conversation_id, created_at
+            FROM session_turns
+            WHERE session_id = $1
+            ORDER BY id DESC
+            LIMIT $2
+        `, [sessionId, limit]);
+        return rows.reverse();
+    }
+
+    // Appends a turn and keeps only the latest maxTurns
+    async addSessionTurn(sessionId, { question, answer, conversationId = null }, maxTurns = 10) {
+        await this._query(`
+            INSERT INTO session_turns (session_id, question, answer, conversation_id)
+            VALUES ($1, $2, $3, $4)
+        `, [sessionId, question, answer, conversationId]);
+
+        await this._query(`
+            DELETE FROM session_turns
+            WHERE session_id = $1 AND id NOT IN (
+                SELECT id FROM session_turns WHERE session_id = $1 ORDER BY id DESC LIMIT $2
+            )
+        `, [sessionId, maxTurns]);
+    }
+
+    async deleteSession(id) {
+        const result = await this._query('DELETE FROM sessions WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    }
+
+    async purgeExpiredSessions() {
+        const result = await this._query(`DELETE FROM sessions WHERE expires_at <= ${NOW_UTC}`);
+        return result.rowCount;
+    }
+
+    // Counts a request in a rate limit window and returns the new count
+    async incrementRateLimit(key, resetAt) {
+        const row = await this._get(`
+            INSERT INTO rate_limits (key, count, reset_at)
+            VALUES ($1, 1, $2)
+            ON CONFLICT (key) DO UPDATE SET count = rate_limits.count + 1
+            RETURNING count
+        `, [key, resetAt]);
+        return row.count;
+    }
+
+    async purgeExpiredRateLimits(now) {
+        const result = await this._query('DELETE FROM rate_limits WHERE reset_at <= $1', [now]);
+        return result.rowCount;
+    }
+
+    // Every query goes through here, timed for /metrics
+    _query(sql, params = []) {
+        return metrics.timeQuery(this.backend, sql, this.pool.query(sql, params));
+    }
+
+    async _get(sql, params = []) {
+        const result = await this._query(sql, params);
+        return result.rows[0];
+    }
+
+    async _all(sql, params = []) {
+        const result = await this._query(sql, params);
+        return result.rows;
+    }
+
+    async close() {
+        if (this.pool) {
+            await this.logBatcher.flush();
+            await this.pool.end();
+            this.pool = null;
+            this.isConnected = false;
+            console.log('✅ Database connection closed');
+        }
+    }
+
+    async healthCheck() {
+        if (!this.pool || !this.isConnected) {
+            return { healthy: false, error: 'Not connected' };
+        }
+
+        try {
+            await this.pool.query('SELECT 1 as test');
+            return { healthy: true };
+        } catch (error) {
+            return { healthy: false, error: error.message };
+        }
+    }
+}
+
+module.exports = PostgresStorage;
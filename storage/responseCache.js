@@ -0,0 +1,104 @@
+// In-process LRU cache of answer lookups, so repeated questions (greetings
+// during a spike) skip the storage round trip. Keys are the normalized
+// question with the context, language chain and bot chain it was asked in.
+// Values are the candidate answers, not the picked one, so weighted picking
+// still varies per request; a cached null records that nothing matched.
+//
+// RESPONSE_CACHE_SIZE entries are kept (0 disables the cache) for at most
+// RESPONSE_CACHE_TTL_SECONDS, which bounds how stale answers can get when
+// another process writes to the same database.
+
+function getResponseCacheConfig() {
+    const size = parseInt(process.env.RESPONSE_CACHE_SIZE);
+    return {
+        maxSize: Number.isNaN(size) ? 1000 : Math.max(size, 0),
+        ttlSeconds: parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS) || 60
+    };
+}
+
+class ResponseCache {
+    constructor({ maxSize, ttlSeconds } = getResponseCacheConfig()) {
+        this.maxSize = maxSize;
+        this.ttlMs = ttlSeconds * 1000;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    static key(normalizedQuestion, normalizedContext, langs, bots) {
+        return JSON.stringify([normalizedQuestion, normalizedContext, langs || null, bots || null]);
+    }
+
+    // Keys for "did you mean" suggestions (see lookup.findSuggestions), which
+    // don't depend on the context. Objects, so they never equal answer keys.
+    static suggestionsKey(normalizedQuestion, langs, bots) {
+        return JSON.stringify({ suggestions: [normalizedQuestion, langs || null, bots || null] });
+    }
+
+    // The cached value, or undefined on a miss
+    get(key) {
+        if (this.maxSize === 0) {
+            return undefined;
+        }
+
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+
+        // Re-inserting moves the entry to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    // exactQuestion: the normalized question the value depends on alone,
+    // when it was an exact match. Other values (patterns, fuzzy matches,
+    // nothing found) may change with any new answer.
+    set(key, value, exactQuestion = null) {
+        if (this.maxSize === 0) {
+            return;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, { value, exactQuestion, expiresAt: Date.now() + this.ttlMs });
+        if (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Drops what answers to the given normalized questions may have changed:
+    // their exact matches and every entry that is not an exact match
+    invalidate(...questions) {
+        for (const [key, entry] of this.entries) {
+            if (!entry.exactQuestion || questions.includes(entry.exactQuestion)) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    getStats() {
+        const lookups = this.hits + this.misses;
+        return {
+            enabled: this.maxSize > 0,
+            size: this.entries.size,
+            max_size: this.maxSize,
+            ttl_seconds: this.ttlMs / 1000,
+            hits: this.hits,
+            misses: this.misses,
+            hit_rate: lookups > 0 ? this.hits / lookups : null
+        };
+    }
+}
+
+module.exports = {
+    getResponseCacheConfig,
+    ResponseCache
+};
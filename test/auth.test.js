@@ -0,0 +1,115 @@
+// API keys and their scopes (middleware/auth.js)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ADMIN_KEY, startServer, bearer, createApiKey } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('anonymous requests get the anonymous scopes', async () => {
+    const ask = await server.request('GET', '/api/v1/ask?q=hello');
+    assert.strictEqual(ask.status, 200);
+
+    const admin = await server.request('GET', '/api/v1/admin/keys');
+    assert.strictEqual(admin.status, 401);
+});
+
+test('anonymous requests cannot teach by default', async () => {
+    const teach = await server.request('POST', '/api/v1/teach', { body: { question: 'anon q', answer: 'anon a' } });
+    assert.strictEqual(teach.status, 401);
+    assert.match(teach.body.message, /"teach" scope/);
+});
+
+test('ANONYMOUS_SCOPES can let anonymous requests teach', async () => {
+    process.env.ANONYMOUS_SCOPES = 'ask,teach';
+    try {
+        const teach = await server.request('POST', '/api/v1/teach', { body: { question: 'anon q', answer: 'anon a' } });
+        assert.strictEqual(teach.status, 201);
+    } finally {
+        delete process.env.ANONYMOUS_SCOPES;
+    }
+});
+
+test('a key can only do what its scopes allow', async () => {
+    const { key } = await createApiKey(server.request, { name: 'asker', scopes: ['ask'] });
+
+    const ask = await server.request('GET', '/api/v1/ask?q=hello', { headers: bearer(key) });
+    assert.strictEqual(ask.status, 200);
+
+    const teach = await server.request('POST', '/api/v1/teach', { headers: bearer(key), body: { question: 'key q', answer: 'key a' } });
+    assert.strictEqual(teach.status, 403);
+    assert.match(teach.body.message, /"teach" scope/);
+
+    const admin = await server.request('GET', '/api/v1/admin/keys', { headers: bearer(key) });
+    assert.strictEqual(admin.status, 403);
+});
+
+test('the teach scope does not include ask', async () => {
+    const { key } = await createApiKey(server.request, { name: 'teacher', scopes: ['teach'] });
+
+    const teach = await server.request('POST', '/api/v1/teach', { headers: bearer(key), body: { question: 'scoped q', answer: 'scoped a' } });
+    assert.strictEqual(teach.status, 201);
+
+    const ask = await server.request('GET', '/api/v1/ask?q=hello', { headers: bearer(key) });
+    assert.strictEqual(ask.status, 403);
+});
+
+test('the admin scope implies every other scope', async () => {
+    const { key } = await createApiKey(server.request, { name: 'operator', scopes: ['admin'] });
+
+    for (const [method, url, body, status] of [
+        ['GET', '/api/v1/ask?q=hello', undefined, 200],
+        ['POST', '/api/v1/teach', { question: 'admin q', answer: 'admin a' }, 201],
+        ['GET', '/api/v1/admin/keys', undefined, 200]
+    ]) {
+        const response = await server.request(method, url, { headers: bearer(key), body });
+        assert.strictEqual(response.status, status, `${method} ${url}`);
+    }
+});
+
+test('unknown and revoked keys are refused', async () => {
+    const unknown = await server.request('GET', '/api/v1/ask?q=hello', { headers: bearer('sk_not-a-key') });
+    assert.strictEqual(unknown.status, 401);
+
+    const { id, key } = await createApiKey(server.request, { name: 'revoked', scopes: ['ask'] });
+    const revoke = await server.request('DELETE', `/api/v1/admin/keys/${id}`, { headers: bearer(ADMIN_KEY) });
+    assert.strictEqual(revoke.status, 200);
+
+    const ask = await server.request('GET', '/api/v1/ask?q=hello', { headers: bearer(key) });
+    assert.strictEqual(ask.status, 401);
+});
+
+test('keys in the query string are refused outside event streams', async () => {
+    const { key } = await createApiKey(server.request, { name: 'streamer', scopes: ['ask'] });
+    process.env.ANONYMOUS_SCOPES = '';
+    try {
+        const ask = await server.request('GET', `/api/v1/ask?q=hello&access_token=${key}`);
+        assert.strictEqual(ask.status, 401);
+    } finally {
+        delete process.env.ANONYMOUS_SCOPES;
+    }
+});
+
+test('a key bound to a bot only works for that bot', async () => {
+    const create = await server.request('POST', '/api/v1/admin/bots', { headers: bearer(ADMIN_KEY), body: { id: 'study-group', name: 'StudyBuddy' } });
+    assert.strictEqual(create.status, 201);
+    const { key } = await createApiKey(server.request, { name: 'study', scopes: ['ask'], bot: 'study-group' });
+
+    const own = await server.request('GET', '/api/v1/bots/study-group/ask?q=hello', { headers: bearer(key) });
+    assert.strictEqual(own.status, 200);
+    assert.strictEqual(own.body.bot, 'study-group');
+
+    const base = await server.request('GET', '/api/v1/ask?q=hello', { headers: bearer(key) });
+    assert.strictEqual(base.status, 200);
+    assert.strictEqual(base.body.bot, 'study-group');
+
+    const other = await server.request('GET', '/api/v1/bots/other-bot/ask?q=hello', { headers: bearer(key) });
+    assert.strictEqual(other.status, 403);
+});
@@ -0,0 +1,78 @@
+// Replies and "did you mean" suggestions when nothing answers a question
+// (utils/fallbacks.js)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ADMIN_KEY, startServer, bearer } = require('./helpers');
+const fallbacks = require('../utils/fallbacks');
+
+let server;
+
+before(async () => {
+    // Without fuzzy matching, near misses reach the fallbacks
+    server = await startServer({ FUZZY_MATCHING: 'false' });
+    const teach = await server.request('POST', '/api/v1/teach', {
+        headers: bearer(ADMIN_KEY),
+        body: { question: 'what is your favorite color', answer: 'Blue, like the sky!' }
+    });
+    assert.strictEqual(teach.status, 201);
+});
+
+after(async () => {
+    await server.close();
+});
+
+function ask(question) {
+    return server.request('GET', `/api/v1/ask?q=${encodeURIComponent(question)}`);
+}
+
+test('unknown questions get a built-in reply and need teaching', async () => {
+    const response = await ask('zxqv plorb');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.needs_teaching, true);
+    assert.strictEqual(response.body.match_type, 'none');
+    assert.ok(fallbacks.DEFAULT_REPLIES.includes(response.body.response));
+    assert.deepStrictEqual(response.body.suggestions, []);
+});
+
+test('similar taught questions are suggested', async () => {
+    const response = await ask('what is your favorite colour today');
+    assert.strictEqual(response.body.needs_teaching, true);
+    assert.strictEqual(response.body.suggestions[0].question, 'what is your favorite color');
+    assert.ok(response.body.suggestions[0].confidence >= 0.5);
+});
+
+test('a close enough question is answered when redirects are on', async () => {
+    process.env.FALLBACK_REDIRECT_THRESHOLD = '0.5';
+    try {
+        const response = await ask('what is your favorite colour today');
+        assert.strictEqual(response.body.match_type, 'related');
+        assert.strictEqual(response.body.response, 'Blue, like the sky!');
+    } finally {
+        delete process.env.FALLBACK_REDIRECT_THRESHOLD;
+    }
+});
+
+test('the bot\'s own fallback pool replaces the built-in replies', async () => {
+    const add = await server.request('POST', '/api/v1/admin/fallbacks', {
+        headers: bearer(ADMIN_KEY),
+        body: { response: 'No clue! Teach me?' }
+    });
+    assert.strictEqual(add.status, 201);
+
+    const response = await ask('zxqv plorb');
+    assert.strictEqual(response.body.response, 'No clue! Teach me?');
+
+    const duplicate = await server.request('POST', '/api/v1/admin/fallbacks', {
+        headers: bearer(ADMIN_KEY),
+        body: { response: 'No clue! Teach me?' }
+    });
+    assert.strictEqual(duplicate.status, 409);
+});
+
+test('suggestions read as a sentence on chat platforms', () => {
+    assert.strictEqual(fallbacks.formatSuggestions([{ question: 'hi' }]), 'Did you mean "hi"?');
+    assert.strictEqual(
+        fallbacks.formatSuggestions([{ question: 'hi' }, { question: 'hey' }, { question: 'hello' }]),
+        'Did you mean "hi", "hey" or "hello"?'
+    );
+});
@@ -0,0 +1,75 @@
+// Starts the app for a test file over a throwaway SQLite database, on a
+// random port. node --test runs every file in its own process, so each
+// file gets its own environment and server.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_KEY = 'test-admin-key';
+
+// env: extra environment variables, set before app.js is loaded
+async function startServer(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simsimi-test-'));
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        // Warnings and errors only; the runner reads results from stdout
+        LOG_FORMAT: 'none',
+        ADMIN_API_KEY: ADMIN_KEY,
+        DATABASE_URL: `sqlite:${path.join(dir, 'simsimi.db')}`
+    }, env);
+
+    const SimSimiServer = require('../app');
+    const server = new SimSimiServer();
+    await server.db.connect();
+
+    const http = await new Promise((resolve) => {
+        const listener = server.app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${http.address().port}`;
+
+    // Sends a request; objects are sent as JSON, strings as they are.
+    // Resolves with { status, headers, body }, body parsed when it is JSON.
+    const request = async (method, url, { headers = {}, body } = {}) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: {
+                ...(body !== undefined && typeof body !== 'string' && { 'Content-Type': 'application/json' }),
+                ...headers
+            },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    };
+
+    const close = async () => {
+        server.apiRouter.chatHub.close();
+        http.closeAllConnections();
+        await new Promise(resolve => http.close(resolve));
+        await server.db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    return { db: server.db, baseUrl, request, close };
+}
+
+function bearer(key) {
+    return { Authorization: `Bearer ${key}` };
+}
+
+// Issues an API key through the admin API and returns { id, key }
+async function createApiKey(request, fields) {
+    const { status, body } = await request('POST', '/api/v1/admin/keys', { headers: bearer(ADMIN_KEY), body: fields });
+    if (status !== 201) {
+        throw new Error(`Creating an API key failed with ${status}: ${JSON.stringify(body)}`);
+    }
+    return { id: body.data.id, key: body.data.key };
+}
+
+module.exports = {
+    ADMIN_KEY,
+    startServer,
+    bearer,
+    createApiKey
+};
@@ -0,0 +1,65 @@
+// Upgrading databases that already hold data (utils/migrations.js)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../database');
+const migrations = require('../utils/migrations');
+
+// Warnings and errors only, as LOG_FORMAT=none does for the other files
+require('../utils/logger').useQuietConsole();
+
+let dir;
+let db;
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simsimi-test-'));
+    db = new Database({ filename: path.join(dir, 'simsimi.db') });
+    await db.connect({ migrate: false });
+
+    // A database from before bots, with answers in it
+    await migrations.migrate(db, { migrations: migrations.loadMigrations().slice(0, 1) });
+    for (const [question, answer] of [['hello', 'hi there'], ['good morning', 'morning to you'], ['hello there', 'general kenobi']]) {
+        await db._run('INSERT INTO conversations (question, answer) VALUES (?, ?)', [question, answer]);
+    }
+
+    await migrations.migrate(db);
+});
+
+after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Throws SQLITE_CORRUPT unless the full-text index matches the
+// conversations table exactly; rank 1 compares it with the table too
+function checkSearchIndex() {
+    return db._run(`INSERT INTO conversations_fts(conversations_fts, rank) VALUES ('integrity-check', 1)`);
+}
+
+test('existing answers keep their ids and bot', async () => {
+    const rows = await db._all('SELECT id, bot, question FROM conversations ORDER BY id');
+    assert.deepStrictEqual(rows.map(row => [row.id, row.bot, row.question]), [
+        [1, '', 'hello'],
+        [2, '', 'good morning'],
+        [3, '', 'hello there']
+    ]);
+});
+
+test('the full-text index is intact after the upgrade', async () => {
+    await checkSearchIndex();
+
+    const { total } = await db.searchResponses('hello');
+    assert.strictEqual(total, 2);
+});
+
+test('changing and deleting upgraded answers keeps the index intact', async () => {
+    await db._run(`UPDATE conversations SET answer = 'good day' WHERE id = 2`);
+    await db._run('DELETE FROM conversations WHERE id = 3');
+    await checkSearchIndex();
+
+    assert.strictEqual((await db.searchResponses('hello')).total, 1);
+    assert.strictEqual((await db.searchResponses('day')).total, 1);
+    assert.strictEqual((await db.searchResponses('morning to')).total, 0);
+});
@@ -0,0 +1,53 @@
+// Pattern questions with slots (utils/patterns.js)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const patterns = require('../utils/patterns');
+
+test('slots capture words, ignoring case and trailing punctuation', () => {
+    assert.deepStrictEqual(patterns.matchPatterns('My name is Ana Maria!', ['my name is {name}']), {
+        pattern: 'my name is {name}',
+        captures: { 1: 'Ana Maria', name: 'Ana Maria' }
+    });
+    assert.deepStrictEqual(patterns.matchPatterns('I like cats, and dogs?', ['i like * and {other}?']).captures, {
+        1: 'cats', 2: 'dogs', other: 'dogs'
+    });
+    assert.strictEqual(patterns.matchPatterns('my name is', ['my name is {name}']), null);
+});
+
+test('slots can have text attached', () => {
+    assert.deepStrictEqual(patterns.matchPatterns("where is Ana's car", ["where is {who}'s car"]).captures, { 1: 'Ana', who: 'Ana' });
+    assert.strictEqual(patterns.matchPatterns("where is 's car", ["where is {who}'s car"]), null);
+});
+
+test('the pattern with the most literal text wins', () => {
+    const match = patterns.matchPatterns('i am from manila', ['i am {what}', 'i am from {place}', '{x} from {y}']);
+    assert.strictEqual(match.pattern, 'i am from {place}');
+    assert.strictEqual(match.captures.place, 'manila');
+});
+
+test(`patterns have at most ${patterns.MAX_SLOTS} slots`, () => {
+    const slots = count => Array.from({ length: count }, (_, i) => `{s${i}} x`).join(' ') + ' end';
+
+    assert.strictEqual(patterns.validatePattern(slots(patterns.MAX_SLOTS)), null);
+    assert.match(patterns.validatePattern(slots(patterns.MAX_SLOTS + 1)), /more than/);
+    assert.match(patterns.validatePattern('{a}{b} x'), /separated by spaces/);
+    assert.strictEqual(patterns.matchPatterns(Array(12).fill('w x').join(' ') + ' end', [slots(12)]), null);
+});
+
+test('matching takes polynomial time on questions that almost match', () => {
+    const pattern = Array.from({ length: patterns.MAX_SLOTS }, (_, i) => `{s${i}} x`).join(' ') + ' end';
+    // As many words as fit, with the final literal missing
+    const question = Array(Math.floor(patterns.MAX_QUESTION_LENGTH / 2)).fill('x').join(' ');
+
+    const start = process.hrtime.bigint();
+    assert.strictEqual(patterns.matchPatterns(question, [pattern]), null);
+    assert.ok(patterns.matchPatterns(`${question.slice(4)} end`, [pattern]));
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    assert.ok(elapsedMs < 200, `took ${elapsedMs} ms`);
+});
+
+test('questions over the length limit are not matched', () => {
+    const question = `my name is ${'a'.repeat(patterns.MAX_QUESTION_LENGTH)}`;
+    assert.strictEqual(patterns.matchPatterns(question, ['my name is {name}']), null);
+});
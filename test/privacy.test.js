@@ -0,0 +1,166 @@
+// Per-person erasure and the privacy startup checks (utils/privacy.js)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ADMIN_KEY, startServer, bearer, createApiKey } = require('./helpers');
+
+const ALICE_IP = '203.0.113.7';
+const BOB_IP = '198.51.100.9';
+
+let server;
+let privacy;
+
+before(async () => {
+    server = await startServer({
+        TRUST_PROXY: 'true',
+        // Anonymous clients, told apart by address, teach here
+        ANONYMOUS_SCOPES: 'ask,teach',
+        PRIVACY_IP_MODE: 'hash',
+        PRIVACY_IP_HASH_SECRET: 'test-secret'
+    });
+    privacy = require('../utils/privacy');
+});
+
+after(async () => {
+    await server.close();
+});
+
+function from(ip, headers = {}) {
+    return { 'X-Forwarded-For': ip, ...headers };
+}
+
+function erase(subject, query = '') {
+    return server.request('POST', `/api/v1/admin/erasure${query}`, { headers: bearer(ADMIN_KEY), body: subject });
+}
+
+// Rows of a table matching a WHERE clause, once queued logs are written
+async function count(table, where = '1 = 1', params = []) {
+    await server.db.logBatcher.flush();
+    return (await server.db._get(`SELECT COUNT(*) as total FROM ${table} WHERE ${where}`, params)).total;
+}
+
+test('IP addresses are stored hashed', async () => {
+    await server.request('GET', '/api/v1/ask?q=hello', { headers: from(ALICE_IP) });
+
+    assert.strictEqual(await count('logs', 'ip_address = ?', [ALICE_IP]), 0);
+    assert.strictEqual(await count('logs', 'ip_address = ?', [privacy.anonymizeIp(ALICE_IP)]), 1);
+});
+
+test('erasing an IP removes its logs, votes, sessions and the answers only it taught', async () => {
+    const asked = await server.request('GET', '/api/v1/ask?q=hello&session_id=new', { headers: from(ALICE_IP) });
+    const vote = await server.request('POST', '/api/v1/feedback', { headers: from(ALICE_IP), body: { log_id: asked.body.log_id, vote: 'up' } });
+    assert.strictEqual(vote.status, 200);
+
+    const own = await server.request('POST', '/api/v1/teach', { headers: from(ALICE_IP), body: { question: 'alice only', answer: 'alice answer' } });
+    await server.request('POST', '/api/v1/teach', { headers: from(ALICE_IP), body: { question: 'shared question', answer: 'shared answer' } });
+    const shared = await server.request('POST', '/api/v1/teach', { headers: from(BOB_IP), body: { question: 'shared question', answer: 'shared answer' } });
+    assert.strictEqual(shared.body.data.teach_count, 2);
+
+    // A dry run reports without erasing
+    const dryRun = await erase({ ip: ALICE_IP }, '?dry_run=true');
+    assert.strictEqual(dryRun.status, 200);
+    const report = dryRun.body.data.deleted;
+    assert.strictEqual(report.sessions, 1);
+    assert.strictEqual(report.votes, 1);
+    assert.strictEqual(report.responses_deleted, 1);
+    assert.strictEqual(report.responses_updated, 1);
+    assert.ok(report.logs >= 4);
+    assert.strictEqual(await count('sessions', 'id = ?', [asked.body.session_id]), 1);
+
+    const erased = await erase({ ip: ALICE_IP });
+    assert.strictEqual(erased.status, 200);
+    assert.deepStrictEqual(erased.body.data.deleted, report);
+
+    assert.strictEqual(await count('logs', 'ip_address = ?', [privacy.anonymizeIp(ALICE_IP)]), 0);
+    assert.strictEqual(await count('feedback'), 0);
+    assert.strictEqual(await count('sessions', 'id = ?', [asked.body.session_id]), 0);
+    assert.strictEqual(await count('conversations', 'id = ?', [own.body.data.id]), 0);
+    assert.strictEqual((await server.db.getResponseById(shared.body.data.id)).teach_count, 1);
+
+    // Bob's teach of the shared answer is kept, with nothing left of Alice
+    assert.strictEqual(await count('conversation_revisions', 'ip_address = ?', [privacy.anonymizeIp(ALICE_IP)]), 0);
+    assert.strictEqual(await count('conversation_revisions', 'ip_address = ?', [privacy.anonymizeIp(BOB_IP)]), 1);
+});
+
+test('erasing an API key removes its logs and sessions', async () => {
+    const { id, key } = await createApiKey(server.request, { name: 'carol', scopes: ['ask'] });
+    const asked = await server.request('GET', '/api/v1/ask?q=hello&session_id=new', { headers: from(BOB_IP, bearer(key)) });
+    assert.strictEqual(await count('logs', 'api_key_id = ?', [id]), 1);
+
+    const erased = await erase({ api_key_id: id });
+    assert.strictEqual(erased.status, 200);
+    assert.strictEqual(erased.body.data.deleted.logs, 1);
+    assert.strictEqual(erased.body.data.deleted.sessions, 1);
+
+    assert.strictEqual(await count('logs', 'api_key_id = ?', [id]), 0);
+    assert.strictEqual(await count('sessions', 'id = ?', [asked.body.session_id]), 0);
+    assert.strictEqual(await count('session_turns', 'session_id = ?', [asked.body.session_id]), 0);
+});
+
+test('erasing a session removes it and its logs only', async () => {
+    const kept = await server.request('GET', '/api/v1/ask?q=hello&session_id=new', { headers: from(BOB_IP) });
+    const asked = await server.request('GET', '/api/v1/ask?q=hello&session_id=new', { headers: from(BOB_IP) });
+    const id = asked.body.session_id;
+
+    const erased = await erase({ session_id: id });
+    assert.strictEqual(erased.status, 200);
+    assert.strictEqual(erased.body.data.deleted.sessions, 1);
+    assert.strictEqual(erased.body.data.deleted.logs, 1);
+
+    assert.strictEqual(await count('logs', 'session_id = ?', [id]), 0);
+    assert.strictEqual(await count('sessions', 'id = ?', [kept.body.session_id]), 1);
+});
+
+test('truncated addresses are never erased, since neighbours share them', async () => {
+    const NEIGHBOUR_IP = '203.0.113.8';
+    process.env.PRIVACY_IP_MODE = 'truncate';
+    try {
+        await server.request('GET', '/api/v1/ask?q=hello', { headers: from(NEIGHBOUR_IP) });
+        await server.request('GET', '/api/v1/ask?q=hello', { headers: from(ALICE_IP) });
+        const network = privacy.truncateIp(ALICE_IP);
+        assert.strictEqual(await count('logs', 'ip_address = ?', [network]), 2);
+
+        const erased = await erase({ ip: ALICE_IP });
+        assert.strictEqual(erased.status, 200);
+        assert.strictEqual(erased.body.data.deleted.logs, 0);
+        assert.match(erased.body.data.warnings[0], /api_key_id or session_id/);
+        assert.strictEqual(await count('logs', 'ip_address = ?', [network]), 2);
+    } finally {
+        process.env.PRIVACY_IP_MODE = 'hash';
+    }
+
+    const erased = await erase({ ip: BOB_IP }, '?dry_run=true');
+    assert.strictEqual(erased.body.data.warnings, undefined);
+});
+
+test('erasure needs a valid subject', async () => {
+    for (const subject of [{}, { ip: 'not-an-ip' }, { api_key_id: '1' }, { session_id: 'x' }]) {
+        const response = await erase(subject);
+        assert.strictEqual(response.status, 400, JSON.stringify(subject));
+    }
+});
+
+test('hash mode without a secret stops the server', () => {
+    process.env.PRIVACY_IP_HASH_SECRET = '';
+    try {
+        assert.throws(() => privacy.checkPrivacySettings(server.db), /PRIVACY_IP_HASH_SECRET/);
+    } finally {
+        process.env.PRIVACY_IP_HASH_SECRET = 'test-secret';
+    }
+    assert.deepStrictEqual(privacy.checkPrivacySettings(server.db), []);
+});
+
+test('retention on a backend that cannot apply it stops the server', () => {
+    const MemoryStorage = require('../storage/memory');
+    const memory = new MemoryStorage();
+
+    process.env.LOG_RETENTION_DAYS = '30';
+    try {
+        assert.throws(() => privacy.checkPrivacySettings(memory), /LOG_RETENTION_DAYS/);
+        assert.deepStrictEqual(privacy.checkPrivacySettings(server.db), []);
+    } finally {
+        delete process.env.LOG_RETENTION_DAYS;
+    }
+
+    // Without retention, missing erasure is only a warning
+    assert.strictEqual(privacy.checkPrivacySettings(memory).length, 1);
+});
@@ -0,0 +1,100 @@
+// Chat sessions: stateless asks, follow-ups and ownership (utils/sessions.js)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ADMIN_KEY, startServer, bearer, createApiKey } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+
+before(async () => {
+    server = await startServer();
+    alice = bearer((await createApiKey(server.request, { name: 'alice', scopes: ['ask'] })).key);
+    bob = bearer((await createApiKey(server.request, { name: 'bob', scopes: ['ask'] })).key);
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function startSession(headers, url = '/api/v1/ask') {
+    const response = await server.request('GET', `${url}?q=hello&session_id=new`, { headers });
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.body.session_id);
+    return response.body.session_id;
+}
+
+test('questions without a session id are answered without a session', async () => {
+    const before = (await server.db._get('SELECT COUNT(*) as total FROM sessions')).total;
+
+    const response = await server.request('GET', '/api/v1/ask?q=hello', { headers: alice });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.session_id, undefined);
+    assert.strictEqual(response.headers.get('X-Session-Id'), null);
+
+    const after = (await server.db._get('SELECT COUNT(*) as total FROM sessions')).total;
+    assert.strictEqual(after, before);
+});
+
+test('session_id=new starts a session that follow-ups continue', async () => {
+    const id = await startSession(alice);
+
+    const followUp = await server.request('GET', `/api/v1/ask?q=hi&session_id=${id}`, { headers: alice });
+    assert.strictEqual(followUp.body.session_id, id);
+
+    const history = await server.request('GET', `/api/v1/sessions/${id}`, { headers: alice });
+    assert.strictEqual(history.status, 200);
+    assert.deepStrictEqual(history.body.data.turns.map(turn => turn.question), ['hello', 'hi']);
+    assert.strictEqual(history.body.data.owner, undefined);
+});
+
+test('another client can neither read nor end a session', async () => {
+    const id = await startSession(alice);
+
+    const read = await server.request('GET', `/api/v1/sessions/${id}`, { headers: bob });
+    assert.strictEqual(read.status, 404);
+
+    const end = await server.request('DELETE', `/api/v1/sessions/${id}`, { headers: bob });
+    assert.strictEqual(end.status, 404);
+
+    const anonymous = await server.request('GET', `/api/v1/sessions/${id}`);
+    assert.strictEqual(anonymous.status, 404);
+
+    const own = await server.request('GET', `/api/v1/sessions/${id}`, { headers: alice });
+    assert.strictEqual(own.status, 200);
+});
+
+test('another client asking with a session id gets a session of its own', async () => {
+    const id = await startSession(alice);
+
+    const response = await server.request('GET', `/api/v1/ask?q=hi&session_id=${id}`, { headers: bob });
+    assert.strictEqual(response.status, 200);
+    assert.notStrictEqual(response.body.session_id, id);
+
+    // The owner's session is left as it was
+    const history = await server.request('GET', `/api/v1/sessions/${id}`, { headers: alice });
+    assert.deepStrictEqual(history.body.data.turns.map(turn => turn.question), ['hello']);
+});
+
+test('a session belongs to the bot it was started with', async () => {
+    const create = await server.request('POST', '/api/v1/admin/bots', { headers: bearer(ADMIN_KEY), body: { id: 'study-group', name: 'StudyBuddy' } });
+    assert.strictEqual(create.status, 201);
+
+    const id = await startSession(alice, '/api/v1/bots/study-group/ask');
+
+    const otherBot = await server.request('GET', `/api/v1/sessions/${id}`, { headers: alice });
+    assert.strictEqual(otherBot.status, 404);
+
+    const ownBot = await server.request('GET', `/api/v1/bots/study-group/sessions/${id}`, { headers: alice });
+    assert.strictEqual(ownBot.status, 200);
+});
+
+test('the owner can end a session', async () => {
+    const id = await startSession(alice);
+
+    const end = await server.request('DELETE', `/api/v1/sessions/${id}`, { headers: alice });
+    assert.strictEqual(end.status, 200);
+
+    const read = await server.request('GET', `/api/v1/sessions/${id}`, { headers: alice });
+    assert.strictEqual(read.status, 404);
+});
@@ -0,0 +1,45 @@
+// Settings the storage backend can't honour stop the server at startup
+// (checkStorageSupport() in middleware/storage.js)
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { checkStorageSupport } = require('../middleware/storage');
+const { createStorage } = require('../storage');
+
+const SETTINGS = ['MODERATION_ENABLED', 'BACKUP_INTERVAL_HOURS', 'RATE_LIMIT_STORE'];
+
+afterEach(() => {
+    for (const setting of SETTINGS) {
+        delete process.env[setting];
+    }
+});
+
+test('SQLite supports every feature', () => {
+    process.env.BACKUP_INTERVAL_HOURS = '24';
+    assert.doesNotThrow(() => checkStorageSupport(createStorage('sqlite:unused.db')));
+});
+
+test('moderation needs a review queue', () => {
+    const memory = createStorage('memory:');
+    assert.throws(() => checkStorageSupport(memory), /MODERATION_ENABLED needs a review queue.*memory storage backend/);
+
+    process.env.MODERATION_ENABLED = 'false';
+    assert.doesNotThrow(() => checkStorageSupport(memory));
+});
+
+test('scheduled backups need a backend that can take them', () => {
+    process.env.MODERATION_ENABLED = 'false';
+    const postgres = createStorage('postgres://localhost/unused');
+
+    process.env.BACKUP_INTERVAL_HOURS = '24';
+    assert.throws(() => checkStorageSupport(postgres), /BACKUP_INTERVAL_HOURS=0/);
+
+    process.env.BACKUP_INTERVAL_HOURS = '0';
+    assert.doesNotThrow(() => checkStorageSupport(postgres));
+});
+
+test('PostgreSQL stores API keys', () => {
+    const postgres = createStorage('postgres://localhost/unused');
+    for (const method of ['createApiKey', 'findApiKeyByHash', 'listApiKeys', 'revokeApiKey', 'touchApiKey']) {
+        assert.strictEqual(typeof postgres[method], 'function', method);
+    }
+});
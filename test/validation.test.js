@@ -0,0 +1,50 @@
+// Request parameters of the wrong type are refused with a 400 rather than
+// failing on the way to the database
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ADMIN_KEY, startServer, bearer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('a repeated q is refused by /ask and /search', async () => {
+    for (const url of ['/api/v1/ask?q=hello&q=hi', '/api/v1/search?q=hello&q=hi', '/api/v1/ask?q[a]=hello']) {
+        const response = await server.request('GET', url);
+        assert.strictEqual(response.status, 400, url);
+    }
+});
+
+test('/teach only takes strings', async () => {
+    for (const body of [
+        { question: ['hello'], answer: 'Hi!' },
+        { question: 'hello', answer: { text: 'Hi!' } },
+        { question: 42, answer: 'Hi!' }
+    ]) {
+        const response = await server.request('POST', '/api/v1/teach', { headers: bearer(ADMIN_KEY), body });
+        assert.strictEqual(response.status, 400, JSON.stringify(body));
+        assert.match(response.body.message, /must be strings/);
+    }
+});
+
+test('admin listings refuse repeated or nested query parameters', async () => {
+    for (const url of [
+        '/api/v1/admin/responses?q=a&q=b',
+        '/api/v1/admin/responses?question[x]=a',
+        '/api/v1/admin/history?question=a&question=b',
+        '/api/v1/admin/fallbacks?lang=en&lang=fil'
+    ]) {
+        const response = await server.request('GET', url, { headers: bearer(ADMIN_KEY) });
+        assert.strictEqual(response.status, 400, url);
+        assert.match(response.body.message, /must be given once/);
+    }
+
+    const list = await server.request('GET', '/api/v1/admin/responses?q=hello', { headers: bearer(ADMIN_KEY) });
+    assert.strictEqual(list.status, 200);
+});
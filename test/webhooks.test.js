@@ -0,0 +1,201 @@
+// Signature checks of the chat platform webhooks (adapters/, routes/webhooks.js)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+let server;
+let adapters;
+
+// Replies sent through the stubbed platform senders
+const sent = [];
+
+before(async () => {
+    server = await startServer({
+        TELEGRAM_BOT_TOKEN: 'telegram-token',
+        TELEGRAM_WEBHOOK_SECRET: 'telegram-secret',
+        MESSENGER_PAGE_ACCESS_TOKEN: 'messenger-token',
+        MESSENGER_APP_SECRET: 'messenger-secret',
+        MESSENGER_VERIFY_TOKEN: 'messenger-verify',
+        // The raw 32-byte key, as the Discord developer portal shows it
+        DISCORD_PUBLIC_KEY: publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex')
+    });
+
+    adapters = require('../adapters');
+    for (const name of ['telegram', 'messenger', 'discord']) {
+        adapters.setSender(name, async (message, text) => {
+            sent.push({ platform: name, message, text });
+        });
+    }
+});
+
+after(async () => {
+    await server.close();
+});
+
+// Resolves with the next reply sent on a platform
+async function nextReply(platform) {
+    for (let i = 0; i < 100; i++) {
+        const index = sent.findIndex(reply => reply.platform === platform);
+        if (index !== -1) {
+            return sent.splice(index, 1)[0];
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`No reply was sent on ${platform}`);
+}
+
+function post(platform, body, headers = {}) {
+    return server.request('POST', `/api/v1/webhooks/${platform}`, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body
+    });
+}
+
+const telegramUpdate = JSON.stringify({
+    message: { message_id: 1, text: 'hello', chat: { id: 42, type: 'private' }, from: { id: 7, first_name: 'Ana' } }
+});
+
+test('unknown platforms are not found', async () => {
+    const response = await post('myspace', '{}');
+    assert.strictEqual(response.status, 404);
+});
+
+test('a platform without its configuration is unavailable', async () => {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    delete process.env.TELEGRAM_WEBHOOK_SECRET;
+    try {
+        const response = await post('telegram', telegramUpdate, { 'X-Telegram-Bot-Api-Secret-Token': secret });
+        assert.strictEqual(response.status, 503);
+    } finally {
+        process.env.TELEGRAM_WEBHOOK_SECRET = secret;
+    }
+});
+
+test('Telegram updates need the webhook secret', async () => {
+    const missing = await post('telegram', telegramUpdate);
+    assert.strictEqual(missing.status, 401);
+
+    const wrong = await post('telegram', telegramUpdate, { 'X-Telegram-Bot-Api-Secret-Token': 'not-the-secret' });
+    assert.strictEqual(wrong.status, 401);
+
+    const signed = await post('telegram', telegramUpdate, { 'X-Telegram-Bot-Api-Secret-Token': 'telegram-secret' });
+    assert.strictEqual(signed.status, 200);
+
+    const reply = await nextReply('telegram');
+    assert.strictEqual(reply.message.chatId, 42);
+    assert.match(reply.text, /Hello/);
+});
+
+test('Messenger subscriptions need the verify token', async () => {
+    const wrong = await server.request('GET', '/api/v1/webhooks/messenger?hub.mode=subscribe&hub.verify_token=nope&hub.challenge=123');
+    assert.strictEqual(wrong.status, 403);
+
+    const right = await server.request('GET', '/api/v1/webhooks/messenger?hub.mode=subscribe&hub.verify_token=messenger-verify&hub.challenge=123');
+    assert.strictEqual(right.status, 200);
+    assert.strictEqual(right.body, '123');
+});
+
+test('Messenger updates need an HMAC of the exact body', async () => {
+    const body = JSON.stringify({
+        object: 'page',
+        entry: [{ messaging: [{ sender: { id: 'psid-1' }, message: { text: 'hello' } }] }]
+    });
+    const sign = (payload, secret = 'messenger-secret') => `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+
+    const missing = await post('messenger', body);
+    assert.strictEqual(missing.status, 401);
+
+    const otherSecret = await post('messenger', body, { 'X-Hub-Signature-256': sign(body, 'other-secret') });
+    assert.strictEqual(otherSecret.status, 401);
+
+    // The same JSON with different whitespace is a different body
+    const reformatted = await post('messenger', JSON.stringify(JSON.parse(body), null, 2), { 'X-Hub-Signature-256': sign(body) });
+    assert.strictEqual(reformatted.status, 401);
+
+    const signed = await post('messenger', body, { 'X-Hub-Signature-256': sign(body) });
+    assert.strictEqual(signed.status, 200);
+
+    const reply = await nextReply('messenger');
+    assert.strictEqual(reply.message.chatId, 'psid-1');
+    assert.match(reply.text, /Hello/);
+});
+
+test('Discord interactions need an Ed25519 signature of the timestamp and body', async () => {
+    const body = JSON.stringify({ type: 1 });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const sign = (payload, at = timestamp, key = privateKey) => crypto.sign(null, Buffer.from(at + payload), key).toString('hex');
+
+    const missing = await post('discord', body);
+    assert.strictEqual(missing.status, 401);
+
+    const otherKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    const forged = await post('discord', body, { 'X-Signature-Ed25519': sign(body, timestamp, otherKey), 'X-Signature-Timestamp': timestamp });
+    assert.strictEqual(forged.status, 401);
+
+    const otherTime = await post('discord', body, { 'X-Signature-Ed25519': sign(body), 'X-Signature-Timestamp': String(Number(timestamp) + 1) });
+    assert.strictEqual(otherTime.status, 401);
+
+    const garbage = await post('discord', body, { 'X-Signature-Ed25519': 'zz', 'X-Signature-Timestamp': timestamp });
+    assert.strictEqual(garbage.status, 401);
+
+    const ping = await post('discord', body, { 'X-Signature-Ed25519': sign(body), 'X-Signature-Timestamp': timestamp });
+    assert.strictEqual(ping.status, 200);
+    assert.deepStrictEqual(ping.body, { type: 1 });
+});
+
+test('signed Discord commands are deferred and answered', async () => {
+    const body = JSON.stringify({
+        type: 2,
+        application_id: 'app-1',
+        token: 'interaction-token',
+        channel_id: 'channel-1',
+        user: { id: 'user-1', username: 'ana' },
+        data: { name: 'ask', options: [{ name: 'question', value: 'hello' }] }
+    });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex');
+
+    const response = await post('discord', body, { 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': timestamp });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, { type: 5 });
+
+    const reply = await nextReply('discord');
+    assert.strictEqual(reply.message.token, 'interaction-token');
+    assert.match(reply.text, /Hello/);
+});
+
+// A signed Telegram update with a message in a chat
+function telegramMessage(text, chat = { id: 42, type: 'private' }) {
+    const update = JSON.stringify({ message: { message_id: 2, text, chat, from: { id: 7, first_name: 'Ana' } } });
+    return post('telegram', update, { 'X-Telegram-Bot-Api-Secret-Token': 'telegram-secret' });
+}
+
+test('teaching from a chat needs ANONYMOUS_SCOPES to include teach', async () => {
+    await telegramMessage('teach: webhook question => webhook answer');
+    assert.match((await nextReply('telegram')).text, /teaching is turned off/);
+
+    process.env.ANONYMOUS_SCOPES = 'ask,teach';
+    try {
+        await telegramMessage('teach: webhook question => webhook answer');
+        assert.match((await nextReply('telegram')).text, /^Got it!/);
+    } finally {
+        delete process.env.ANONYMOUS_SCOPES;
+    }
+
+    await telegramMessage('webhook question');
+    assert.strictEqual((await nextReply('telegram')).text, 'webhook answer');
+});
+
+test('group chats are only answered when a command addresses the bot', async () => {
+    const group = { id: -100, type: 'group' };
+
+    await telegramMessage('hello everyone', group);
+    await telegramMessage('/ask hello', group);
+    assert.match((await nextReply('telegram')).text, /Hello/);
+
+    // Nothing was sent for the first message
+    assert.strictEqual(sent.length, 0);
+});
@@ -0,0 +1,132 @@
+// Online backups of the SQLite database. Backups are written next to the
+// database in BACKUP_DIR (default: <database dir>/backups) every
+// BACKUP_INTERVAL_HOURS (0 disables the schedule), and only the newest
+// BACKUP_RETENTION are kept. Restoring is done offline with
+// `npm run restore` (see scripts/restore.js).
+const fs = require('fs');
+const path = require('path');
+const Database = require('../database');
+
+// simsimi-<stamp>[-<n>].db; n tells apart backups taken in the same second
+const BACKUP_NAME = /^simsimi-(\d{8}-\d{6})(?:-(\d+))?\.db$/;
+
+function getBackupConfig(dbPath) {
+    const interval = parseFloat(process.env.BACKUP_INTERVAL_HOURS);
+    return {
+        dir: process.env.BACKUP_DIR || path.join(path.dirname(dbPath), 'backups'),
+        intervalHours: Number.isNaN(interval) ? 24 : interval,
+        retention: Math.max(parseInt(process.env.BACKUP_RETENTION) || 7, 1)
+    };
+}
+
+// simsimi-YYYYMMDD-HHMMSS.db, in UTC, so names sort by age
+function backupName(date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `simsimi-${stamp}.db`;
+}
+
+// Sortable key: the timestamp, then the same-second counter
+function sortKey(name) {
+    const [, stamp, n] = BACKUP_NAME.exec(name);
+    return `${stamp}-${String(n || 0).padStart(6, '0')}`;
+}
+
+// Backups in dir, newest first
+async function listBackups(dir) {
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const backups = [];
+    for (const name of names.filter(entry => BACKUP_NAME.test(entry))) {
+        const stats = await fs.promises.stat(path.join(dir, name));
+        backups.push({ name, size_bytes: stats.size, created_at: stats.mtime.toISOString() });
+    }
+    return backups.sort((a, b) => sortKey(b.name).localeCompare(sortKey(a.name)));
+}
+
+// Deletes all but the newest `retention` backups. Returns the deleted names.
+async function pruneBackups(dir, retention) {
+    const stale = (await listBackups(dir)).slice(retention);
+    for (const backup of stale) {
+        await fs.promises.unlink(path.join(dir, backup.name));
+    }
+    return stale.map(backup => backup.name);
+}
+
+let running = null;
+
+// Writes a verified backup and applies retention. The copy is written to a
+// .partial file first, so a crash never leaves a half-written backup that
+// looks complete. Concurrent calls share one backup.
+function createBackup(db) {
+    if (!running) {
+        running = runBackup(db).finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+async function runBackup(db) {
+    const config = getBackupConfig(db.dbPath);
+    await fs.promises.mkdir(config.dir, { recursive: true });
+
+    let name = backupName();
+    for (let n = 1; fs.existsSync(path.join(config.dir, name)); n++) {
+        name = backupName().replace('.db', `-${n}.db`);
+    }
+    const target = path.join(config.dir, name);
+    const partial = `${target}.partial`;
+
+    try {
+        await db.backupTo(partial);
+
+        const integrity = await Database.checkIntegrity(partial);
+        if (!integrity.ok) {
+            throw new Error(`Backup failed the integrity check: ${integrity.errors.join('; ')}`);
+        }
+        await fs.promises.rename(partial, target);
+    } catch (error) {
+        await fs.promises.unlink(partial).catch(() => {});
+        throw error;
+    }
+
+    const pruned = await pruneBackups(config.dir, config.retention);
+    const stats = await fs.promises.stat(target);
+    return { name, path: target, size_bytes: stats.size, pruned };
+}
+
+// Starts periodic backups. Returns the timer, or null when disabled.
+function scheduleBackups(db) {
+    const config = getBackupConfig(db.dbPath);
+    if (config.intervalHours <= 0) {
+        return null;
+    }
+
+    const timer = setInterval(async () => {
+        try {
+            const backup = await createBackup(db);
+            console.log(`💾 Database backed up to ${backup.path}`);
+        } catch (error) {
+            console.error('❌ Scheduled backup failed:', error);
+        }
+    }, config.intervalHours * 60 * 60 * 1000);
+    timer.unref();
+
+    console.log(`💾 Backups every ${config.intervalHours}h to ${config.dir} (keeping ${config.retention})`);
+    return timer;
+}
+
+module.exports = {
+    BACKUP_NAME,
+    getBackupConfig,
+    listBackups,
+    pruneBackups,
+    createBackup,
+    scheduleBackups
+};
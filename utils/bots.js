@@ -0,0 +1,51 @@
+// Named bots: each has its own answers, fallback replies, rate limit and
+// stats. A request talks to a bot through /api/v1/bots/<id>/... or through
+// an API key bound to it; anything else talks to the base namespace, the
+// default SimSimi (id ''). A bot with inherit_base falls back to the base
+// namespace's answers when it has none of its own, the way languages fall
+// back to one another.
+
+const BOT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+const BASE_BOT = Object.freeze({
+    id: '',
+    name: 'SimSimi',
+    inherit_base: false,
+    rate_limit: null
+});
+
+function isValidBotId(id) {
+    return typeof id === 'string' && BOT_ID_PATTERN.test(id);
+}
+
+// Bot ids whose answers a bot may give, its own first
+function getBotChain(bot) {
+    if (!bot || !bot.id) {
+        return [''];
+    }
+    return bot.inherit_base ? [bot.id, ''] : [bot.id];
+}
+
+// Checks the settable fields of a bot ({ name, inherit_base, rate_limit });
+// with partial, missing ones are fine. Returns an error message or null.
+function validateBot(fields, { partial = false } = {}) {
+    const { name, inherit_base: inheritBase, rate_limit: rateLimit } = fields;
+
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || name.trim() === '' || name.length > 100)) {
+        return 'name must be a non-empty string of at most 100 chars';
+    }
+    if (inheritBase !== undefined && typeof inheritBase !== 'boolean') {
+        return 'inherit_base must be true or false';
+    }
+    if (rateLimit !== undefined && rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit <= 0)) {
+        return 'rate_limit must be a positive integer (requests per window of the default policy) or null';
+    }
+    return null;
+}
+
+module.exports = {
+    BASE_BOT,
+    isValidBotId,
+    getBotChain,
+    validateBot
+};
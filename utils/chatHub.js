@@ -0,0 +1,204 @@
+// Real-time chat over Server-Sent Events. A client opens a stream for its
+// chat session (GET /chat/stream) and posts questions to /chat/messages;
+// answers come back on the stream. Events:
+//
+//   ready    { session_id, is_new }         once, when the stream opens
+//   typing   { message_id, typing }         while an answer is on its way
+//   answer   { message_id, ...ask response }
+//   stats    { ...stats response }          on open, then when stats change
+//   taught   { question, answer_id, lang }  a question this session asked
+//                                           without an answer was taught
+//   failed   { message_id, error, message }  the answer could not be made
+//
+// (Not "error": EventSource uses that name for connection errors.)
+//
+// Streams are owned by the client that opened them (API key or IP), and a
+// client may hold STREAM_MAX_PER_CLIENT of them at once. Each stream talks
+// to one bot (see utils/bots.js) and gets that bot's stats.
+
+// Unanswered questions remembered per session, for taught events
+const MAX_PENDING_QUESTIONS = 50;
+
+function getStreamConfig() {
+    const typingMs = parseInt(process.env.STREAM_TYPING_MS);
+    return {
+        maxPerClient: parseInt(process.env.STREAM_MAX_PER_CLIENT) || 5,
+        statsIntervalSeconds: parseInt(process.env.STREAM_STATS_INTERVAL_SECONDS) || 10,
+        heartbeatSeconds: parseInt(process.env.STREAM_HEARTBEAT_SECONDS) || 25,
+        // Longest the typing event shows before an answer is sent
+        maxTypingMs: Number.isNaN(typingMs) ? 1500 : typingMs
+    };
+}
+
+// How long to "type" an answer: a little per character, capped
+function typingDelay(answer, maxTypingMs) {
+    return Math.min(300 + String(answer || '').length * 20, maxTypingMs);
+}
+
+class ChatHub {
+    // getStats: async (botId) => the data of a /stats response for a bot
+    constructor({ getStats }) {
+        this.getStats = getStats;
+        this.streams = new Set();
+        this.unanswered = new Map();
+        this.statsChanged = false;
+        this.nextEventId = 1;
+        this.timers = [];
+    }
+
+    // Number of open streams owned by a client
+    countStreams(owner) {
+        return [...this.streams].filter(stream => stream.owner === owner).length;
+    }
+
+    // Turns the response into an event stream for a session
+    open(req, res, { sessionId, owner, isNew, bot = '' }) {
+        const stream = { sessionId, owner, bot, res };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            // Stop reverse proxies like nginx from buffering events
+            'X-Accel-Buffering': 'no'
+        });
+        this._write(stream, 'retry: 3000\n\n');
+
+        this.streams.add(stream);
+        this._startTimers();
+        req.on('close', () => this._remove(stream));
+
+        this.send(stream, 'ready', { session_id: sessionId, is_new: isNew });
+        this.getStats(bot)
+            .then(stats => this.send(stream, 'stats', stats))
+            .catch(error => console.error('Failed to send stream stats:', error));
+        return stream;
+    }
+
+    // The client's open stream for a session, if any
+    find(sessionId, owner) {
+        return [...this.streams].find(stream => stream.sessionId === sessionId && stream.owner === owner) || null;
+    }
+
+    send(stream, event, data) {
+        this._write(stream, `id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Remembers a question the session could not get answered from a bot,
+    // so its streams can be told when someone teaches it to that bot
+    trackUnanswered(sessionId, normalizedQuestion, bot = '') {
+        if (![...this.streams].some(stream => stream.sessionId === sessionId)) {
+            return;
+        }
+
+        // Bot ids have no colons
+        const key = `${bot}:${normalizedQuestion}`;
+        const questions = this.unanswered.get(sessionId) || new Set();
+        questions.delete(key);
+        questions.add(key);
+        if (questions.size > MAX_PENDING_QUESTIONS) {
+            questions.delete(questions.values().next().value);
+        }
+        this.unanswered.set(sessionId, questions);
+    }
+
+    // Called after a successful teach with the stored answer row
+    notifyTaught(row) {
+        for (const [sessionId, questions] of this.unanswered) {
+            if (!questions.delete(`${row.bot || ''}:${row.normalized_question}`)) {
+                continue;
+            }
+            for (const stream of this.streams) {
+                if (stream.sessionId === sessionId) {
+                    this.send(stream, 'taught', { question: row.question, answer_id: row.id, lang: row.lang || null });
+                }
+            }
+        }
+        this.markStatsChanged();
+    }
+
+    // Stats are pushed at most every STREAM_STATS_INTERVAL_SECONDS
+    markStatsChanged() {
+        this.statsChanged = true;
+    }
+
+    // Ends every stream, e.g. on shutdown so the HTTP server can close
+    close() {
+        for (const stream of this.streams) {
+            stream.res.end();
+        }
+        this.streams.clear();
+        this.unanswered.clear();
+        this._stopTimers();
+    }
+
+    _write(stream, text) {
+        if (stream.res.writableEnded) {
+            return;
+        }
+        stream.res.write(text);
+        // compression() buffers responses until flushed
+        if (typeof stream.res.flush === 'function') {
+            stream.res.flush();
+        }
+    }
+
+    _remove(stream) {
+        this.streams.delete(stream);
+        if (![...this.streams].some(other => other.sessionId === stream.sessionId)) {
+            this.unanswered.delete(stream.sessionId);
+        }
+        if (this.streams.size === 0) {
+            this._stopTimers();
+        }
+    }
+
+    _startTimers() {
+        if (this.timers.length > 0) {
+            return;
+        }
+
+        const config = getStreamConfig();
+        this.timers = [
+            // Comments keep idle connections open through proxies
+            setInterval(() => {
+                for (const stream of this.streams) {
+                    this._write(stream, ': ping\n\n');
+                }
+            }, config.heartbeatSeconds * 1000),
+            setInterval(() => this._pushStats(), config.statsIntervalSeconds * 1000)
+        ];
+        this.timers.forEach(timer => timer.unref());
+    }
+
+    _stopTimers() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+    }
+
+    async _pushStats() {
+        if (!this.statsChanged || this.streams.size === 0) {
+            return;
+        }
+
+        this.statsChanged = false;
+        for (const bot of new Set([...this.streams].map(stream => stream.bot))) {
+            try {
+                const stats = await this.getStats(bot);
+                for (const stream of this.streams) {
+                    if (stream.bot === bot) {
+                        this.send(stream, 'stats', stats);
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to push stream stats:', error);
+            }
+        }
+    }
+}
+
+module.exports = {
+    getStreamConfig,
+    typingDelay,
+    ChatHub
+};
@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV support for knowledge base import/export
+
+function formatValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(values) {
+    return values.map(formatValue).join(',') + '\r\n';
+}
+
+// Parses CSV text into rows of strings. Quoted fields may contain commas,
+// doubled quotes and line breaks.
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(values => values.length > 1 || values[0] !== '');
+}
+
+// Parses CSV with a header row into objects keyed by column name
+function parse(text) {
+    const [header, ...rows] = parseRows(text);
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(column => column.trim().toLowerCase());
+    return rows.map(values => Object.fromEntries(columns.map((column, i) => [column, values[i]])));
+}
+
+module.exports = {
+    formatRow,
+    parse
+};
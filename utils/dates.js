@@ -0,0 +1,21 @@
+// Date helpers for query parameters
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Converts a date/datetime query value to the 'YYYY-MM-DD HH:MM:SS' UTC
+// format SQLite's CURRENT_TIMESTAMP uses. A date-only end of a range
+// covers that whole day. Returns null when the value is not a date.
+function toSqlTimestamp(value, isEnd) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    if (isEnd && DATE_ONLY.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = {
+    toSqlTimestamp
+};
@@ -0,0 +1,71 @@
+// What /ask does when nothing answers a question. The reply comes from the
+// bot's fallback pool (managed under /admin/fallbacks): replies in the
+// asker's language chain are preferred, then replies for any language, and
+// a bot that inherits the base namespace uses its pool when it has none of
+// its own. Without any, one of the built-in replies is used.
+//
+// Alongside the reply come "did you mean" suggestions: up to
+// FALLBACK_SUGGESTIONS taught questions at least
+// FALLBACK_SUGGESTION_THRESHOLD similar to the asked one (see
+// utils/matcher.js). When FALLBACK_REDIRECT_THRESHOLD is set and the
+// closest of them is at least that similar, its answer is given instead of
+// a fallback reply, as a related answer.
+
+const DEFAULT_REPLIES = [
+    "I don't know how to respond to that yet. Can you teach me?",
+    "Hmm, I'm not sure about that one. Want to teach me the answer?",
+    "That's a new one for me! What should I say to that?",
+    "I'm still learning! Could you teach me how to respond to that?",
+    "I don't have an answer for that. Would you like to teach me?"
+];
+
+const MAX_RESPONSE_LENGTH = 1000;
+
+function parseThreshold(value) {
+    const threshold = parseFloat(value);
+    return threshold >= 0 && threshold <= 1 ? threshold : null;
+}
+
+function getFallbackConfig() {
+    const suggestions = parseInt(process.env.FALLBACK_SUGGESTIONS);
+    const suggestionThreshold = parseThreshold(process.env.FALLBACK_SUGGESTION_THRESHOLD);
+    const redirectThreshold = parseThreshold(process.env.FALLBACK_REDIRECT_THRESHOLD);
+
+    return {
+        maxSuggestions: Number.isNaN(suggestions) ? 3 : Math.max(suggestions, 0),
+        suggestionThreshold: suggestionThreshold === null ? 0.5 : suggestionThreshold,
+        // null: never redirect
+        redirectThreshold
+    };
+}
+
+// A random reply from a pool of fallback rows, or a built-in one
+function pickResponse(rows) {
+    const responses = rows.length > 0 ? rows.map(row => row.response) : DEFAULT_REPLIES;
+    return responses[Math.floor(Math.random() * responses.length)];
+}
+
+// Suggestions as a sentence, for channels without buttons
+function formatSuggestions(suggestions) {
+    const quoted = suggestions.map(suggestion => `"${suggestion.question}"`);
+    const list = quoted.length > 1
+        ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}`
+        : quoted[0];
+    return `Did you mean ${list}?`;
+}
+
+// Checks a reply for a fallback pool. Returns an error message or null.
+function validateResponse(response) {
+    if (typeof response !== 'string' || response.trim() === '' || response.length > MAX_RESPONSE_LENGTH) {
+        return `response must be a non-empty string of at most ${MAX_RESPONSE_LENGTH} chars`;
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_REPLIES,
+    getFallbackConfig,
+    pickResponse,
+    formatSuggestions,
+    validateResponse
+};
@@ -0,0 +1,41 @@
+// Thumbs up/down feedback on answers. Votes scale an answer's weight when
+// one is picked at random, and answers whose score (upvotes - downvotes)
+// falls to FEEDBACK_HIDE_SCORE are deactivated. Each voter (API key or IP)
+// may cast FEEDBACK_RATE_LIMIT votes per FEEDBACK_RATE_WINDOW_MINUTES.
+
+const VOTES = { up: 1, down: -1 };
+
+function getFeedbackConfig() {
+    const hideScore = parseInt(process.env.FEEDBACK_HIDE_SCORE);
+    return {
+        hideScore: Number.isNaN(hideScore) ? -5 : hideScore,
+        rateLimit: parseInt(process.env.FEEDBACK_RATE_LIMIT) || 30,
+        rateWindowMinutes: parseInt(process.env.FEEDBACK_RATE_WINDOW_MINUTES) || 60
+    };
+}
+
+// Accepts 'up'/'down' or 1/-1. Returns 1, -1 or null.
+function parseVote(value) {
+    if (typeof value === 'string') {
+        return VOTES[value.trim().toLowerCase()] || null;
+    }
+    return value === 1 || value === -1 ? value : null;
+}
+
+// Selection weight of an answer: its teach count, scaled up by upvotes and
+// down by downvotes. Mirrored in SQL by ANSWER_WEIGHT_EXPRESSION in
+// database.js.
+function answerWeight(row) {
+    return (row.teach_count || 0) * ((row.upvotes || 0) + 1) / ((row.downvotes || 0) + 1);
+}
+
+function shouldHide(row) {
+    return (row.upvotes || 0) - (row.downvotes || 0) <= getFeedbackConfig().hideScore;
+}
+
+module.exports = {
+    getFeedbackConfig,
+    parseVote,
+    answerWeight,
+    shouldHide
+};
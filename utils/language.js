@@ -0,0 +1,126 @@
+// Language handling for the knowledge base: code normalisation, fallback
+// chains and a small offline detector. Taught pairs carry a language code;
+// an empty code means "unknown" and is tried last for every language.
+//
+// Configuration:
+//   DEFAULT_LANGUAGE    used when detection is inconclusive (default: en)
+//   LANGUAGE_FALLBACKS  comma-separated "lang:fallback" rules (default: fil:en)
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+// Common alternative codes for the same language
+const ALIASES = {
+    tl: 'fil',
+    tgl: 'fil',
+    filipino: 'fil',
+    tagalog: 'fil',
+    taglish: 'fil',
+    eng: 'en',
+    english: 'en'
+};
+
+// Frequent function words and chat vocabulary per language. Detection
+// counts how many words of the text appear in each list.
+const VOCABULARY = {
+    en: [
+        'the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'to', 'of', 'and', 'in', 'on', 'at', 'for',
+        'with', 'it', 'this', 'that', 'what', 'who', 'where', 'when', 'why', 'how', 'you', 'your', 'i',
+        'me', 'my', 'we', 'they', 'he', 'she', 'do', 'does', 'did', 'not', 'can', 'will', 'have', 'has',
+        'hello', 'hi', 'hey', 'bye', 'thanks', 'thank', 'please', 'yes', 'no', 'good', 'morning',
+        'night', 'love', 'like', 'name', 'am', 'from', 'about', 'time', 'today'
+    ],
+    fil: [
+        'ang', 'ng', 'mga', 'sa', 'si', 'ni', 'kay', 'na', 'pa', 'ay', 'at', 'ba', 'po', 'opo', 'ko',
+        'mo', 'ka', 'ikaw', 'ako', 'siya', 'kami', 'tayo', 'kayo', 'sila', 'niya', 'natin', 'namin',
+        'ano', 'sino', 'saan', 'kailan', 'bakit', 'paano', 'ilan', 'hindi', 'oo', 'wala', 'meron',
+        'may', 'dito', 'doon', 'yan', 'iyan', 'ito', 'iyon', 'lang', 'din', 'rin', 'daw', 'raw',
+        'kumusta', 'kamusta', 'salamat', 'maraming', 'magandang', 'umaga', 'gabi', 'hapon', 'tanghali',
+        'mahal', 'kita', 'pangalan', 'gusto', 'ayaw', 'kain', 'kumain', 'tulog', 'sige', 'naman',
+        'talaga', 'grabe', 'nga', 'kasi', 'pero', 'para', 'tapos', 'diba', 'eh', 'nasaan'
+    ]
+};
+
+const WORD_SETS = Object.fromEntries(
+    Object.entries(VOCABULARY).map(([lang, words]) => [lang, new Set(words)])
+);
+
+function getDefaultLanguage() {
+    return normalizeLanguage(process.env.DEFAULT_LANGUAGE) || 'en';
+}
+
+// Lowercases and resolves aliases. Returns null for invalid codes.
+function normalizeLanguage(code) {
+    if (typeof code !== 'string' || code.trim() === '') {
+        return null;
+    }
+
+    const normalized = code.trim().toLowerCase().replace(/_/g, '-');
+    const resolved = ALIASES[normalized] || normalized;
+    return LANGUAGE_CODE.test(resolved) ? resolved : null;
+}
+
+function getFallbackRules() {
+    const rules = {};
+    const configured = process.env.LANGUAGE_FALLBACKS === undefined ? 'fil:en' : process.env.LANGUAGE_FALLBACKS;
+
+    for (const rule of configured.split(',')) {
+        const [from, to] = rule.split(':').map(normalizeLanguage);
+        if (from && to) {
+            rules[from] = rules[from] || [];
+            rules[from].push(to);
+        }
+    }
+    return rules;
+}
+
+// Languages to try, in order: the language itself, its fallbacks (followed
+// transitively), then '' for rows of unknown language
+function getLanguageChain(lang) {
+    const rules = getFallbackRules();
+    const chain = [];
+    const queue = [normalizeLanguage(lang) || getDefaultLanguage()];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (chain.includes(current)) continue;
+        chain.push(current);
+        queue.push(...(rules[current] || []));
+    }
+
+    chain.push('');
+    return chain;
+}
+
+// Returns { lang, confidence }. Mixed Filipino/English text (Taglish) is
+// reported as Filipino when Filipino words are present in it.
+function detectLanguage(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\s']/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    const scores = {};
+    for (const [lang, set] of Object.entries(WORD_SETS)) {
+        scores[lang] = words.filter(word => set.has(word)).length;
+    }
+
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    if (total === 0) {
+        return { lang: getDefaultLanguage(), confidence: 0 };
+    }
+
+    // Filipino function words are a strong signal even in mostly English text
+    const lang = scores.fil > 0 && scores.fil >= scores.en / 2
+        ? 'fil'
+        : Object.keys(scores).reduce((best, current) => (scores[current] > scores[best] ? current : best));
+
+    return { lang, confidence: Math.round((scores[lang] / Math.max(words.length, 1)) * 100) / 100 };
+}
+
+module.exports = {
+    getDefaultLanguage,
+    normalizeLanguage,
+    getLanguageChain,
+    detectLanguage
+};
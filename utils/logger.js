@@ -0,0 +1,100 @@
+// Structured logs. LOG_FORMAT=json (the default in production) writes one
+// JSON object per line: every console.log/warn/error in the app becomes
+// { timestamp, level, request_id, msg, error }, and every request gets an
+// access line with its method, route, status and duration. request_id is
+// the id of the request being handled (see middleware/requestId.js), so a
+// request's lines can be found from the X-Request-Id header of its
+// response. LOG_FORMAT=text keeps the plain console output and morgan's
+// access lines. LOG_FORMAT=none drops access lines and everything below a
+// warning, e.g. for the test suite.
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const privacy = require('./privacy');
+
+// { requestId } for the request being handled
+const requestContext = new AsyncLocalStorage();
+
+const LEVELS = { log: 'info', info: 'info', debug: 'debug', warn: 'warn', error: 'error' };
+
+function getLogFormat() {
+    const format = String(process.env.LOG_FORMAT || '').toLowerCase();
+    if (format === 'json' || format === 'text' || format === 'none') {
+        return format;
+    }
+    return process.env.NODE_ENV === 'production' ? 'json' : 'text';
+}
+
+function currentRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : undefined;
+}
+
+// One log line. Errors among args are kept whole under "error"; the rest
+// are formatted like console does.
+function formatLine(level, args, fields = {}) {
+    const error = args.find(arg => arg instanceof Error);
+    const message = util.format(...args.filter(arg => arg !== error)).trim();
+
+    return JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level,
+        request_id: currentRequestId(),
+        msg: message,
+        ...fields,
+        ...(error && { error: { name: error.name, message: error.message, stack: error.stack } })
+    });
+}
+
+// Sends console output through formatLine(), for LOG_FORMAT=json
+function useJsonConsole() {
+    for (const [method, level] of Object.entries(LEVELS)) {
+        const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+        console[method] = (...args) => stream.write(`${formatLine(level, args)}\n`);
+    }
+}
+
+// Drops console output below a warning, for LOG_FORMAT=none
+function useQuietConsole() {
+    for (const [method, level] of Object.entries(LEVELS)) {
+        if (level === 'info' || level === 'debug') {
+            console[method] = () => {};
+        }
+    }
+}
+
+// Middleware writing an access line when each request finishes. The query
+// string is left out: it can hold questions and stream access tokens.
+function accessLog(routeLabel) {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            const status = res.statusCode;
+            const stream = status >= 500 ? process.stderr : process.stdout;
+            stream.write(`${JSON.stringify({
+                timestamp: new Date().toISOString(),
+                level: status >= 500 ? 'error' : 'info',
+                request_id: req.id,
+                msg: 'request',
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                route: routeLabel(req),
+                status,
+                duration_ms: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+                bytes: Number(res.get('Content-Length')) || undefined,
+                ip: privacy.anonymizeIp(req.ip || '') || undefined,
+                user_agent: privacy.storedUserAgent(req.headers['user-agent'] || '') || undefined
+            })}\n`);
+        });
+        next();
+    };
+}
+
+module.exports = {
+    requestContext,
+    getLogFormat,
+    currentRequestId,
+    formatLine,
+    useJsonConsole,
+    useQuietConsole,
+    accessLog
+};
@@ -0,0 +1,126 @@
+// Approximate question matching used when there is no exact hit.
+// Questions are compared in a canonical form (lowercase, no punctuation,
+// single spaces) and scored with the better of two similarity measures:
+// edit distance, which catches typos, and token overlap, which catches
+// reordered or partially repeated words.
+
+const DEFAULT_THRESHOLD = 0.75;
+
+function getMatcherConfig() {
+    const threshold = parseFloat(process.env.FUZZY_MATCH_THRESHOLD);
+
+    return {
+        enabled: process.env.FUZZY_MATCHING !== 'false',
+        threshold: threshold >= 0 && threshold <= 1 ? threshold : DEFAULT_THRESHOLD,
+        maxCandidates: parseInt(process.env.FUZZY_MAX_CANDIDATES) || 5000
+    };
+}
+
+function canonicalize(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function editSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// Dice coefficient over the sets of words
+function tokenSimilarity(a, b) {
+    const tokensA = new Set(a.split(' ').filter(Boolean));
+    const tokensB = new Set(b.split(' ').filter(Boolean));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    let shared = 0;
+    for (const token of tokensA) {
+        if (tokensB.has(token)) shared++;
+    }
+    return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+function similarity(a, b) {
+    const left = canonicalize(a);
+    const right = canonicalize(b);
+    if (left === right) return 1;
+    return Math.max(editSimilarity(left, right), tokenSimilarity(left, right));
+}
+
+// Returns { question, confidence } for the closest candidate at or above
+// the threshold, or null when nothing is close enough
+function findBestMatch(question, candidates, threshold = DEFAULT_THRESHOLD) {
+    let best = null;
+
+    for (const candidate of candidates) {
+        const confidence = similarity(question, candidate);
+        if (confidence >= threshold && (!best || confidence > best.confidence)) {
+            best = { question: candidate, confidence };
+            if (confidence === 1) break;
+        }
+    }
+
+    if (best) {
+        best.confidence = Math.round(best.confidence * 1000) / 1000;
+    }
+    return best;
+}
+
+// The candidates at or above the threshold as [{ question, confidence }],
+// closest first, at most limit of them
+function rankMatches(question, candidates, threshold = DEFAULT_THRESHOLD, limit = Infinity) {
+    const matches = [];
+
+    for (const candidate of candidates) {
+        const confidence = similarity(question, candidate);
+        if (confidence >= threshold) {
+            matches.push({ question: candidate, confidence: Math.round(confidence * 1000) / 1000 });
+        }
+    }
+
+    return matches
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, limit);
+}
+
+// Candidates whose length differs too much cannot reach the threshold on
+// edit distance; token overlap is given some extra slack
+function lengthBounds(question, threshold) {
+    const length = canonicalize(question).length;
+    const ratio = Math.max(threshold, 0.1);
+    return {
+        min: Math.max(Math.floor(length * ratio) - 5, 0),
+        max: Math.ceil(length / ratio) + 5
+    };
+}
+
+module.exports = {
+    getMatcherConfig,
+    canonicalize,
+    levenshtein,
+    similarity,
+    findBestMatch,
+    rankMatches,
+    lengthBounds
+};
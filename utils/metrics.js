@@ -0,0 +1,185 @@
+// Prometheus metrics, served in the text exposition format at /metrics
+// (see app.js). Kept in process: with several instances, scrape each one.
+//
+//   http_requests_total{method,route,status}          requests answered
+//   http_request_duration_seconds{method,route}       their latency
+//   simsimi_asks_total{bot,result}                    questions; result is
+//                                                     "hit" or "miss"
+//   simsimi_teaches_total{bot,status}                 teaches; status is
+//                                                     "saved" or "queued"
+//   rate_limit_rejections_total{policy}               requests over a limit
+//   db_query_duration_seconds{backend,operation}      storage queries by SQL
+//                                                     statement type
+//
+// plus process memory, uptime and event loop delay. Routes are labelled
+// by their pattern (/api/v1/admin/bots/:botId), never the raw path, to
+// keep the number of series bounded.
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const DB_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+const SQL_OPERATIONS = ['select', 'insert', 'update', 'delete', 'with', 'begin', 'commit', 'rollback', 'create', 'alter', 'drop', 'pragma'];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // Series by their label values, e.g. '["GET","/health","200"]'
+        this.series = new Map();
+    }
+
+    _series(labels, create) {
+        const values = this.labelNames.map(name => String(labels[name] === undefined ? '' : labels[name]));
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+class Counter extends Metric {
+    inc(labels = {}, value = 1) {
+        this._series(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const series of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Observes the seconds elapsed since start, a process.hrtime.bigint()
+    observeSince(labels, start) {
+        this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+const httpRequests = new Counter('http_requests_total', 'HTTP requests answered', ['method', 'route', 'status']);
+const httpRequestDuration = new Histogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route'], HTTP_BUCKETS);
+const asks = new Counter('simsimi_asks_total', 'Questions asked, by whether a taught answer was found', ['bot', 'result']);
+const teaches = new Counter('simsimi_teaches_total', 'Teaches, saved or queued for review', ['bot', 'status']);
+const rateLimitRejections = new Counter('rate_limit_rejections_total', 'Requests rejected by a rate limit policy', ['policy']);
+const dbQueryDuration = new Histogram('db_query_duration_seconds', 'Storage query latency', ['backend', 'operation'], DB_BUCKETS);
+
+const METRICS = [httpRequests, httpRequestDuration, asks, teaches, rateLimitRejections, dbQueryDuration];
+
+// Resolution in nanoseconds; reset on every scrape, so the figures cover
+// the time since the previous one
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+
+// The route pattern a request matched, or "unmatched" (static files, 404s)
+function routeLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}` : 'unmatched';
+}
+
+// Middleware counting and timing every request
+function httpMetrics() {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            const route = routeLabel(req);
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            httpRequestDuration.observeSince({ method: req.method, route }, start);
+        });
+        next();
+    };
+}
+
+// Times a storage query, given its SQL and a promise of its result
+function timeQuery(backend, sql, promise) {
+    const start = process.hrtime.bigint();
+    const keyword = (/^\s*(\w+)/.exec(sql) || [])[1];
+    const operation = keyword && SQL_OPERATIONS.includes(keyword.toLowerCase()) ? keyword.toLowerCase() : 'other';
+    const observe = () => dbQueryDuration.observeSince({ backend, operation }, start);
+    promise.then(observe, observe);
+    return promise;
+}
+
+function processMetrics() {
+    const memory = process.memoryUsage();
+    const gauges = [
+        ['process_resident_memory_bytes', 'Resident memory size', memory.rss],
+        ['nodejs_heap_used_bytes', 'V8 heap used', memory.heapUsed],
+        ['nodejs_heap_total_bytes', 'V8 heap allocated', memory.heapTotal],
+        ['process_uptime_seconds', 'Seconds since the process started', process.uptime()],
+        ['nodejs_eventloop_delay_max_seconds', 'Longest event loop delay since the last scrape', eventLoopDelay.max / 1e9],
+        ['nodejs_eventloop_delay_p99_seconds', '99th percentile event loop delay since the last scrape', eventLoopDelay.percentile(99) / 1e9]
+    ];
+    eventLoopDelay.reset();
+
+    return gauges.map(([name, help, value]) => `# HELP ${name} ${help}\n# TYPE ${name} gauge\n${name} ${value}`);
+}
+
+// Every metric in the Prometheus text format
+function render() {
+    return `${[...METRICS.map(metric => metric.render()), ...processMetrics()].join('\n')}\n`;
+}
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    Counter,
+    Histogram,
+    httpRequests,
+    httpRequestDuration,
+    asks,
+    teaches,
+    rateLimitRejections,
+    dbQueryDuration,
+    routeLabel,
+    httpMetrics,
+    timeQuery,
+    render
+};
@@ -0,0 +1,152 @@
+// Versioned schema migrations. Each file in migrations/ is named
+// <version>_<name>.js and exports { description, up(db) }. Pending
+// migrations run in version order, each in its own transaction, and are
+// recorded in schema_migrations. up() receives helpers bound to the
+// migrating connection: exec, get, all, run and ensureColumn.
+//
+// A database whose recorded version is newer than the newest migration
+// file was upgraded by newer code, and is refused.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Migration files sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => MIGRATION_FILE.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            id: path.basename(file, '.js'),
+            version: Number(version),
+            name,
+            ...require(path.join(dir, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+function helpers(db) {
+    return {
+        exec: sql => db._exec(sql),
+        get: (sql, params) => db._get(sql, params),
+        all: (sql, params) => db._all(sql, params),
+        run: (sql, params) => db._run(sql, params),
+        // Adds a column unless the table already has it
+        async ensureColumn(table, column, definition) {
+            const columns = await db._all(`PRAGMA table_xinfo(${table})`);
+            if (!columns.some(info => info.name === column)) {
+                await db._exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+            }
+        }
+    };
+}
+
+async function ensureMigrationsTable(db) {
+    await db._exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+async function getAppliedVersions(db) {
+    const rows = await db._all('SELECT version FROM schema_migrations');
+    return new Set(rows.map(row => row.version));
+}
+
+function assertNotNewer(applied, migrations) {
+    const current = Math.max(0, ...applied);
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+    if (current > latest) {
+        const error = new Error(
+            `Database schema version ${current} is newer than this code supports (${latest}). Upgrade the app or restore a matching backup.`
+        );
+        error.code = 'SCHEMA_TOO_NEW';
+        throw error;
+    }
+}
+
+// Every migration with whether and when it was applied
+async function getStatus(db, migrations = loadMigrations()) {
+    await ensureMigrationsTable(db);
+    const rows = await db._all('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return {
+        current_version: Math.max(0, ...appliedAt.keys()),
+        latest_version: migrations.length ? migrations[migrations.length - 1].version : 0,
+        migrations: migrations.map(migration => ({
+            id: migration.id,
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            applied_at: appliedAt.get(migration.version) || null
+        })),
+        unknown_versions: [...appliedAt.keys()].filter(version => !known.has(version))
+    };
+}
+
+// Applies pending migrations and returns the ones applied. With dryRun,
+// they all run in one transaction that is rolled back, so errors surface
+// without changing the database.
+async function migrate(db, { dryRun = false, migrations = loadMigrations() } = {}) {
+    await ensureMigrationsTable(db);
+    assertNotNewer(await getAppliedVersions(db), migrations);
+
+    const context = helpers(db);
+    const applied = [];
+
+    if (dryRun) {
+        await db._exec('BEGIN IMMEDIATE;');
+        try {
+            const done = await getAppliedVersions(db);
+            for (const migration of migrations.filter(m => !done.has(m.version))) {
+                await migration.up(context);
+                applied.push(migration);
+            }
+        } finally {
+            await db._exec('ROLLBACK;');
+        }
+        return applied;
+    }
+
+    for (const migration of migrations) {
+        await db._exec('BEGIN IMMEDIATE;');
+        try {
+            // Another process may have applied it while we waited for the lock
+            const done = await getAppliedVersions(db);
+            if (done.has(migration.version)) {
+                await db._exec('COMMIT;');
+                continue;
+            }
+
+            await migration.up(context);
+            await db._run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            await db._exec('COMMIT;');
+        } catch (error) {
+            await db._exec('ROLLBACK;').catch(() => {});
+            error.message = `Migration ${migration.id} failed: ${error.message}`;
+            throw error;
+        }
+        console.log(`✅ Applied migration ${migration.id}`);
+        applied.push(migration);
+    }
+    return applied;
+}
+
+module.exports = {
+    loadMigrations,
+    getStatus,
+    migrate
+};
@@ -0,0 +1,129 @@
+// Moderation pipeline for taught question/answer pairs. Each check receives
+// the pair and returns a list of reasons (empty when the pair is clean).
+// Custom checks can be added with registerCheck().
+const fs = require('fs');
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ph|co|xyz|info|biz|me|ly|gg)\b/i;
+// Seven or more digits, optionally separated by spaces, dots, dashes or parentheses
+const PHONE_PATTERN = /(?:\+?\d[\s.\-()]*){7,}/;
+
+function splitList(value, separator = ',') {
+    return (value || '').split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Blocklist sources: MODERATION_BLOCKLIST (comma-separated words),
+// MODERATION_BLOCKLIST_PATTERNS (regexes separated by ";;") and
+// MODERATION_BLOCKLIST_FILE (JSON file with "words" and "patterns" arrays)
+function loadBlocklist() {
+    const words = splitList(process.env.MODERATION_BLOCKLIST);
+    const patterns = splitList(process.env.MODERATION_BLOCKLIST_PATTERNS, ';;');
+
+    if (process.env.MODERATION_BLOCKLIST_FILE) {
+        try {
+            const file = JSON.parse(fs.readFileSync(process.env.MODERATION_BLOCKLIST_FILE, 'utf8'));
+            words.push(...(file.words || []));
+            patterns.push(...(file.patterns || []));
+        } catch (error) {
+            console.error('⚠️ Could not load moderation blocklist file:', error.message);
+        }
+    }
+
+    const compiled = words.map(word => ({
+        label: word,
+        regex: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'iu')
+    }));
+
+    for (const pattern of patterns) {
+        try {
+            compiled.push({ label: pattern, regex: new RegExp(pattern, 'iu') });
+        } catch (error) {
+            console.error(`⚠️ Ignoring invalid moderation pattern ${pattern}:`, error.message);
+        }
+    }
+    return compiled;
+}
+
+let blocklist = null;
+
+function blocklistCheck({ question, answer }) {
+    if (!blocklist) {
+        blocklist = loadBlocklist();
+    }
+
+    const text = `${question}\n${answer}`;
+    return blocklist
+        .filter(entry => entry.regex.test(text))
+        .map(entry => `blocklist: ${entry.label}`);
+}
+
+function urlCheck({ answer }) {
+    return process.env.MODERATION_ALLOW_URLS === 'true' || !URL_PATTERN.test(answer) ? [] : ['contains a link'];
+}
+
+function phoneCheck({ answer }) {
+    return PHONE_PATTERN.test(answer) ? ['contains a phone number'] : [];
+}
+
+// Flags shouting, long runs of one character and heavily repeated words
+function spamCheck({ answer }) {
+    const reasons = [];
+    const letters = answer.replace(/[^\p{L}]/gu, '');
+    const upper = letters.replace(/[^\p{Lu}]/gu, '');
+
+    if (letters.length >= 12 && upper.length / letters.length > 0.8) {
+        reasons.push('spam: mostly capital letters');
+    }
+    if (/(.)\1{9,}/u.test(answer)) {
+        reasons.push('spam: repeated characters');
+    }
+
+    const words = answer.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length >= 6) {
+        const counts = new Map();
+        for (const word of words) counts.set(word, (counts.get(word) || 0) + 1);
+        if (Math.max(...counts.values()) / words.length > 0.5) {
+            reasons.push('spam: repeated words');
+        }
+    }
+    return reasons;
+}
+
+const checks = [blocklistCheck, urlCheck, phoneCheck, spamCheck];
+
+function registerCheck(check) {
+    checks.push(check);
+}
+
+// On unless MODERATION_ENABLED=false
+function isEnabled() {
+    return process.env.MODERATION_ENABLED !== 'false';
+}
+
+// Returns { flagged, reasons } for a question/answer pair
+async function moderate(pair) {
+    if (!isEnabled()) {
+        return { flagged: false, reasons: [] };
+    }
+
+    const reasons = [];
+    for (const check of checks) {
+        reasons.push(...(await check(pair)));
+    }
+    return { flagged: reasons.length > 0, reasons };
+}
+
+// Forces the blocklist to be re-read from the environment on next use
+function reloadBlocklist() {
+    blocklist = null;
+}
+
+module.exports = {
+    isEnabled,
+    moderate,
+    registerCheck,
+    reloadBlocklist
+};
@@ -0,0 +1,224 @@
+// Pattern questions: a taught question may contain named slots such as
+// "my name is {name}" or "*" wildcards. A slot captures one or more words,
+// and captured values can be used in the answer as {name}, or {1}, {2}...
+// by position (rendered by utils/templates.js). When several patterns match, the one with the most literal
+// text wins.
+//
+// Patterns are matched word by word rather than as regular expressions, so
+// a match takes at most (pattern words x question words²) steps. A pattern
+// has at most MAX_SLOTS slots, and longer questions than
+// MAX_QUESTION_LENGTH are not matched at all.
+
+const MAX_SLOTS = 5;
+const MAX_QUESTION_LENGTH = 500;
+
+const NAMED_SLOT = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Mirrors the conversations.is_pattern generated column
+function isPattern(question) {
+    return /\{[A-Za-z_][^}]*\}/.test(question) || /(^|\s)\*(\s|$)/.test(question);
+}
+
+function stripTrailingPunctuation(text) {
+    return text.replace(/[^\p{L}\p{N}]+$/u, '');
+}
+
+// Words of a question, ignoring trailing punctuation, so "My name is Ana!"
+// is matched as "My name is Ana"
+function toWords(text) {
+    const stripped = stripTrailingPunctuation(text.trim());
+    return stripped === '' ? [] : stripped.split(/\s+/);
+}
+
+// Returns { elements, slots, literalLength } or throws on invalid patterns.
+// elements has one entry per word of the pattern: { literal } for a word
+// to match (lowercase), or { slot, prefix, suffix } for a slot, where slot
+// is its index in slots and prefix/suffix are text attached to it, as in
+// "{name}'s".
+function compilePattern(question) {
+    const words = question.trim().split(/\s+/);
+    const elements = [];
+    const slots = [];
+    let literalLength = 0;
+
+    words.forEach((word, i) => {
+        const isLast = i === words.length - 1;
+        const named = [...word.matchAll(NAMED_SLOT)];
+
+        if (word !== '*' && named.length === 0) {
+            const literal = (isLast ? stripTrailingPunctuation(word) : word).toLowerCase();
+            if (literal !== '') {
+                elements.push({ literal });
+                literalLength += literal.length;
+            }
+            return;
+        }
+        if (named.length > 1) {
+            throw new Error('Slots must be separated by spaces');
+        }
+
+        const name = word === '*' ? null : named[0][1].toLowerCase();
+        if (name && slots.includes(name)) {
+            throw new Error(`Slot {${name}} is used more than once`);
+        }
+
+        const prefix = name ? word.slice(0, named[0].index).toLowerCase() : '';
+        const rest = name ? word.slice(named[0].index + named[0][0].length).toLowerCase() : '';
+        const suffix = isLast ? stripTrailingPunctuation(rest) : rest;
+
+        elements.push({ slot: slots.length, prefix, suffix });
+        slots.push(name);
+        literalLength += prefix.length + suffix.length;
+    });
+
+    if (slots.length === 0) {
+        throw new Error('Pattern has no slots');
+    }
+    if (slots.length > MAX_SLOTS) {
+        throw new Error(`Pattern has more than ${MAX_SLOTS} slots`);
+    }
+    if (literalLength === 0) {
+        throw new Error('Pattern needs some literal text besides its slots');
+    }
+
+    return { elements, slots, literalLength };
+}
+
+// Whether words[start..end] can fill a slot element
+function fillsSlot(element, words, start, end) {
+    const { prefix, suffix } = element;
+    if (start === end) {
+        const word = words[start];
+        return word.length > prefix.length + suffix.length && word.startsWith(prefix) && word.endsWith(suffix);
+    }
+    return words[start].startsWith(prefix) && words[end].endsWith(suffix);
+}
+
+// Matches compiled pattern elements against a question's words. Returns
+// the [start, end] word range of each slot, or null. Earlier slots take as
+// few words as they can. Failures are remembered by (element, word), so
+// no position is tried twice.
+function matchWords(elements, words) {
+    const lower = words.map(word => word.toLowerCase());
+    const failed = new Uint8Array(elements.length * (words.length + 1));
+    const spans = [];
+
+    const matchFrom = (e, w) => {
+        if (e === elements.length) {
+            return w === words.length;
+        }
+
+        const key = e * (words.length + 1) + w;
+        if (failed[key]) {
+            return false;
+        }
+
+        const element = elements[e];
+        if (element.literal !== undefined) {
+            if (w < words.length && lower[w] === element.literal && matchFrom(e + 1, w + 1)) {
+                return true;
+            }
+        } else {
+            for (let end = w; end < words.length; end++) {
+                if (fillsSlot(element, lower, w, end) && matchFrom(e + 1, end + 1)) {
+                    spans[element.slot] = [w, end];
+                    return true;
+                }
+            }
+        }
+
+        failed[key] = 1;
+        return false;
+    };
+
+    return matchFrom(0, 0) ? spans : null;
+}
+
+// Returns an error message for an invalid pattern question, or null
+function validatePattern(question) {
+    if (!isPattern(question)) {
+        return null;
+    }
+
+    if (/\{[^}]*\{|\{(?![A-Za-z_][A-Za-z0-9_]*\})[^}]*\}/.test(question)) {
+        return 'Slots must look like {name}: letters, digits and underscores only';
+    }
+
+    try {
+        compilePattern(question);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Finds the most specific pattern matching the question. Returns
+// { pattern, captures } where captures maps slot names and 1-based
+// positions to the captured text, or null.
+function matchPatterns(question, patterns) {
+    if (question.length > MAX_QUESTION_LENGTH) {
+        return null;
+    }
+
+    const words = toWords(question);
+    let best = null;
+
+    for (const pattern of patterns) {
+        let compiled;
+        try {
+            compiled = compilePattern(pattern);
+        } catch (error) {
+            continue;
+        }
+
+        const isMoreSpecific = !best
+            || compiled.literalLength > best.literalLength
+            || (compiled.literalLength === best.literalLength && compiled.slots.length < best.slotCount);
+        if (!isMoreSpecific) {
+            continue;
+        }
+
+        const spans = matchWords(compiled.elements, words);
+        if (!spans) {
+            continue;
+        }
+
+        const captures = {};
+        compiled.slots.forEach((name, i) => {
+            const { prefix, suffix } = compiled.elements.find(element => element.slot === i);
+            const [start, end] = spans[i];
+            const text = words.slice(start, end + 1).join(' ');
+            const value = stripTrailingPunctuation(text.slice(prefix.length, text.length - suffix.length).trim());
+            captures[i + 1] = value;
+            if (name) captures[name] = value;
+        });
+        best = { pattern, captures, literalLength: compiled.literalLength, slotCount: compiled.slots.length };
+    }
+
+    return best && { pattern: best.pattern, captures: best.captures };
+}
+
+// Names and 1-based positions of a question's slots, i.e. the variables
+// its answers may use. Empty for plain questions.
+function getSlotVariables(question) {
+    if (!isPattern(question)) {
+        return [];
+    }
+
+    try {
+        const { slots } = compilePattern(question);
+        return [...slots.filter(Boolean), ...slots.map((_, i) => String(i + 1))];
+    } catch (error) {
+        return [];
+    }
+}
+
+module.exports = {
+    MAX_SLOTS,
+    MAX_QUESTION_LENGTH,
+    isPattern,
+    compilePattern,
+    validatePattern,
+    matchPatterns,
+    getSlotVariables
+};
@@ -0,0 +1,151 @@
+// What is kept about the people who talk to the bot, and for how long.
+//
+// PRIVACY_IP_MODE sets how IP addresses are stored in logs, revisions,
+// the moderation queue and votes:
+//
+//   full      as received (the default)
+//   truncate  the network only: IPv4 /24, IPv6 /48
+//   hash      a keyed hash (HMAC-SHA256 with PRIVACY_IP_HASH_SECRET, which
+//             is required), so one address can still be told apart and
+//             erased, but not read
+//   omit      not at all
+//
+// Outside full mode, anonymous clients are told apart by the hash instead
+// of their IP for rate limits, vote de-duplication and chat streams.
+// PRIVACY_USER_AGENTS=false stops storing user agents.
+//
+// LOG_RETENTION_DAYS keeps interaction logs that many days (0 or unset:
+// forever). With LOG_RETENTION_MODE=aggregate, older logs are rolled up
+// into daily totals per bot, event and language before they are deleted,
+// so /stats and daily hit rates keep counting them; question-level
+// analytics only cover the retention window. Retention and erasure
+// (/admin/erasure) need the SQLite backend; the server refuses to start
+// with retention configured on another one (see checkPrivacySettings()).
+// Erasure by IP address only matches addresses stored whole or hashed,
+// never truncated ones.
+const crypto = require('crypto');
+const net = require('net');
+
+const IP_MODES = ['full', 'truncate', 'hash', 'omit'];
+const RETENTION_MODES = ['delete', 'aggregate'];
+
+function getPrivacyConfig() {
+    const ipMode = String(process.env.PRIVACY_IP_MODE || '').toLowerCase();
+    return {
+        ipMode: IP_MODES.includes(ipMode) ? ipMode : 'full',
+        hashSecret: process.env.PRIVACY_IP_HASH_SECRET || '',
+        storeUserAgents: process.env.PRIVACY_USER_AGENTS !== 'false'
+    };
+}
+
+function getRetentionConfig() {
+    const mode = String(process.env.LOG_RETENTION_MODE || '').toLowerCase();
+    return {
+        days: Math.max(parseInt(process.env.LOG_RETENTION_DAYS) || 0, 0),
+        mode: RETENTION_MODES.includes(mode) ? mode : 'delete'
+    };
+}
+
+// Keeps the network part of an address: 203.0.113.7 -> 203.0.113.0,
+// 2001:db8:1:2::7 -> 2001:db8:1::. Anything else is dropped.
+function truncateIp(ip) {
+    // Also IPv4-mapped IPv6 addresses, e.g. ::ffff:203.0.113.7
+    const ipv4 = /^(.*:)?(\d+\.\d+\.\d+)\.\d+$/.exec(ip);
+    if (ipv4 && net.isIPv4(ip.slice((ipv4[1] || '').length))) {
+        return `${ipv4[1] || ''}${ipv4[2]}.0`;
+    }
+    if (!net.isIPv6(ip)) {
+        return '';
+    }
+
+    const [head, tail] = ip.split('::');
+    const groups = head ? head.split(':') : [];
+    if (tail !== undefined) {
+        const tailGroups = tail ? tail.split(':') : [];
+        groups.push(...Array(8 - groups.length - tailGroups.length).fill('0'), ...tailGroups);
+    }
+    return `${groups.slice(0, 3).join(':')}::`;
+}
+
+function hashIp(ip, config = getPrivacyConfig()) {
+    if (!ip) {
+        return '';
+    }
+    return crypto.createHmac('sha256', config.hashSecret).update(ip).digest('hex').slice(0, 32);
+}
+
+// An IP address as it may be stored (see PRIVACY_IP_MODE)
+function anonymizeIp(ip, config = getPrivacyConfig()) {
+    if (!ip) {
+        return '';
+    }
+
+    switch (config.ipMode) {
+        case 'truncate':
+            return truncateIp(ip);
+        case 'hash':
+            return hashIp(ip, config);
+        case 'omit':
+            return '';
+        default:
+            return ip;
+    }
+}
+
+// An IP address as an identifier for an anonymous client
+function pseudonymizeIp(ip, config = getPrivacyConfig()) {
+    return config.ipMode === 'full' ? ip : hashIp(ip, config);
+}
+
+function storedUserAgent(userAgent, config = getPrivacyConfig()) {
+    return config.storeUserAgents ? userAgent : '';
+}
+
+// Every form an address may have been stored in that is its alone, for
+// erasure: as received, and hashed. Truncated forms are never included:
+// they match everyone on the same network.
+function storedIpForms(ip, config = getPrivacyConfig()) {
+    return [...new Set([ip, hashIp(ip, config)])].filter(Boolean);
+}
+
+// Why erasing by IP address may leave data behind, or null. In truncate
+// mode, logs, revisions and queued teaches only hold the network, so they
+// can't be told apart from other people's.
+function getIpErasureWarning(config = getPrivacyConfig()) {
+    return config.ipMode === 'truncate'
+        ? 'PRIVACY_IP_MODE=truncate stores only the network of an address, which other people share, so logs, revisions and queued teaches stored that way were not erased by ip. Erase them by api_key_id or session_id.'
+        : null;
+}
+
+// Checks the privacy settings at startup. Throws for settings that are
+// unsafe or that the storage backend would silently ignore; returns
+// warnings for features the backend lacks.
+function checkPrivacySettings(db) {
+    // Without a secret, hashed IPv4 addresses can be recovered by hashing
+    // all 2^32 of them
+    const { ipMode, hashSecret } = getPrivacyConfig();
+    if (ipMode === 'hash' && !hashSecret) {
+        throw new Error('PRIVACY_IP_MODE=hash needs PRIVACY_IP_HASH_SECRET, or hashed IP addresses can be reversed. Set a long random secret.');
+    }
+
+    const { days } = getRetentionConfig();
+    if (days > 0 && typeof db.applyLogRetention !== 'function') {
+        throw new Error(`LOG_RETENTION_DAYS is set, but the ${db.backend} storage backend can't apply log retention. Use SQLite or unset it.`);
+    }
+
+    return typeof db.eraseSubject === 'function'
+        ? []
+        : [`Data erasure (/admin/erasure) is not available with the ${db.backend} storage backend`];
+}
+
+module.exports = {
+    checkPrivacySettings,
+    getPrivacyConfig,
+    getRetentionConfig,
+    truncateIp,
+    anonymizeIp,
+    pseudonymizeIp,
+    storedUserAgent,
+    storedIpForms,
+    getIpErasureWarning
+};
@@ -0,0 +1,78 @@
+// Chat sessions: a client keeps a session id across /ask calls so answers
+// can depend on what the bot said last. Sessions expire after
+// SESSION_TTL_MINUTES of inactivity and keep SESSION_MAX_TURNS turns.
+// Questions asked without a session id are answered statelessly. A session
+// belongs to the client that started it (its client id, see getClientId())
+// and to one bot; to anyone else it doesn't exist.
+const crypto = require('crypto');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// session_id a client sends to start a session
+const NEW_SESSION = 'new';
+
+function getSessionConfig() {
+    return {
+        ttlMinutes: parseInt(process.env.SESSION_TTL_MINUTES) || 30,
+        maxTurns: parseInt(process.env.SESSION_MAX_TURNS) || 10
+    };
+}
+
+function isValidSessionId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+function isOwnSession(session, { owner, bot = '' }) {
+    return !!session && !!session.owner && session.owner === owner && (session.bot || '') === bot;
+}
+
+// The session if it exists, has not expired and belongs to owner and bot
+async function getOwnSession(db, id, { owner, bot = '' }) {
+    const session = isValidSessionId(id) ? await db.getSession(id) : undefined;
+    return isOwnSession(session, { owner, bot }) ? session : undefined;
+}
+
+// Resumes the requested session, or starts a new one when the id is
+// NEW_SESSION, malformed or expired. Client-chosen ids are accepted as long
+// as they match SESSION_ID_PATTERN; an expired id starts over with no
+// turns. The id of another client's (or bot's) session gets a new session
+// under a new id. owner is the client id asking, bot the bot's id.
+// Resolves with null, storing nothing, when no id was requested.
+async function resolveSession(db, requestedId, { owner, bot = '' }) {
+    if (!requestedId) {
+        return null;
+    }
+
+    const config = getSessionConfig();
+    const existing = isValidSessionId(requestedId) ? await db.getSession(requestedId) : undefined;
+    const isActive = isOwnSession(existing, { owner, bot });
+    const id = isActive || (isValidSessionId(requestedId) && !existing) ? requestedId : crypto.randomUUID();
+
+    if (!isActive) {
+        // Drop an expired session so its turns don't carry over
+        await db.deleteSession(id);
+    }
+
+    const turns = isActive ? await db.getSessionTurns(id, config.maxTurns) : [];
+    await db.touchSession(id, config.ttlMinutes, { owner, bot });
+
+    return {
+        id,
+        isNew: !isActive,
+        turns,
+        lastAnswer: turns.length > 0 ? turns[turns.length - 1].answer : null
+    };
+}
+
+async function recordTurn(db, session, turn) {
+    await db.addSessionTurn(session.id, turn, getSessionConfig().maxTurns);
+}
+
+module.exports = {
+    NEW_SESSION,
+    getSessionConfig,
+    isValidSessionId,
+    getOwnSession,
+    resolveSession,
+    recordTurn
+};
@@ -0,0 +1,207 @@
+// Answer templates, evaluated when an answer is served by /ask.
+//
+//   {time} {date} {weekday}        current time/date in TIMEZONE
+//   {daypart:morning|afternoon|evening|night}
+//                                  text for the current part of the day
+//   {pick:yay|nice|cool}           one option at random
+//   {question}                     the asker's question
+//   {turn}                         turn number in the chat session
+//   {counter:name}                 persistent counter, incremented per use
+//   {name} {1}                     captures from pattern questions
+//   {{ and }}                      literal braces
+//
+// Templates are parsed up front so bad syntax is rejected at /teach time.
+
+const FUNCTIONS = {
+    time: { arg: false },
+    date: { arg: false },
+    weekday: { arg: false },
+    question: { arg: false },
+    turn: { arg: false },
+    daypart: { arg: true, options: [4, 4] },
+    pick: { arg: true, options: [2, 50] },
+    counter: { arg: true, pattern: /^[A-Za-z0-9_-]{1,50}$/ }
+};
+
+class TemplateError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} (at character ${position + 1})`);
+        this.name = 'TemplateError';
+    }
+}
+
+// Splits a template into text and tag tokens
+function parse(template) {
+    const tokens = [];
+    let text = '';
+    let i = 0;
+
+    while (i < template.length) {
+        const char = template[i];
+
+        if (char === '{' && template[i + 1] === '{') {
+            text += '{';
+            i += 2;
+        } else if (char === '}' && template[i + 1] === '}') {
+            text += '}';
+            i += 2;
+        } else if (char === '{') {
+            const end = template.indexOf('}', i);
+            const nested = template.indexOf('{', i + 1);
+            if (end === -1) {
+                throw new TemplateError('Unclosed "{". Use "{{" for a literal brace', i);
+            }
+            if (nested !== -1 && nested < end) {
+                throw new TemplateError('Placeholders cannot be nested', nested);
+            }
+
+            const body = template.slice(i + 1, end);
+            const separator = body.indexOf(':');
+            const name = (separator === -1 ? body : body.slice(0, separator)).trim();
+            const arg = separator === -1 ? null : body.slice(separator + 1);
+            if (!/^([A-Za-z_][A-Za-z0-9_]*|\d+)$/.test(name)) {
+                throw new TemplateError(`Invalid placeholder "{${body}}"`, i);
+            }
+
+            if (text) tokens.push({ type: 'text', value: text });
+            text = '';
+            tokens.push({ type: 'tag', name: name.toLowerCase(), arg, position: i });
+            i = end + 1;
+        } else {
+            text += char;
+            i++;
+        }
+    }
+
+    if (text) tokens.push({ type: 'text', value: text });
+    return tokens;
+}
+
+// Throws a TemplateError for bad syntax, unknown placeholders or bad
+// arguments. variables lists the pattern slot names/positions allowed.
+function validate(template, variables = []) {
+    const allowed = new Set(variables.map(name => String(name).toLowerCase()));
+    const tokens = parse(template);
+
+    for (const token of tokens) {
+        if (token.type !== 'tag') continue;
+
+        const fn = FUNCTIONS[token.name];
+        if (!fn) {
+            if (allowed.has(token.name) && token.arg === null) continue;
+            throw new TemplateError(`Unknown placeholder "{${token.name}}"`, token.position);
+        }
+        if (!fn.arg && token.arg !== null) {
+            throw new TemplateError(`{${token.name}} does not take an argument`, token.position);
+        }
+        if (fn.arg && (token.arg === null || token.arg.trim() === '')) {
+            throw new TemplateError(`{${token.name}:...} needs an argument`, token.position);
+        }
+        if (fn.options) {
+            const count = token.arg.split('|').length;
+            const [min, max] = fn.options;
+            if (count < min || count > max) {
+                throw new TemplateError(
+                    min === max
+                        ? `{${token.name}} needs exactly ${min} options separated by "|"`
+                        : `{${token.name}} needs ${min} to ${max} options separated by "|"`,
+                    token.position
+                );
+            }
+        }
+        if (fn.pattern && !fn.pattern.test(token.arg.trim())) {
+            throw new TemplateError(`Invalid argument for {${token.name}}`, token.position);
+        }
+    }
+    return tokens;
+}
+
+function getTimezone() {
+    return process.env.TIMEZONE || 'UTC';
+}
+
+function formatInTimezone(date, options) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { ...options, timeZone: getTimezone() }).format(date);
+    } catch (error) {
+        // Unknown TIMEZONE
+        return new Intl.DateTimeFormat('en-US', { ...options, timeZone: 'UTC' }).format(date);
+    }
+}
+
+function hourInTimezone(date) {
+    return parseInt(formatInTimezone(date, { hour: 'numeric', hourCycle: 'h23' }), 10);
+}
+
+// 05-12 morning, 12-17 afternoon, 17-21 evening, otherwise night
+function daypartIndex(hour) {
+    if (hour >= 5 && hour < 12) return 0;
+    if (hour >= 12 && hour < 17) return 1;
+    if (hour >= 17 && hour < 21) return 2;
+    return 3;
+}
+
+// Renders a template. context: { question, turn, variables, now,
+// incrementCounter(name) -> Promise<number> }. Answers that no longer parse
+// (taught before templates existed) are returned unchanged.
+async function render(template, context = {}) {
+    let tokens;
+    try {
+        tokens = parse(template);
+    } catch (error) {
+        return template;
+    }
+
+    const now = context.now || new Date();
+    const variables = context.variables || {};
+    let output = '';
+
+    for (const token of tokens) {
+        if (token.type === 'text') {
+            output += token.value;
+            continue;
+        }
+
+        switch (token.name) {
+            case 'time':
+                output += formatInTimezone(now, { hour: 'numeric', minute: '2-digit' });
+                break;
+            case 'date':
+                output += formatInTimezone(now, { year: 'numeric', month: 'long', day: 'numeric' });
+                break;
+            case 'weekday':
+                output += formatInTimezone(now, { weekday: 'long' });
+                break;
+            case 'daypart':
+                output += token.arg.split('|')[daypartIndex(hourInTimezone(now))] || '';
+                break;
+            case 'pick': {
+                const options = token.arg.split('|');
+                output += options[Math.floor(Math.random() * options.length)];
+                break;
+            }
+            case 'question':
+                output += context.question || '';
+                break;
+            case 'turn':
+                output += context.turn || 1;
+                break;
+            case 'counter':
+                output += context.incrementCounter ? await context.incrementCounter(token.arg.trim()) : '';
+                break;
+            default:
+                output += variables[token.name] !== undefined
+                    ? variables[token.name]
+                    : `{${token.name}${token.arg === null ? '' : `:${token.arg}`}}`;
+        }
+    }
+    return output;
+}
+
+module.exports = {
+    TemplateError,
+    parse,
+    validate,
+    render,
+    getTimezone
+};